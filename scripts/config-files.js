@@ -0,0 +1,47 @@
+/**
+ * Config Files
+ * Reads a configuration directory through its manifest (config/index.yaml)
+ * for the Node scripts and the Vite build
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { loadConfigFiles } from '../src/js/config-manifest.js';
+
+/**
+ * Every YAML file under a directory, as sorted /-separated relative paths
+ */
+export function listConfigFiles(configDir) {
+  if (!fs.existsSync(configDir)) {
+    return [];
+  }
+  return fs.readdirSync(configDir, { recursive: true })
+    .map(file => file.split(path.sep).join('/'))
+    .filter(file => /\.ya?ml$/.test(file) && fs.statSync(path.join(configDir, file)).isFile())
+    .sort();
+}
+
+/**
+ * A parsed YAML file ({} when empty), or null if it doesn't exist
+ */
+export function readYamlFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  try {
+    return yaml.load(fs.readFileSync(filePath, 'utf8')) ?? {};
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Load a configuration directory: { sections, documents, config } (see loadConfigFiles)
+ */
+export function loadConfigDirectory(configDir) {
+  if (!fs.existsSync(configDir) || !fs.statSync(configDir).isDirectory()) {
+    return Promise.reject(new Error(`Configuration directory not found: ${configDir}`));
+  }
+  return loadConfigFiles(file => readYamlFile(path.join(configDir, file)), () => listConfigFiles(configDir));
+}
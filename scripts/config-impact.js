@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+
+/**
+ * Config Impact CLI
+ * Shows which components and formulas changed between two configuration
+ * bundles and how much each scenario's estimate moves as a result
+ *
+ * Usage:
+ *   npm run config-impact -- [scenario.yaml ...] [--base HEAD] [--head path/to/config]
+ *                            [--format table|json] [--period day|month|year] [--currency CODE]
+ *                            [--pricing-date YYYY-MM-DD] [--config path/to/config]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import yaml from 'js-yaml';
+import { ConfigManager } from '../src/js/config-manager.js';
+import { CurrencyTable } from '../src/js/currency.js';
+import { ConfigImpactAnalyzer, documentScenario } from '../src/js/config-impact.js';
+import { MANIFEST_FILE, loadConfigFiles } from '../src/js/config-manifest.js';
+import { listConfigFiles } from './config-files.js';
+
+const FORMATS = ['table', 'json'];
+
+const USAGE = `Usage: npm run config-impact -- [scenario.yaml ...] [options]
+
+Compares two configuration bundles. A bundle is a directory of YAML files or a
+git ref (read from the same config directory at that commit).
+
+Options:
+  --base <ref|dir>     Bundle before the change (default: HEAD)
+  --head <ref|dir>     Bundle after the change (default: the config directory)
+  --format <format>    ${FORMATS.join(' | ')} (default: table)
+  --period <period>    Reporting period for every scenario (default: each scenario's own)
+  --currency <code>    Display currency for every scenario (default: each scenario's own)
+  --pricing-date <d>   Price components as of this date, YYYY-MM-DD (default: each scenario's own, or today)
+  --config <dir>       Configuration directory (default: ./config)
+  --help               Show this message
+
+Scenarios default to every scenarios/*.yaml file.`;
+
+function parseArgs(argv) {
+  const options = { format: 'table', config: 'config', base: 'HEAD', scenarios: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      const [flag, inlineValue] = arg.slice(2).split('=', 2);
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined) {
+        throw new Error(`Missing value for --${flag}`);
+      }
+      if (!['base', 'head', 'format', 'period', 'currency', 'pricing-date', 'config'].includes(flag)) {
+        throw new Error(`Unknown option --${flag}`);
+      }
+      options[flag] = value;
+    } else {
+      options.scenarios.push(arg);
+    }
+  }
+
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format '${options.format}' (expected ${FORMATS.join(', ')})`);
+  }
+  return options;
+}
+
+function loadYaml(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  return yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+}
+
+function git(args) {
+  return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+/**
+ * Read a bundle through its manifest from a list of its files and a reader
+ * for their text. A bundle from before the manifest may lack one of the
+ * default files (one added later); that file loads as an empty document.
+ */
+async function loadBundleFiles(label, files, readText) {
+  const hasManifest = files.includes(MANIFEST_FILE);
+  const readFile = (file) => {
+    if (!files.includes(file)) {
+      return hasManifest || file === MANIFEST_FILE ? null : {};
+    }
+    return yaml.load(readText(file)) ?? {};
+  };
+
+  try {
+    const { sections, documents, config } = await loadConfigFiles(readFile, () => files);
+    return { label, config, files: { sections, documents } };
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+}
+
+/**
+ * Read a bundle from a directory or, when `source` isn't one, from the config
+ * directory at a git ref
+ */
+function loadBundle(source, configDir) {
+  if (fs.existsSync(source) && fs.statSync(source).isDirectory()) {
+    return loadBundleFiles(source, listConfigFiles(source), file => fs.readFileSync(path.join(source, file), 'utf8'));
+  }
+
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${source}^{commit}`]);
+  } catch {
+    throw new Error(`'${source}' is neither a directory nor a git ref`);
+  }
+
+  const relativeDir = path.relative(process.cwd(), configDir).split(path.sep).join('/') || '.';
+  const prefix = relativeDir === '.' ? '' : `${relativeDir}/`;
+  const files = git(['ls-tree', '-r', '--name-only', source, '--', `./${prefix}`])
+    .split('\n')
+    .filter(file => file.startsWith(prefix) && /\.ya?ml$/.test(file))
+    .map(file => file.slice(prefix.length));
+  return loadBundleFiles(source, files, file => git(['show', `${source}:./${prefix}${file}`]));
+}
+
+function createConfigManager(bundle) {
+  const configManager = new ConfigManager();
+  try {
+    configManager.setConfig(bundle.config, bundle.files);
+    configManager.validateConfig();
+  } catch (error) {
+    throw new Error(`${bundle.label}: ${error.message}`);
+  }
+  return configManager;
+}
+
+function findScenarios(files) {
+  if (files.length > 0) return files;
+
+  const directory = 'scenarios';
+  if (!fs.existsSync(directory)) {
+    throw new Error('No scenarios given and no scenarios/ directory');
+  }
+  return fs.readdirSync(directory)
+    .filter(name => /\.ya?ml$/.test(name))
+    .sort()
+    .map(name => path.join(directory, name));
+}
+
+/**
+ * Readable form of a component value (a price or a price history)
+ */
+function describeValue(value) {
+  if (value === null || value === undefined) return '-';
+  if (Array.isArray(value)) return `[${value.length} dated price${value.length === 1 ? '' : 's'}]`;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function describeChange({ change, before, after }) {
+  if (change === 'added') return `added: ${describeValue(after)}`;
+  if (change === 'removed') return `removed (was ${describeValue(before)})`;
+  return `${describeValue(before)} → ${describeValue(after)}`;
+}
+
+function formatConfigChanges(diff) {
+  const lines = [];
+  const section = (title, rows) => {
+    if (rows.length === 0) return;
+    const width = Math.max(...rows.map(([label]) => label.length));
+    lines.push('', `${title}:`, ...rows.map(([label, text]) => `  ${label.padEnd(width)}  ${text}`));
+  };
+
+  lines.push(diff.files.length > 0 ? `Changed files: ${diff.files.join(', ')}` : 'No configuration changes');
+  section('Systems', [
+    ...diff.systems.added.map(systemId => [systemId, 'added']),
+    ...diff.systems.removed.map(systemId => [systemId, 'removed'])
+  ]);
+  section('Components', diff.components.map(entry => [`${entry.systemId}.${entry.name}`, describeChange(entry)]));
+  section('Billing periods', diff.componentPeriods.map(entry => [entry.name, describeChange(entry)]));
+  section('Formulas', diff.formulas.map(({ name, change, fields }) => [name, change === 'changed' ? `changed: ${fields.join(', ')}` : change]));
+  section('Derived variables', diff.derivedVariables.map(entry => [entry.name, describeChange(entry)]));
+
+  return lines;
+}
+
+function formatScenario(comparison, currencyTable) {
+  const money = amount => (amount === null ? 'n/a' : currencyTable.format(amount, comparison.currency));
+  const change = ({ delta, percent }) => {
+    if (delta === null) return '';
+    const amount = `${delta < 0 ? '-' : '+'}${money(Math.abs(delta))}`;
+    return percent === null ? amount : `${amount} (${percent >= 0 ? '+' : ''}${percent.toFixed(1)}%)`;
+  };
+
+  const lines = ['', `${comparison.name} - per ${comparison.period}, ${comparison.currency}, prices as of ${comparison.pricingDate}`];
+  const rows = [];
+
+  for (const system of comparison.systems) {
+    if (system.status === 'unchanged') {
+      lines.push(`  ${system.name}: unchanged (${money(system.total.after)})`);
+      continue;
+    }
+    if (system.status === 'error') {
+      const errors = Object.entries(system.errors).filter(([, error]) => error).map(([side, error]) => `${side}: ${error}`);
+      lines.push(`  ${system.name}: could not compare (${errors.join('; ')})`);
+      continue;
+    }
+
+    rows.push([`  ${system.name} (${system.status})`, 'before', 'after', 'change']);
+    for (const service of system.services.filter(({ before, after }) => before !== after)) {
+      rows.push([`    ${service.service}`, money(service.before), money(service.after), change(service)]);
+    }
+    rows.push(['    Total', money(system.total.before), money(system.total.after), change(system.total)]);
+  }
+
+  if (rows.length > 0) {
+    const widths = [0, 1, 2, 3].map(column => Math.max(...rows.map(row => row[column].length)));
+    lines.push(...rows.map(row => row.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  ').trimEnd()));
+  }
+
+  // A bundle without some derived variables is priced with the other bundle's values for them
+  const borrowed = comparison.systems.flatMap(system => Object.entries(system.borrowed)
+    .filter(([, inputs]) => Object.keys(inputs).length > 0)
+    .map(([side, inputs]) => `    ${system.name} (${side}): ${Object.entries(inputs).map(([name, value]) => `${name} = ${describeValue(value)}`).join(', ')}`));
+  if (borrowed.length > 0) {
+    lines.push('  Inputs taken from the other bundle\'s derived variables:', ...borrowed);
+  }
+  return lines;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.info(USAGE);
+    process.exit(0);
+  }
+
+  const configDir = path.resolve(options.config);
+  const base = createConfigManager(await loadBundle(options.base, configDir));
+  const head = createConfigManager(await loadBundle(options.head || options.config, configDir));
+
+  const scenarios = findScenarios(options.scenarios).map(file => documentScenario(loadYaml(file), path.basename(file), {
+    period: options.period,
+    currency: options.currency,
+    pricingDate: options['pricing-date']
+  }));
+
+  const report = new ConfigImpactAnalyzer(base, head).analyze(scenarios);
+
+  if (options.format === 'json') {
+    process.stdout.write(`${JSON.stringify({ base: options.base, head: options.head || options.config, ...report }, null, 2)}\n`);
+  } else {
+    const currencyTable = new CurrencyTable(head.config.currencies);
+    const lines = [
+      `Config impact: ${options.base} → ${options.head || options.config}`,
+      '',
+      ...formatConfigChanges(report.config),
+      ...report.scenarios.flatMap(comparison => formatScenario(comparison, currencyTable)),
+      '',
+      `${report.summary.changed} system estimate(s) changed across ${report.summary.scenarios} scenario(s)` +
+        (report.summary.errors > 0 ? `, ${report.summary.errors} could not be compared` : '')
+    ];
+    process.stdout.write(`${lines.join('\n')}\n`);
+  }
+
+  // A system that can't be priced under either version fails the run (after the report)
+  if (report.summary.errors > 0) {
+    console.error(`❌ ${report.summary.errors} system estimate(s) could not be compared`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -8,6 +8,8 @@
 import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
+import { FILE_LIST, MANIFEST_FILE, loadConfigFiles } from '../src/js/config-manifest.js';
+import { readYamlFile } from './config-files.js';
 
 const REQUIRED_ENV_VARS = ['S3_BUCKET_NAME'];
 const OPTIONAL_ENV_VARS = {
@@ -59,11 +61,11 @@ function buildApplication() {
   }
 }
 
-function validateBuild() {
+async function validateBuild() {
   console.log('\n🔍 Validating build output...');
 
   const distDir = path.join(process.cwd(), 'dist');
-  const requiredFiles = ['index.html', 'config/base-costs.yaml', 'config/formulas.yaml', 'config/multipliers.yaml'];
+  const requiredFiles = ['index.html', `config/${MANIFEST_FILE}`];
 
   if (!fs.existsSync(distDir)) {
     console.error('❌ Build directory not found');
@@ -78,6 +80,25 @@ function validateBuild() {
     process.exit(1);
   }
 
+  // Resolve the manifest as the app will: globs expand against the published file list
+  const configDir = path.join(distDir, 'config');
+  try {
+    const { sections } = await loadConfigFiles(
+      file => readYamlFile(path.join(configDir, file)),
+      () => {
+        const listPath = path.join(configDir, FILE_LIST);
+        if (!fs.existsSync(listPath)) {
+          throw new Error(`config/${FILE_LIST} is missing; the app needs it to expand the globs in ${MANIFEST_FILE}`);
+        }
+        return JSON.parse(fs.readFileSync(listPath, 'utf8'));
+      }
+    );
+    console.log(`📄 ${Object.values(sections).flat().length} configuration files included by ${MANIFEST_FILE}`);
+  } catch (error) {
+    console.error(`❌ Configuration in build: ${error.message}`);
+    process.exit(1);
+  }
+
   console.log('✅ Build validation passed');
 }
 
@@ -136,7 +157,7 @@ async function deploy() {
   try {
     checkEnvironment();
     buildApplication();
-    validateBuild();
+    await validateBuild();
     deployToS3();
     generateDeploymentSummary();
   } catch (error) {
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * Estimate CLI
+ * Runs the cost engine on a scenario file without the browser
+ *
+ * Usage:
+ *   npm run estimate -- scenario.yaml [--systems system_a,system_b] [--format table|json|csv]
+ *                       [--period day|month|year] [--currency CODE] [--pricing-date YYYY-MM-DD]
+ *                       [--config path/to/config]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { ConfigManager } from '../src/js/config-manager.js';
+import { createScenarioEngine } from '../src/js/scenario.js';
+import { loadConfigDirectory } from './config-files.js';
+
+const FORMATS = ['table', 'json', 'csv'];
+
+const USAGE = `Usage: npm run estimate -- <scenario.yaml> [options]
+
+Options:
+  --systems <ids>      Comma-separated systems to price (default: scenario systems, or all)
+  --format <format>    ${FORMATS.join(' | ')} (default: table)
+  --period <period>    day | month | year (default: scenario period, or day)
+  --currency <code>    Display currency (default: scenario currency, or the base currency)
+  --pricing-date <d>   Price components as of this date, YYYY-MM-DD (default: scenario pricing_date, or today)
+  --config <dir>       Configuration directory (default: ./config)
+  --help               Show this message`;
+
+function parseArgs(argv) {
+  const options = { format: 'table', config: 'config' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      const [flag, inlineValue] = arg.slice(2).split('=', 2);
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined) {
+        throw new Error(`Missing value for --${flag}`);
+      }
+      if (!['systems', 'format', 'period', 'currency', 'pricing-date', 'config'].includes(flag)) {
+        throw new Error(`Unknown option --${flag}`);
+      }
+      options[flag] = value;
+    } else if (!options.scenario) {
+      options.scenario = arg;
+    } else {
+      throw new Error(`Unexpected argument '${arg}'`);
+    }
+  }
+
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format '${options.format}' (expected ${FORMATS.join(', ')})`);
+  }
+  return options;
+}
+
+function loadYaml(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  return yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+}
+
+async function loadConfig(configDir) {
+  const { sections, documents, config } = await loadConfigDirectory(configDir);
+  const configManager = new ConfigManager();
+  configManager.setConfig(config, { sections, documents });
+  configManager.validateConfig();
+  return configManager;
+}
+
+function resolveSystems(option, scenario, configManager) {
+  const available = Object.keys(configManager.getSystems());
+  const systemIds = option ? option.split(',').map(id => id.trim()).filter(Boolean) : scenario.systems || available;
+
+  const unknown = systemIds.filter(id => !available.includes(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown system(s) ${unknown.join(', ')} (expected ${available.join(', ')})`);
+  }
+  if (systemIds.length === 0) {
+    throw new Error('No systems to price');
+  }
+  return systemIds;
+}
+
+/**
+ * One row per service, then the subtotal, each adjustment and the total,
+ * with one value per system (null where the system doesn't offer the service)
+ */
+function buildRows(engine, results) {
+  const rows = Object.keys(engine.formulas).map(service => ({
+    label: service,
+    values: results.map(result => result.services[service])
+  }));
+
+  rows.push({ label: 'Subtotal', values: results.map(result => result.subtotal) });
+  for (const [index, adjustment] of results[0].adjustments.entries()) {
+    rows.push({ label: adjustment.label, values: results.map(result => result.adjustments[index].amount) });
+  }
+  rows.push({ label: 'Total', values: results.map(result => result.total) });
+
+  return rows;
+}
+
+function formatTable(engine, configManager, results, scenario) {
+  const headers = ['', ...results.map(result => configManager.getSystemInfo(result.systemId)?.name || result.systemId)];
+  const rows = buildRows(engine, results).map(row => [
+    row.label,
+    ...row.values.map(value => (value === null ? 'n/a' : engine.formatMoney(value)))
+  ]);
+
+  const widths = headers.map((header, column) => Math.max(header.length, ...rows.map(row => row[column].length)));
+  const line = cells => cells.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  ');
+
+  const rule = widths.map(width => '-'.repeat(width)).join('  ');
+  const title = `${scenario.name || 'Scenario'} - per ${engine.reportingPeriod}, ${engine.displayCurrency}, prices as of ${engine.getPricingDate()}`;
+  const lines = [title, '', line(headers), rule];
+  for (const row of rows) {
+    // Rule off the totals from the service lines
+    if (row[0] === 'Subtotal') lines.push(rule);
+    lines.push(line(row));
+  }
+
+  const unsupported = results.flatMap(result => result.unsupportedServices.map(service =>
+    `  ${result.systemId} ${service}: ${result.support[service].reason}`
+  ));
+  if (unsupported.length > 0) {
+    lines.push('', 'Not supported:', ...unsupported);
+  }
+
+  return lines.join('\n');
+}
+
+function formatCsv(engine, results) {
+  const decimals = engine.currencyTable.getDecimals(engine.displayCurrency);
+  const escape = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const lines = [['item', 'currency', ...results.map(result => result.systemId)].join(',')];
+
+  for (const row of buildRows(engine, results)) {
+    lines.push([
+      escape(row.label),
+      engine.displayCurrency,
+      ...row.values.map(value => (value === null ? '' : value.toFixed(decimals)))
+    ].join(','));
+  }
+  return lines.join('\n');
+}
+
+function formatJson(engine, results, scenario) {
+  return JSON.stringify({
+    scenario: scenario.name || null,
+    period: engine.reportingPeriod,
+    currency: engine.displayCurrency,
+    pricingDate: engine.getPricingDate(),
+    rounding: engine.currencyTable.rounding,
+    systems: results.map(result => ({
+      systemId: result.systemId,
+      services: result.services,
+      subtotal: result.subtotal,
+      adjustments: result.adjustments.map(({ name, label, factor, amount }) => ({ name, label, factor, amount })),
+      total: result.total,
+      unsupportedServices: result.unsupportedServices,
+      support: result.support,
+      derived: result.derived,
+      overrides: result.overrides,
+      native: result.native
+    }))
+  }, null, 2);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.scenario) {
+    console.info(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const scenario = loadYaml(options.scenario);
+  const configManager = await loadConfig(path.resolve(options.config));
+  const engine = createScenarioEngine(configManager, scenario, {
+    period: options.period,
+    currency: options.currency,
+    pricingDate: options['pricing-date']
+  });
+
+  const systemIds = resolveSystems(options.systems, scenario, configManager);
+  const results = engine.calculateMultiSystemCosts(systemIds, scenario.services || {});
+
+  const output = {
+    table: () => formatTable(engine, configManager, results, scenario),
+    json: () => formatJson(engine, results, scenario),
+    csv: () => formatCsv(engine, results)
+  }[options.format]();
+
+  process.stdout.write(`${output}\n`);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -5,10 +5,16 @@
  * Validates YAML configuration files for syntax and structure
  */
 
-import fs from 'fs';
 import path from 'path';
-import yaml from 'js-yaml';
 import Ajv from 'ajv';
+import { CompiledExpression } from '../src/js/expression-parser.js';
+import { resolveOrder, splitReference } from '../src/js/dependency-graph.js';
+import { ROUNDING_MODES } from '../src/js/decimal.js';
+import { ROUNDING_APPLY } from '../src/js/currency.js';
+import { hasPriceHistory, validatePriceHistory } from '../src/js/price-history.js';
+import { formulaReferences, resolveSystems } from '../src/js/system-inheritance.js';
+import { MANIFEST_FILE, MANIFEST_SECTIONS } from '../src/js/config-manifest.js';
+import { listConfigFiles, loadConfigDirectory } from './config-files.js';
 
 const ajv = new Ajv();
 
@@ -16,15 +22,63 @@ const ajv = new Ajv();
 const baseCostsSchema = {
   type: 'object',
   properties: {
-    transport: { type: 'object' },
-    storage: { type: 'object' },
-    extraction: { type: 'object' },
-    enrichment: { type: 'object' },
-    modeling: { type: 'object' },
-    search: { type: 'object' },
-    exploration: { type: 'object' }
+    component_periods: { type: 'object' },
+    systems: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          description: { type: 'string' },
+          currency: { type: 'string' },
+          extends: { type: 'string' },
+          markup_percent: { type: 'object', additionalProperties: { type: 'number' } },
+          services: {
+            type: 'object',
+            additionalProperties: {
+              anyOf: [
+                { type: 'null' },
+                {
+                  type: 'object',
+                  properties: {
+                    supported: { type: 'boolean' },
+                    reason: { type: 'string' },
+                    notes: { type: 'string' },
+                    limitations: { type: 'array', items: { type: 'string' } }
+                  },
+                  additionalProperties: false
+                }
+              ]
+            }
+          },
+          components: {
+            type: 'object',
+            additionalProperties: {
+              anyOf: [
+                { type: 'number' },
+                {
+                  // Price history; dates are checked by validatePriceHistory (YAML reads them as Dates)
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      value: { type: 'number' },
+                      effective_from: {},
+                      effective_to: {}
+                    },
+                    required: ['value'],
+                    additionalProperties: false
+                  }
+                }
+              ]
+            }
+          }
+        },
+        required: ['name']
+      }
+    }
   },
-  required: ['transport', 'storage', 'extraction', 'enrichment', 'modeling', 'search', 'exploration']
+  required: ['systems']
 };
 
 // JSON Schema for formulas
@@ -37,7 +91,8 @@ const formulasSchema = {
     enrichment: { type: 'object' },
     modeling: { type: 'object' },
     search: { type: 'object' },
-    exploration: { type: 'object' }
+    exploration: { type: 'object' },
+    derived_variables: { type: 'object' }
   },
   required: ['transport', 'storage', 'extraction', 'enrichment', 'modeling', 'search', 'exploration']
 };
@@ -50,15 +105,49 @@ const multipliersSchema = {
     complexity_multipliers: { type: 'object' },
     contract_multipliers: { type: 'object' },
     support_multipliers: { type: 'object' },
-    sla_multipliers: { type: 'object' }
+    sla_multipliers: { type: 'object' },
+    adjustments: { type: 'array' }
   },
   required: ['volume_multipliers', 'complexity_multipliers', 'contract_multipliers', 'support_multipliers', 'sla_multipliers']
 };
 
+// JSON Schema for currencies
+const currenciesSchema = {
+  type: 'object',
+  properties: {
+    base_currency: { type: 'string' },
+    as_of: { type: 'string' },
+    rounding: {
+      type: 'object',
+      properties: {
+        mode: { enum: ROUNDING_MODES },
+        apply: { enum: ROUNDING_APPLY }
+      },
+      additionalProperties: false
+    },
+    currencies: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          symbol: { type: 'string' },
+          decimals: { type: 'integer', minimum: 0 },
+          rate: { type: 'number', exclusiveMinimum: 0 },
+          symbol_position: { enum: ['prefix', 'suffix'] }
+        },
+        required: ['symbol', 'rate']
+      }
+    }
+  },
+  required: ['base_currency', 'currencies']
+};
+
 const schemas = {
-  'base-costs.yaml': baseCostsSchema,
-  'formulas.yaml': formulasSchema,
-  'multipliers.yaml': multipliersSchema
+  baseCosts: baseCostsSchema,
+  formulas: formulasSchema,
+  multipliers: multipliersSchema,
+  currencies: currenciesSchema
 };
 
 async function validateConfigurations() {
@@ -67,22 +156,31 @@ async function validateConfigurations() {
   const configDir = path.join(process.cwd(), 'config');
   let hasErrors = false;
 
-  for (const [filename, schema] of Object.entries(schemas)) {
-    const filePath = path.join(configDir, filename);
-    
-    try {
-      console.log(`📄 Validating ${filename}...`);
+  // Read every section through the manifest (index.yaml), merging its files
+  let loaded;
+  try {
+    loaded = await loadConfigDirectory(configDir);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('\n❌ Configuration validation failed!');
+    process.exit(1);
+  }
+  const { sections, config } = loaded;
 
-      // Check if file exists
-      if (!fs.existsSync(filePath)) {
-        console.error(`❌ File not found: ${filename}`);
-        hasErrors = true;
-        continue;
-      }
+  const included = new Set(Object.values(sections).flat());
+  for (const file of listConfigFiles(configDir)) {
+    if (file !== MANIFEST_FILE && !included.has(file)) {
+      console.warn(`⚠️  ${file} is not included by ${MANIFEST_FILE} and is ignored`);
+    }
+  }
+
+  for (const [key, schema] of Object.entries(schemas)) {
+    const data = config[key];
+    // Messages name the file, or the manifest section when it spans several
+    const filename = sections[key].length === 1 ? sections[key][0] : MANIFEST_SECTIONS[key];
 
-      // Read and parse YAML
-      const fileContent = fs.readFileSync(filePath, 'utf8');
-      const data = yaml.load(fileContent);
+    try {
+      console.log(`📄 Validating ${filename}${sections[key].length > 1 ? ` (${sections[key].join(', ')})` : ''}...`);
 
       // Validate against schema
       const validate = ajv.compile(schema);
@@ -99,10 +197,22 @@ async function validateConfigurations() {
       }
 
       // Additional custom validations
-      if (filename === 'base-costs.yaml') {
-        validateBaseCosts(data, filename);
-      } else if (filename === 'formulas.yaml') {
-        validateFormulas(data, filename);
+      if (key === 'baseCosts') {
+        if (!validateBaseCosts(data, filename, config.formulas)) {
+          hasErrors = true;
+        }
+      } else if (key === 'formulas') {
+        if (!validateFormulas(data, filename)) {
+          hasErrors = true;
+        }
+      } else if (key === 'multipliers') {
+        if (!validateMultipliers(data, filename)) {
+          hasErrors = true;
+        }
+      } else if (key === 'currencies') {
+        if (!validateCurrencies(data, filename, config.baseCosts)) {
+          hasErrors = true;
+        }
       }
 
     } catch (error) {
@@ -121,13 +231,17 @@ async function validateConfigurations() {
   }
 }
 
-function validateBaseCosts(data, filename) {
+function validateBaseCosts(data, filename, formulasDocument) {
+  let valid = true;
+
   // Check that all cost values are numbers
   function checkCostValues(obj, path = '') {
     for (const [key, value] of Object.entries(obj)) {
       const currentPath = path ? `${path}.${key}` : key;
       
-      if (typeof value === 'object' && value !== null) {
+      if (hasPriceHistory(value)) {
+        continue; // checked below
+      } else if (typeof value === 'object' && value !== null) {
         checkCostValues(value, currentPath);
       } else if (key.includes('cost') || key.includes('rate') || key.includes('price')) {
         if (typeof value !== 'number' || value < 0) {
@@ -137,32 +251,376 @@ function validateBaseCosts(data, filename) {
     }
   }
 
-  checkCostValues(data);
+  checkCostValues(data.systems || data);
+
+  // Check price histories: valid dates, ranges that don't overlap
+  for (const [systemId, system] of Object.entries(data.systems || {})) {
+    for (const [name, value] of Object.entries(system.components || {})) {
+      if (!hasPriceHistory(value)) continue;
+      for (const error of validatePriceHistory(`systems.${systemId}.components.${name}`, value)) {
+        console.error(`❌ ${filename}: ${error}`);
+        valid = false;
+      }
+    }
+  }
+
+  // Check declared billing periods
+  const periods = ['day', 'month', 'year'];
+  for (const [component, period] of Object.entries(data.component_periods || {})) {
+    if (!periods.includes(period)) {
+      console.warn(`⚠️  ${filename}: component_periods.${component} should be one of ${periods.join(', ')}, got ${period}`);
+    }
+  }
+
+  for (const [systemId, system] of Object.entries(data.systems || {})) {
+    if (!system.components && !system.extends) {
+      console.error(`❌ ${filename}: ${systemId} needs components or extends`);
+      valid = false;
+    }
+  }
+
+  // Resolve `extends` (unknown parents, cycles, markups), then check service
+  // declarations against the formulas with the inherited components
+  if (formulasDocument) {
+    const { derived_variables: _derived, ...formulas } = formulasDocument;
+    let systems;
+    try {
+      systems = resolveSystems(data.systems || {}, formulas).systems;
+    } catch (error) {
+      console.error(`❌ ${filename}: ${error.message}`);
+      return false;
+    }
+    if (!validateServiceDeclarations(systems, formulas, filename)) {
+      valid = false;
+    }
+  }
+
+  return valid;
+}
+
+// Declared services must exist, and a system that offers a service must price
+// every cost component its formula uses (a component is any name some system prices)
+function validateServiceDeclarations(systems, formulas, filename) {
+  let valid = true;
+  const allComponents = new Set(Object.values(systems).flatMap(system => Object.keys(system.components || {})));
+
+  for (const [systemId, system] of Object.entries(systems)) {
+    if (!system.services) {
+      console.warn(`⚠️  ${filename}: ${systemId} declares no services, so it is treated as offering all of them`);
+      continue;
+    }
+
+    for (const [service, declaration] of Object.entries(system.services)) {
+      if (!formulas[service]) {
+        console.error(`❌ ${filename}: ${systemId}.services.${service} is not a service in the formulas`);
+        valid = false;
+        continue;
+      }
+      if (declaration?.supported === false) continue;
+
+      const missing = formulaReferences(formulas[service])
+        .filter(name => allComponents.has(name) && !(name in (system.components || {})));
+      if (missing.length > 0) {
+        console.error(`❌ ${filename}: ${systemId} offers ${service} but does not price ${missing.join(', ')}`);
+        valid = false;
+      }
+    }
+  }
+
+  return valid;
 }
 
 function validateFormulas(data, filename) {
+  let valid = true;
+  const { derived_variables: derivedVariables = {}, ...formulas } = data;
+
+  // Check that every expression string parses
+  function checkExpressions(value, currentPath) {
+    if (typeof value === 'string') {
+      try {
+        const compiled = new CompiledExpression(value);
+        const qualified = compiled.variables.filter(name => name.includes('.'));
+        if (qualified.length > 0) {
+          console.error(`❌ ${filename}: ${currentPath}: $${qualified[0]} - service references are only allowed in derived_variables`);
+          valid = false;
+        }
+      } catch (error) {
+        console.error(`❌ ${filename}: ${currentPath}: ${error.message}`);
+        valid = false;
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => checkExpressions(item, `${currentPath}[${index}]`));
+    } else if (typeof value === 'object' && value !== null) {
+      for (const [key, child] of Object.entries(value)) {
+        // Structural keys hold names, not expressions
+        if (['type', 'volumeVar', 'variable', 'operator', 'if', 'mode', 'fee_period', 'curve'].includes(key)) continue;
+        checkExpressions(child, `${currentPath}.${key}`);
+      }
+    }
+  }
+
+  for (const [service, formula] of Object.entries(formulas)) {
+    checkExpressions(formula, service);
+  }
+
+  if (!validateDerivedVariables(derivedVariables, formulas, filename)) {
+    valid = false;
+  }
+
   // Check that formulas have required structure
-  for (const [service, formula] of Object.entries(data)) {
+  for (const [service, formula] of Object.entries(formulas)) {
     if (typeof formula === 'object' && formula.type) {
       switch (formula.type) {
         case 'tiered':
           if (!formula.volumeVar || !formula.tiers) {
             console.warn(`⚠️  ${filename}: Tiered formula for ${service} missing volumeVar or tiers`);
           }
+          if (!validateTieredFormula(service, formula, filename)) {
+            valid = false;
+          }
           break;
         case 'multiplier':
           if (!formula.base) {
             console.warn(`⚠️  ${filename}: Multiplier formula for ${service} missing base`);
           }
+          (formula.multipliers || []).forEach((mult, index) => {
+            const errors = validateMultiplierCurve(mult, `multipliers[${index}]`);
+            errors.forEach(error => console.error(`❌ ${filename}: ${service}: ${error}`));
+            if (errors.length > 0) valid = false;
+          });
           break;
         case 'conditional':
           if (!formula.conditions) {
             console.warn(`⚠️  ${filename}: Conditional formula for ${service} missing conditions`);
           }
+          (formula.conditions || []).forEach((condition, index) => {
+            const errors = validateCondition(condition.if, `conditions[${index}].if`);
+            errors.forEach(error => console.error(`❌ ${filename}: ${service}: ${error}`));
+            if (errors.length > 0) valid = false;
+          });
           break;
       }
     }
   }
+
+  return valid;
+}
+
+// Check derived_variables: expressions parse, service references name real
+// services, and no variable depends on itself
+function validateDerivedVariables(derivedVariables, formulas, filename) {
+  let valid = true;
+
+  for (const [name, definition] of Object.entries(derivedVariables)) {
+    if (typeof definition?.expression !== 'string') {
+      console.error(`❌ ${filename}: derived_variables.${name} needs an expression`);
+      valid = false;
+      continue;
+    }
+
+    try {
+      for (const reference of new CompiledExpression(definition.expression).variables) {
+        const { service } = splitReference(reference);
+        if (service !== null && !formulas[service]) {
+          console.error(`❌ ${filename}: derived_variables.${name}: $${reference} refers to unknown service '${service}'`);
+          valid = false;
+        }
+      }
+    } catch (error) {
+      console.error(`❌ ${filename}: derived_variables.${name}: ${error.message}`);
+      valid = false;
+    }
+  }
+
+  if (valid) {
+    try {
+      resolveOrder(derivedVariables);
+    } catch (error) {
+      console.error(`❌ ${filename}: ${error.message}`);
+      valid = false;
+    }
+  }
+
+  return valid;
+}
+
+// Returns a list of problems with a multiplier entry's curve
+function validateMultiplierCurve(mult, multPath) {
+  const errors = [];
+  const curve = mult.curve || 'exponential';
+
+  if (typeof mult.variable !== 'string') {
+    errors.push(`${multPath} is missing variable`);
+  }
+
+  switch (curve) {
+    case 'exponential':
+    case 'linear':
+      if (typeof mult.factor !== 'number') {
+        errors.push(`${multPath}: ${curve} curve needs a numeric factor`);
+      }
+      if (mult.base_level !== undefined && typeof mult.base_level !== 'number') {
+        errors.push(`${multPath}: base_level must be a number`);
+      }
+      break;
+    case 'table':
+      if (typeof mult.values !== 'object' || mult.values === null || Object.keys(mult.values).length === 0) {
+        errors.push(`${multPath}: table curve needs values: { level: factor }`);
+      } else {
+        for (const [level, factor] of Object.entries(mult.values)) {
+          if (typeof factor !== 'number' || factor < 0) {
+            errors.push(`${multPath}.values.${level} must be a non-negative number`);
+          }
+        }
+      }
+      break;
+    case 'interpolated':
+      if (!Array.isArray(mult.points) || mult.points.length < 2) {
+        errors.push(`${multPath}: interpolated curve needs at least two points: [{ at, factor }]`);
+      } else {
+        mult.points.forEach((point, index) => {
+          if (typeof point.at !== 'number' || typeof point.factor !== 'number' || point.factor < 0) {
+            errors.push(`${multPath}.points[${index}] needs numeric at and a non-negative factor`);
+          }
+        });
+        const levels = mult.points.map(point => point.at);
+        if (new Set(levels).size !== levels.length) {
+          errors.push(`${multPath}: interpolated points must have distinct levels`);
+        }
+      }
+      break;
+    default:
+      errors.push(`${multPath} has unknown curve '${curve}' (expected exponential, linear, table, interpolated)`);
+  }
+
+  return errors;
+}
+
+// Returns a list of problems with a (possibly compound) condition
+function validateCondition(condition, conditionPath) {
+  if (typeof condition !== 'object' || condition === null) {
+    return [`${conditionPath} must be a condition object`];
+  }
+
+  for (const combinator of ['all', 'any']) {
+    if (combinator in condition) {
+      if (!Array.isArray(condition[combinator]) || condition[combinator].length === 0) {
+        return [`${conditionPath}.${combinator} must be a non-empty list of conditions`];
+      }
+      return condition[combinator].flatMap((child, index) => validateCondition(child, `${conditionPath}.${combinator}[${index}]`));
+    }
+  }
+  if ('not' in condition) {
+    return validateCondition(condition.not, `${conditionPath}.not`);
+  }
+
+  const errors = [];
+  const operators = ['>', '>=', '<', '<=', '==', '!=', 'between', 'in'];
+  if (typeof condition.variable !== 'string') {
+    errors.push(`${conditionPath} is missing variable (or all/any/not)`);
+  }
+  if (!operators.includes(condition.operator)) {
+    errors.push(`${conditionPath} has invalid operator '${condition.operator}' (expected ${operators.join(', ')})`);
+  } else if (condition.operator === 'between' && (!Array.isArray(condition.value) || condition.value.length !== 2)) {
+    errors.push(`${conditionPath}: between needs value: [min, max]`);
+  } else if (condition.operator === 'in' && !Array.isArray(condition.value)) {
+    errors.push(`${conditionPath}: in needs a list value`);
+  } else if (condition.value === undefined) {
+    errors.push(`${conditionPath} is missing value`);
+  }
+  return errors;
+}
+
+function validateTieredFormula(service, formula, filename) {
+  let valid = true;
+  const fail = (message) => {
+    console.error(`❌ ${filename}: ${service}: ${message}`);
+    valid = false;
+  };
+  // Amounts may be numbers or expressions (already parsed above)
+  const isAmount = (value) => typeof value === 'string' || (typeof value === 'number' && value >= 0);
+
+  if (formula.mode !== undefined && !['graduated', 'all_units'].includes(formula.mode)) {
+    fail(`mode must be graduated or all_units, got '${formula.mode}'`);
+  }
+  if (formula.fee_period !== undefined && !['day', 'month', 'year'].includes(formula.fee_period)) {
+    fail(`fee_period must be day, month or year, got '${formula.fee_period}'`);
+  }
+
+  for (const key of ['free_allowance', 'minimum_charge', 'maximum_charge']) {
+    if (formula[key] !== undefined && !isAmount(formula[key])) {
+      fail(`${key} must be a non-negative number or an expression`);
+    }
+  }
+  if (typeof formula.minimum_charge === 'number' && typeof formula.maximum_charge === 'number' &&
+      formula.minimum_charge > formula.maximum_charge) {
+    fail(`minimum_charge (${formula.minimum_charge}) exceeds maximum_charge (${formula.maximum_charge})`);
+  }
+
+  (formula.tiers || []).forEach((tier, index) => {
+    const tierPath = `tiers[${index}]`;
+    if (tier.rate === undefined || !isAmount(tier.rate)) {
+      fail(`${tierPath}.rate must be a non-negative number or an expression`);
+    }
+    if (tier.flat_fee !== undefined && !isAmount(tier.flat_fee)) {
+      fail(`${tierPath}.flat_fee must be a non-negative number or an expression`);
+    }
+    const unlimited = tier.limit === null || tier.limit === undefined;
+    if (!unlimited && (typeof tier.limit !== 'number' || tier.limit <= 0)) {
+      fail(`${tierPath}.limit must be a positive number or null (unlimited)`);
+    }
+    if (unlimited && index < formula.tiers.length - 1) {
+      fail(`${tierPath} is unlimited but is not the last tier`);
+    }
+  });
+
+  return valid;
+}
+
+function validateMultipliers(data, filename) {
+  let valid = true;
+  const scopes = ['per_service', 'subtotal', 'cumulative'];
+
+  // Check the global adjustment pipeline
+  (data.adjustments || []).forEach((step, index) => {
+    if (!step.name) {
+      console.error(`❌ ${filename}: adjustments[${index}] missing name`);
+      valid = false;
+    }
+    if (!scopes.includes(step.scope)) {
+      console.error(`❌ ${filename}: adjustments[${index}] has invalid scope '${step.scope}' (expected ${scopes.join(', ')})`);
+      valid = false;
+    }
+    if (step.variable === undefined && typeof step.factor !== 'number') {
+      console.warn(`⚠️  ${filename}: adjustments[${index}] has neither variable nor factor; it will have no effect`);
+    }
+  });
+
+  return valid;
+}
+
+function validateCurrencies(data, filename, baseCosts) {
+  let valid = true;
+  const currencies = data.currencies || {};
+
+  const base = currencies[data.base_currency];
+  if (!base) {
+    console.error(`❌ ${filename}: base currency ${data.base_currency} is not in the currency table`);
+    valid = false;
+  } else if (base.rate !== 1) {
+    console.error(`❌ ${filename}: base currency ${data.base_currency} must have rate 1, got ${base.rate}`);
+    valid = false;
+  }
+
+  // Every system must be priced in a currency from the table
+  for (const [systemId, system] of Object.entries(baseCosts?.systems || {})) {
+    if (system.currency && !currencies[system.currency]) {
+      console.error(`❌ ${filename}: system ${systemId} is priced in ${system.currency}, which is not in the currency table`);
+      valid = false;
+    }
+  }
+
+  return valid;
 }
 
 // Run validation
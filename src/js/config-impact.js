@@ -0,0 +1,249 @@
+/**
+ * Config Impact
+ * Compares two configuration bundles: which components, formulas and derived
+ * variables changed, and how much each scenario's estimate moves per system
+ * and service as a result
+ */
+
+import { Decimal } from './decimal.js';
+import { createScenarioEngine } from './scenario.js';
+
+/**
+ * Deep equality for parsed YAML (key order doesn't matter; YAML dates compare by time)
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => key in b && isEqual(a[key], b[key]));
+}
+
+/**
+ * Added, removed and changed entries between two { name: value } tables
+ */
+function diffEntries(before = {}, after = {}) {
+  const names = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return names.flatMap(name => {
+    if (!(name in before)) return [{ name, change: 'added', before: null, after: after[name] }];
+    if (!(name in after)) return [{ name, change: 'removed', before: before[name], after: null }];
+    return isEqual(before[name], after[name]) ? [] : [{ name, change: 'changed', before: before[name], after: after[name] }];
+  });
+}
+
+/**
+ * after - before for two amounts (null where either side has none)
+ */
+function difference(before, after) {
+  if (typeof before !== 'number' || typeof after !== 'number') {
+    return { before, after, delta: null, percent: null };
+  }
+  const delta = Decimal.from(after).minus(before);
+  return {
+    before,
+    after,
+    delta: delta.toNumber(),
+    percent: before === 0 ? null : delta.dividedBy(before).times(100).toNumber()
+  };
+}
+
+/**
+ * A scenario for ConfigImpactAnalyzer from a scenario document (see createScenarioEngine)
+ */
+export function documentScenario(document, name, options = {}) {
+  return {
+    name: document.name || name,
+    systems: document.systems,
+    serviceInputs: document.services || {},
+    createEngine: configManager => createScenarioEngine(configManager, document, options)
+  };
+}
+
+export class ConfigImpactAnalyzer {
+  /**
+   * `before` and `after` are loaded ConfigManagers for the two bundles
+   */
+  constructor(before, after) {
+    this.before = before;
+    this.after = after;
+  }
+
+  /**
+   * What changed between the bundles:
+   *   files            - configuration files added, removed or edited
+   *   systems          - { added, removed } system ids
+   *   components       - per system: { systemId, name, change, before, after }
+   *   componentPeriods - billing period changes { name, change, before, after }
+   *   formulas         - per service: { name, change, fields } (fields: formula keys that differ)
+   *   derivedVariables - { name, change, before, after } with the expressions
+   */
+  diffConfig() {
+    const before = this.before.config;
+    const after = this.after.config;
+    const beforeFiles = this.before.exportFiles().documents;
+    const afterFiles = this.after.exportFiles().documents;
+
+    const systemIds = [...new Set([...Object.keys(before.systems || {}), ...Object.keys(after.systems || {})])];
+    const components = systemIds.flatMap(systemId =>
+      diffEntries(before.systems?.[systemId]?.components, after.systems?.[systemId]?.components)
+        .map(entry => ({ systemId, ...entry }))
+    );
+
+    const formulas = diffEntries(before.formulas, after.formulas).map(({ name, change, before: old, after: current }) => ({
+      name,
+      change,
+      fields: change === 'changed'
+        ? [...new Set([...Object.keys(old), ...Object.keys(current)])].filter(field => !isEqual(old[field], current[field]))
+        : []
+    }));
+
+    const expression = definition => definition?.expression ?? null;
+    const derivedVariables = diffEntries(before.derivedVariables, after.derivedVariables)
+      .map(entry => ({ ...entry, before: expression(entry.before), after: expression(entry.after) }));
+
+    return {
+      files: [...new Set([...Object.keys(beforeFiles), ...Object.keys(afterFiles)])]
+        .filter(file => !isEqual(beforeFiles[file], afterFiles[file])),
+      systems: {
+        added: systemIds.filter(systemId => !before.systems?.[systemId]),
+        removed: systemIds.filter(systemId => !after.systems?.[systemId])
+      },
+      components,
+      componentPeriods: diffEntries(before.baseCosts?.component_periods, after.baseCosts?.component_periods),
+      formulas,
+      derivedVariables
+    };
+  }
+
+  /**
+   * Price a scenario with both bundles and compare per system and service.
+   *
+   * A scenario is { name, systems, serviceInputs, createEngine(configManager) };
+   * systems defaults to every system in either bundle. A system missing from one
+   * bundle, or whose estimate fails there (or the scenario itself), has an
+   * error for that side.
+   *
+   * A derived variable one bundle has and the other lacks (a bundle from
+   * before derived_variables, whose formulas read the value as a plain input)
+   * is passed to the lacking side as an input, with the value the other side
+   * derived for the same system. The borrowed values are reported per side.
+   */
+  compareScenario(scenario) {
+    const sides = { before: this.before, after: this.after };
+    const engines = {};
+    const results = { before: {}, after: {} };
+    const borrowed = { before: {}, after: {} };
+
+    const systemIds = scenario.systems || [...new Set([
+      ...Object.keys(this.before.getSystems()),
+      ...Object.keys(this.after.getSystems())
+    ])];
+
+    const derivedNames = side => Object.keys(sides[side].config.derivedVariables || {});
+    const lacking = {
+      before: derivedNames('after').filter(name => !derivedNames('before').includes(name)),
+      after: derivedNames('before').filter(name => !derivedNames('after').includes(name))
+    };
+    // The side that lacks fewer derived variables is priced first, so the other can borrow from it
+    const order = lacking.before.length > lacking.after.length ? ['after', 'before'] : ['before', 'after'];
+
+    for (const side of order) {
+      const configManager = sides[side];
+      const other = side === 'before' ? 'after' : 'before';
+      let setupError = null;
+      try {
+        engines[side] = scenario.createEngine(configManager);
+      } catch (error) {
+        setupError = error.message;
+      }
+      for (const systemId of systemIds) {
+        if (setupError) {
+          results[side][systemId] = { error: setupError };
+          continue;
+        }
+        if (!configManager.getSystems()[systemId]) {
+          results[side][systemId] = { missing: true, error: `${systemId} is not in this configuration` };
+          continue;
+        }
+
+        const derived = results[other][systemId]?.derived || {};
+        const inputs = Object.fromEntries(lacking[side].filter(name => name in derived).map(name => [name, derived[name]]));
+        borrowed[side][systemId] = inputs;
+        try {
+          results[side][systemId] = engines[side].calculateWith({ systemId, inputs, serviceInputs: scenario.serviceInputs || {} });
+        } catch (error) {
+          results[side][systemId] = { error: error.message };
+        }
+      }
+    }
+
+    const engine = engines.after || engines.before;
+    return {
+      name: scenario.name,
+      period: engine?.reportingPeriod ?? null,
+      currency: engine?.displayCurrency ?? null,
+      pricingDate: engine?.getPricingDate() ?? null,
+      systems: systemIds.map(systemId => this.compareSystem(systemId, results.before[systemId], results.after[systemId], {
+        before: borrowed.before[systemId] || {},
+        after: borrowed.after[systemId] || {}
+      }))
+    };
+  }
+
+  /**
+   * Service, subtotal and total deltas for one system's two results. Status is
+   * unchanged, changed, added or removed (system in one bundle only), or error.
+   * `borrowed` lists the inputs each side took from the other's derived values.
+   */
+  compareSystem(systemId, before = {}, after = {}, borrowed = { before: {}, after: {} }) {
+    const services = [...new Set([...Object.keys(before.services || {}), ...Object.keys(after.services || {})])];
+    const serviceDeltas = services.map(service => ({
+      service,
+      ...difference(before.services?.[service] ?? null, after.services?.[service] ?? null)
+    }));
+    const total = difference(before.total ?? null, after.total ?? null);
+
+    let status = 'unchanged';
+    if (before.missing && !after.error) {
+      status = 'added';
+    } else if (after.missing && !before.error) {
+      status = 'removed';
+    } else if (before.error || after.error) {
+      status = 'error';
+    } else if (total.delta !== 0 || serviceDeltas.some(({ before: old, after: current }) => old !== current)) {
+      status = 'changed';
+    }
+
+    return {
+      systemId,
+      name: this.after.getSystemInfo(systemId)?.name || this.before.getSystemInfo(systemId)?.name || systemId,
+      status,
+      errors: { before: before.error || null, after: after.error || null },
+      borrowed,
+      services: serviceDeltas,
+      subtotal: difference(before.subtotal ?? null, after.subtotal ?? null),
+      total
+    };
+  }
+
+  /**
+   * Full report: the config diff and one comparison per scenario
+   */
+  analyze(scenarios) {
+    const comparisons = scenarios.map(scenario => this.compareScenario(scenario));
+    const systems = comparisons.flatMap(comparison => comparison.systems);
+    return {
+      config: this.diffConfig(),
+      scenarios: comparisons,
+      summary: {
+        scenarios: comparisons.length,
+        changed: systems.filter(system => !['unchanged', 'error'].includes(system.status)).length,
+        errors: systems.filter(system => system.status === 'error').length
+      }
+    };
+  }
+}
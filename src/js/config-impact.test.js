@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { ConfigImpactAnalyzer, documentScenario } from './config-impact.js';
+import { ConfigManager } from './config-manager.js';
+
+const bundle = ({ formulas, systems }) => {
+  const configManager = new ConfigManager();
+  configManager.setConfig({ baseCosts: { systems }, formulas, multipliers: {} });
+  return configManager;
+};
+
+const storage = { storage: '$storage_volume_gb * $storage_per_gb' };
+const derivedVariables = { storage_volume_gb: { expression: '$data_volume_gb * $retention_days' } };
+
+// Storage volume was a plain input before derived_variables existed
+const beforeDerived = bundle({
+  formulas: storage,
+  systems: {
+    a: { name: 'System A', components: { storage_per_gb: 0.01 } },
+    b: { name: 'System B', components: { storage_per_gb: 0.03 } }
+  }
+});
+const withDerived = bundle({
+  formulas: { ...storage, derived_variables: derivedVariables },
+  systems: {
+    a: { name: 'System A', components: { storage_per_gb: 0.02 } },
+    c: { name: 'System C', components: { storage_per_gb: 0.01 } }
+  }
+});
+
+const scenario = documentScenario({ name: 'Small', variables: { data_volume_gb: 100, retention_days: 10 } }, 'small.yaml');
+
+describe('ConfigImpactAnalyzer.diffConfig', () => {
+  it('lists changed systems, components, formulas and derived variables', () => {
+    const diff = new ConfigImpactAnalyzer(beforeDerived, withDerived).diffConfig();
+
+    expect(diff.systems).toEqual({ added: ['c'], removed: ['b'] });
+    expect(diff.components).toContainEqual({ systemId: 'a', name: 'storage_per_gb', change: 'changed', before: 0.01, after: 0.02 });
+    expect(diff.formulas).toEqual([]);
+    expect(diff.derivedVariables).toEqual([
+      { name: 'storage_volume_gb', change: 'added', before: null, after: '$data_volume_gb * $retention_days' }
+    ]);
+  });
+});
+
+describe('ConfigImpactAnalyzer.compareScenario', () => {
+  it('prices a bundle from before derived variables with the other bundle\'s derived values', () => {
+    const comparison = new ConfigImpactAnalyzer(beforeDerived, withDerived).compareScenario(scenario);
+    const a = comparison.systems.find(system => system.systemId === 'a');
+
+    // 100 GB × 10 days = 1,000 GB, at 0.01 before and 0.02 after
+    expect(a.status).toBe('changed');
+    expect(a.borrowed).toEqual({ before: { storage_volume_gb: 1000 }, after: {} });
+    expect(a.total).toEqual({ before: 10, after: 20, delta: 10, percent: 100 });
+  });
+
+  it('borrows in the other direction when the newer bundle lacks the derived variable', () => {
+    const comparison = new ConfigImpactAnalyzer(withDerived, beforeDerived).compareScenario(scenario);
+    const a = comparison.systems.find(system => system.systemId === 'a');
+
+    expect(a.borrowed).toEqual({ before: {}, after: { storage_volume_gb: 1000 } });
+    expect(a.total).toMatchObject({ before: 20, after: 10 });
+  });
+
+  it('reports systems in one bundle only, and can\'t borrow for them', () => {
+    const systems = new ConfigImpactAnalyzer(beforeDerived, withDerived).compareScenario(scenario).systems;
+    const status = Object.fromEntries(systems.map(system => [system.systemId, system.status]));
+
+    // The bundle with derived variables has no b to take storage_volume_gb from
+    expect(status).toEqual({ a: 'changed', b: 'error', c: 'added' });
+    expect(systems.find(system => system.systemId === 'b').errors).toEqual({
+      before: expect.stringMatching(/could not price storage: Unknown variable \$storage_volume_gb/),
+      after: 'b is not in this configuration'
+    });
+  });
+
+  it('leaves bundles with the same derived variables alone', () => {
+    const analysis = new ConfigImpactAnalyzer(withDerived, withDerived).analyze([scenario]);
+    const [a] = analysis.scenarios[0].systems;
+
+    expect(a).toMatchObject({ systemId: 'a', status: 'unchanged', borrowed: { before: {}, after: {} } });
+    expect(analysis.summary).toEqual({ scenarios: 1, changed: 0, errors: 0 });
+  });
+
+  it('reports a scenario one bundle can\'t set up as an error on that side', () => {
+    const broken = documentScenario({ variables: { storage_volume_gb: 500 } }, 'broken.yaml');
+    const [a] = new ConfigImpactAnalyzer(beforeDerived, withDerived).compareScenario({ ...broken, systems: ['a'] }).systems;
+
+    expect(a.status).toBe('error');
+    expect(a.errors).toEqual({ before: null, after: 'storage_volume_gb is derived from other inputs; set those instead' });
+  });
+});
@@ -3,14 +3,33 @@
  * Handles loading and validation of cost configuration files
  */
 
+import { DEFAULT_MANIFEST, FILE_LIST, MANIFEST_SECTIONS, loadConfigFiles } from './config-manifest.js';
+import { resolveOrder } from './dependency-graph.js';
+import { hasPriceHistory, normalizeDate, resolveComponents, resolvePrice, today, validatePriceHistory } from './price-history.js';
+import { resolveSystems } from './system-inheritance.js';
+
+// Advanced Settings: the multipliers.yaml section each selection reads its
+// factor from, and the engine variable the adjustment pipeline uses
+const GLOBAL_MULTIPLIERS = {
+  volume_tier: { section: 'volume_multipliers', variable: 'volume_multiplier' },
+  contract_type: { section: 'contract_multipliers', variable: 'contract_multiplier' },
+  support_level: { section: 'support_multipliers', variable: 'support_multiplier' },
+  sla_level: { section: 'sla_multipliers', variable: 'sla_multiplier' }
+};
+
 export class ConfigManager {
   constructor() {
     this.config = {
       baseCosts: {},
       formulas: {},
+      derivedVariables: {},
       multipliers: {},
-      systems: {}
+      currencies: {},
+      systems: {},
+      componentSources: {}
     };
+    // The files the configuration was read from: { sections, documents }
+    this.files = { sections: {}, documents: {} };
     this.isLoaded = false;
   }
 
@@ -24,30 +43,17 @@ export class ConfigManager {
   }
 
   /**
-   * Load configuration from files
+   * Load configuration from the files listed in config/index.yaml
    */
   async loadConfig() {
     try {
       const basePath = this.getBasePath();
-      const [baseCosts, formulas, multipliers] = await Promise.all([
-        this.loadYamlFile(`${basePath}config/base-costs.yaml`),
-        this.loadYamlFile(`${basePath}config/formulas.yaml`),
-        this.loadYamlFile(`${basePath}config/multipliers.yaml`)
-      ]);
-
-      this.config.baseCosts = baseCosts;
-      this.config.formulas = formulas;
-      this.config.multipliers = multipliers;
-
-      // Extract systems from baseCosts
-      if (baseCosts.systems) {
-        this.config.systems = baseCosts.systems;
-      }
-      
-      // For backward compatibility, create flat costs from first system
-      this.config.flatBaseCosts = this.getSystemCosts(Object.keys(this.config.systems)[0]);
-      
-      this.isLoaded = true;
+      const { sections, documents, config } = await loadConfigFiles(
+        file => this.loadYamlFile(`${basePath}config/${file}`),
+        () => this.loadJsonFile(`${basePath}config/${FILE_LIST}`)
+      );
+
+      this.setConfig(config, { sections, documents });
       return this.config;
     } catch (error) {
       console.error('Error loading configuration:', error);
@@ -55,6 +61,46 @@ export class ConfigManager {
     }
   }
 
+  /**
+   * Use already-parsed configuration files (the YAML documents as loaded),
+   * e.g. when reading config/ from disk in Node. `files` ({ sections,
+   * documents } from loadConfigFiles) records where each section came from;
+   * without it every section is its single default file.
+   */
+  setConfig({ baseCosts, formulas, multipliers, currencies }, files = null) {
+    this.config.baseCosts = baseCosts;
+    // derived_variables sits beside the service formulas but is not a service
+    const { derived_variables: derivedVariables = {}, ...serviceFormulas } = formulas;
+    this.config.formulas = serviceFormulas;
+    this.config.derivedVariables = derivedVariables;
+    this.config.multipliers = multipliers;
+    this.config.currencies = currencies;
+
+    // Without a manifest each section is one file of its own
+    if (!files) {
+      files = { sections: {}, documents: {} };
+      for (const [key, document] of Object.entries({ baseCosts, formulas, multipliers, currencies })) {
+        const [file] = DEFAULT_MANIFEST[MANIFEST_SECTIONS[key]];
+        files.sections[key] = [file];
+        files.documents[file] = document;
+      }
+    }
+    this.files = files;
+
+    // Extract systems from baseCosts, resolving `extends` (throws on a cycle)
+    if (baseCosts.systems) {
+      const { systems, sources } = resolveSystems(baseCosts.systems, serviceFormulas);
+      this.config.systems = systems;
+      this.config.componentSources = sources;
+    }
+    
+    // For backward compatibility, create flat costs from first system
+    this.config.flatBaseCosts = this.getSystemCosts(Object.keys(this.config.systems)[0]);
+    
+    this.isLoaded = true;
+    return this.config;
+  }
+
   /**
    * Load a YAML file
    */
@@ -72,6 +118,17 @@ export class ConfigManager {
     }
   }
 
+  /**
+   * Load a JSON file (the config directory listing used to expand globs)
+   */
+  async loadJsonFile(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${path}: ${response.statusText}`);
+    }
+    return response.json();
+  }
+
   /**
    * Get available systems
    */
@@ -80,11 +137,43 @@ export class ConfigManager {
   }
 
   /**
-   * Get costs for a specific system
+   * Get a system's component prices as of a date (YYYY-MM-DD, default today),
+   * picking the dated price in effect for components with a price history
+   */
+  getSystemCosts(systemId, pricingDate = today()) {
+    const system = this.config.systems[systemId];
+    return system ? resolveComponents(system.components, pricingDate) : {};
+  }
+
+  /**
+   * Effective component prices of a system as of a date, with where each
+   * value came from: [{ name, value, dated, definedIn, markups }]
+   * (markups: [{ systemId, scope, percent }] applied on the way down; value
+   * is null when a price history has no price on that date)
    */
-  getSystemCosts(systemId) {
+  getEffectiveComponents(systemId, pricingDate = today()) {
     const system = this.config.systems[systemId];
-    return system ? system.components : {};
+    if (!system) return [];
+
+    const date = normalizeDate(pricingDate);
+    const priceOn = (name, value) => {
+      try {
+        return resolvePrice(name, value, date);
+      } catch {
+        return null;
+      }
+    };
+
+    return Object.entries(system.components).map(([name, value]) => {
+      const source = this.config.componentSources[systemId]?.[name] || { systemId, markups: [] };
+      return {
+        name,
+        value: priceOn(name, value),
+        dated: hasPriceHistory(value),
+        definedIn: source.systemId,
+        markups: source.markups
+      };
+    });
   }
 
   /**
@@ -97,7 +186,8 @@ export class ConfigManager {
     return {
       id: systemId,
       name: system.name,
-      description: system.description
+      description: system.description,
+      currency: system.currency || this.config.currencies?.base_currency
     };
   }
 
@@ -154,6 +244,34 @@ export class ConfigManager {
     return this.config.multipliers || {};
   }
 
+  /**
+   * Resolve an Advanced Settings selection (e.g. contract_type: annual_commitment)
+   * to the engine variable it sets and its factor
+   */
+  getGlobalMultiplier(setting, selection) {
+    const definition = GLOBAL_MULTIPLIERS[setting];
+    if (!definition) {
+      throw new Error(`Unknown multiplier setting '${setting}' (expected ${Object.keys(GLOBAL_MULTIPLIERS).join(', ')})`);
+    }
+
+    const options = this.getMultipliers()[definition.section] || {};
+    const option = options[selection];
+    if (option === undefined) {
+      throw new Error(`Unknown ${setting} '${selection}' (expected ${Object.keys(options).join(', ')})`);
+    }
+
+    // Volume tiers carry a threshold alongside their multiplier
+    const factor = typeof option === 'object' ? option.multiplier : option;
+    return { variable: definition.variable, factor };
+  }
+
+  /**
+   * Get complexity profiles (name -> factor) for a service
+   */
+  getComplexityProfiles(serviceType) {
+    return this.config.multipliers?.complexity_multipliers?.[serviceType] || {};
+  }
+
   /**
    * Update configuration (for runtime modifications)
    */
@@ -175,6 +293,39 @@ export class ConfigManager {
     if (!this.config.formulas) errors.push('Missing formulas section');
     if (!this.config.multipliers) errors.push('Missing multipliers section');
 
+    // Check that systems are priced in known currencies
+    const currencies = this.config.currencies?.currencies || {};
+    for (const [systemId, system] of Object.entries(this.config.systems || {})) {
+      if (system.currency && !currencies[system.currency]) {
+        errors.push(`Unknown currency ${system.currency} for system ${systemId}`);
+      }
+    }
+
+    // Check that price histories have valid, non-overlapping date ranges
+    for (const [systemId, system] of Object.entries(this.config.systems || {})) {
+      for (const [name, value] of Object.entries(system.components || {})) {
+        if (hasPriceHistory(value)) {
+          errors.push(...validatePriceHistory(`${systemId}.${name}`, value));
+        }
+      }
+    }
+
+    // Check that systems only declare services that have formulas
+    for (const [systemId, system] of Object.entries(this.config.systems || {})) {
+      for (const service of Object.keys(system.services || {})) {
+        if (!this.config.formulas[service]) {
+          errors.push(`Unknown service ${service} declared by system ${systemId}`);
+        }
+      }
+    }
+
+    // Check that derived variables parse and don't depend on each other in a loop
+    try {
+      resolveOrder(this.config.derivedVariables || {});
+    } catch (error) {
+      errors.push(error.message);
+    }
+
     // Check required services in formulas
     const requiredServices = ['transport', 'storage', 'extraction', 'enrichment', 'modeling', 'search', 'exploration'];
     for (const service of requiredServices) {
@@ -202,7 +353,7 @@ export class ConfigManager {
         encryption_level: 1
       },
       storage: {
-        storage_volume_gb: 1000
+        retention_days: 10
       },
       extraction: {
         processing_hours: 10,
@@ -220,7 +371,7 @@ export class ConfigManager {
       },
       search: {
         search_queries: 10000,
-        search_index_gb: 100,
+        search_index_ratio: 0.1,
         search_complexity: 1,
         real_time_requirements: 1
       },
@@ -239,9 +390,21 @@ export class ConfigManager {
   exportConfig() {
     return {
       baseCosts: this.config.baseCosts,
-      formulas: this.config.formulas,
+      formulas: { ...this.config.formulas, derived_variables: this.config.derivedVariables },
       multipliers: this.config.multipliers,
+      currencies: this.config.currencies,
       timestamp: new Date().toISOString()
     };
   }
+
+  /**
+   * The files the configuration was read from: { sections: { baseCosts: [paths], ... },
+   * documents: { path: document } }
+   */
+  exportFiles() {
+    return {
+      sections: Object.fromEntries(Object.entries(this.files.sections).map(([key, files]) => [key, [...files]])),
+      documents: { ...this.files.documents }
+    };
+  }
 }
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * Config Manifest
+ * config/index.yaml lists the files that make up each configuration section,
+ * so that systems and services can each live in a file of their own:
+ *
+ *   base_costs:
+ *     - base-costs.yaml         # component_periods
+ *     - systems/*.yaml          # one file per system
+ *   formulas:
+ *     - formulas.yaml           # derived_variables
+ *     - formulas/transport.yaml
+ *   multipliers: [multipliers.yaml]
+ *   currencies: [currencies.yaml]
+ *
+ * Entries are paths relative to the config directory, or globs (`*` and `?`
+ * within a directory, `**` across directories) that expand in path order.
+ * A section's documents are merged key by key in the order listed: mappings
+ * merge, and any other value may only be set by one file. Without an
+ * index.yaml, each section is the single file of DEFAULT_MANIFEST.
+ */
+
+export const MANIFEST_FILE = 'index.yaml';
+
+// Listing of the config directory, published with the app so the browser can expand globs
+export const FILE_LIST = 'files.json';
+
+// The manifest section for each ConfigManager.setConfig key
+export const MANIFEST_SECTIONS = {
+  baseCosts: 'base_costs',
+  formulas: 'formulas',
+  multipliers: 'multipliers',
+  currencies: 'currencies'
+};
+
+export const DEFAULT_MANIFEST = {
+  base_costs: ['base-costs.yaml'],
+  formulas: ['formulas.yaml'],
+  multipliers: ['multipliers.yaml'],
+  currencies: ['currencies.yaml']
+};
+
+/**
+ * Whether a manifest entry is a glob rather than a file path
+ */
+export function isGlob(entry) {
+  return /[*?]/.test(entry);
+}
+
+/**
+ * Regular expression for a glob over /-separated relative paths
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      const directories = glob[i + 2] === '/';
+      source += directories ? '(?:.*/)?' : '.*';
+      i += directories ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether a relative path matches a glob
+ */
+export function matchGlob(glob, file) {
+  return globToRegExp(glob).test(file);
+}
+
+/**
+ * Check a parsed index.yaml and return it as { section: [entries] }.
+ * No document (null) means there is no manifest: DEFAULT_MANIFEST.
+ */
+export function readManifest(document) {
+  if (document === null || document === undefined) {
+    return DEFAULT_MANIFEST;
+  }
+  if (typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error(`${MANIFEST_FILE} must map each section to a list of files`);
+  }
+
+  const sections = Object.values(MANIFEST_SECTIONS);
+  for (const section of Object.keys(document)) {
+    if (!sections.includes(section)) {
+      throw new Error(`${MANIFEST_FILE}: unknown section ${section} (expected ${sections.join(', ')})`);
+    }
+  }
+
+  return Object.fromEntries(sections.map(section => {
+    const entries = typeof document[section] === 'string' ? [document[section]] : document[section];
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error(`${MANIFEST_FILE}: ${section} must list at least one file`);
+    }
+    for (const entry of entries) {
+      if (typeof entry !== 'string' || entry === '' || entry.startsWith('/') || entry.split('/').includes('..')) {
+        throw new Error(`${MANIFEST_FILE}: ${section}: ${JSON.stringify(entry)} is not a path inside the config directory`);
+      }
+    }
+    return [section, entries];
+  }));
+}
+
+/**
+ * The files of each section, { baseCosts: [paths], ... }, with globs expanded
+ * against `files` (the config directory's relative paths). A glob that matches
+ * nothing is an error, as is a file included by two sections; within a section
+ * a file is read once, where it is first included.
+ */
+export function resolveManifest(manifest, files = null) {
+  const includedBy = {};
+  const sections = {};
+
+  for (const [key, section] of Object.entries(MANIFEST_SECTIONS)) {
+    sections[key] = [];
+    for (const entry of manifest[section]) {
+      let matches = [entry];
+      if (isGlob(entry)) {
+        if (!files) {
+          throw new Error(`${MANIFEST_FILE}: ${section} includes ${entry}, but the config directory can't be listed to expand it`);
+        }
+        matches = files.filter(file => file !== MANIFEST_FILE && matchGlob(entry, file)).sort();
+        if (matches.length === 0) {
+          throw new Error(`${MANIFEST_FILE}: ${section}: ${entry} matches no files`);
+        }
+      }
+
+      for (const file of matches) {
+        if (includedBy[file] && includedBy[file] !== section) {
+          throw new Error(`${MANIFEST_FILE}: ${file} is included by both ${includedBy[file]} and ${section}`);
+        }
+        if (!includedBy[file]) {
+          includedBy[file] = section;
+          sections[key].push(file);
+        }
+      }
+    }
+  }
+  return sections;
+}
+
+/**
+ * A mapping (not a list, date or scalar)
+ */
+function isMapping(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Merge a section's documents ([{ file, data }]) key by key. Mappings merge;
+ * a value of any other kind set by two files is an error naming both.
+ */
+export function mergeDocuments(documents) {
+  const setBy = {};
+
+  const merge = (target, source, file, path) => {
+    for (const [key, value] of Object.entries(source)) {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (!(key in target)) {
+        setBy[keyPath] = file;
+        target[key] = isMapping(value) ? merge({}, value, file, keyPath) : value;
+      } else if (isMapping(target[key]) && isMapping(value)) {
+        merge(target[key], value, file, keyPath);
+      } else {
+        throw new Error(`${keyPath} is set in both ${setBy[keyPath]} and ${file}`);
+      }
+    }
+    return target;
+  };
+
+  const merged = {};
+  for (const { file, data } of documents) {
+    if (data === null || data === undefined) continue;
+    if (!isMapping(data)) {
+      throw new Error(`${file} must be a mapping`);
+    }
+    merge(merged, data, file, '');
+  }
+  return merged;
+}
+
+/**
+ * Merge each section's documents ({ path: document }) into a configuration
+ * for ConfigManager.setConfig
+ */
+export function assembleConfig(sections, documents) {
+  return Object.fromEntries(Object.entries(sections).map(([key, files]) => [
+    key,
+    mergeDocuments(files.map(file => ({ file, data: documents[file] })))
+  ]));
+}
+
+/**
+ * Read a configuration through its manifest. `readFile(path)` returns the
+ * parsed document at a path relative to the config directory, or null if
+ * there is none; `listFiles()` lists the directory and is only called when
+ * the manifest has globs. Either may return a promise.
+ * Returns { sections, documents, config }.
+ */
+export async function loadConfigFiles(readFile, listFiles = null) {
+  const manifest = readManifest(await readFile(MANIFEST_FILE));
+  const hasGlobs = Object.values(manifest).flat().some(isGlob);
+  const sections = resolveManifest(manifest, hasGlobs && listFiles ? await listFiles() : null);
+
+  const files = [...new Set(Object.values(sections).flat())];
+  const documents = Object.fromEntries(await Promise.all(files.map(async (file) => {
+    const data = await readFile(file);
+    if (data === null) {
+      throw new Error(`Configuration file not found: ${file}`);
+    }
+    return [file, data];
+  })));
+
+  return { sections, documents, config: assembleConfig(sections, documents) };
+}
@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_MANIFEST,
+  loadConfigFiles,
+  matchGlob,
+  mergeDocuments,
+  readManifest,
+  resolveManifest
+} from './config-manifest.js';
+
+const manifest = {
+  base_costs: ['base-costs.yaml', 'systems/*.yaml'],
+  formulas: ['formulas.yaml', 'formulas/transport.yaml', 'formulas/*.yaml'],
+  multipliers: 'multipliers.yaml',
+  currencies: ['currencies.yaml']
+};
+
+const files = [
+  'base-costs.yaml',
+  'currencies.yaml',
+  'formulas.yaml',
+  'formulas/storage.yaml',
+  'formulas/transport.yaml',
+  'index.yaml',
+  'multipliers.yaml',
+  'systems/system_b.yaml',
+  'systems/system_a.yaml'
+];
+
+describe('matchGlob', () => {
+  it('matches * and ? within a directory and ** across directories', () => {
+    expect(matchGlob('systems/*.yaml', 'systems/system_a.yaml')).toBe(true);
+    expect(matchGlob('systems/*.yaml', 'systems/eu/system_e.yaml')).toBe(false);
+    expect(matchGlob('systems/**/*.yaml', 'systems/eu/system_e.yaml')).toBe(true);
+    expect(matchGlob('systems/**/*.yaml', 'systems/system_a.yaml')).toBe(true);
+    expect(matchGlob('system_?.yaml', 'system_a.yaml')).toBe(true);
+    expect(matchGlob('*.yaml', 'base-costs.yml')).toBe(false);
+  });
+});
+
+describe('readManifest', () => {
+  it('falls back to one file per section without an index.yaml', () => {
+    expect(readManifest(null)).toBe(DEFAULT_MANIFEST);
+  });
+
+  it('reads a single path as a one-entry list', () => {
+    expect(readManifest(manifest).multipliers).toEqual(['multipliers.yaml']);
+  });
+
+  it('rejects unknown sections, empty sections and paths outside the directory', () => {
+    expect(() => readManifest({ ...manifest, scenarios: ['a.yaml'] })).toThrow('unknown section scenarios');
+    expect(() => readManifest({ ...manifest, currencies: [] })).toThrow('currencies must list at least one file');
+    expect(() => readManifest({ ...manifest, currencies: ['../secrets.yaml'] })).toThrow(/is not a path inside the config directory/);
+    expect(() => readManifest(['base-costs.yaml'])).toThrow(/must map each section/);
+  });
+});
+
+describe('resolveManifest', () => {
+  it('expands globs in path order and reads each file once', () => {
+    const sections = resolveManifest(readManifest(manifest), files);
+    expect(sections.baseCosts).toEqual(['base-costs.yaml', 'systems/system_a.yaml', 'systems/system_b.yaml']);
+    // transport.yaml is listed first, so the glob doesn't add it again
+    expect(sections.formulas).toEqual(['formulas.yaml', 'formulas/transport.yaml', 'formulas/storage.yaml']);
+  });
+
+  it('rejects globs that match nothing and files included by two sections', () => {
+    expect(() => resolveManifest(readManifest({ ...manifest, currencies: ['rates/*.yaml'] }), files))
+      .toThrow('currencies: rates/*.yaml matches no files');
+    expect(() => resolveManifest(readManifest({ ...manifest, currencies: ['currencies.yaml', 'systems/system_a.yaml'] }), files))
+      .toThrow('systems/system_a.yaml is included by both base_costs and currencies');
+  });
+
+  it('needs a directory listing to expand a glob', () => {
+    expect(() => resolveManifest(readManifest(manifest))).toThrow(/can't be listed/);
+  });
+});
+
+describe('mergeDocuments', () => {
+  it('merges mappings key by key', () => {
+    const merged = mergeDocuments([
+      { file: 'base-costs.yaml', data: { component_periods: { bandwidth_base_cost: 'month' } } },
+      { file: 'systems/system_a.yaml', data: { system_a: { components: { egress_cost_per_gb: 0.02 } } } },
+      { file: 'systems/system_b.yaml', data: { system_b: { extends: 'system_a' } } },
+      { file: 'empty.yaml', data: null }
+    ]);
+    expect(merged).toEqual({
+      component_periods: { bandwidth_base_cost: 'month' },
+      system_a: { components: { egress_cost_per_gb: 0.02 } },
+      system_b: { extends: 'system_a' }
+    });
+  });
+
+  it('names both files when a value is set twice', () => {
+    expect(() => mergeDocuments([
+      { file: 'systems/system_a.yaml', data: { system_a: { components: { egress_cost_per_gb: 0.02 } } } },
+      { file: 'systems/copy.yaml', data: { system_a: { components: { egress_cost_per_gb: 0.03 } } } }
+    ])).toThrow('system_a.components.egress_cost_per_gb is set in both systems/system_a.yaml and systems/copy.yaml');
+  });
+
+  it('treats lists and dates as values, not mappings', () => {
+    expect(() => mergeDocuments([
+      { file: 'a.yaml', data: { price: [{ value: 1 }] } },
+      { file: 'b.yaml', data: { price: [{ value: 2 }] } }
+    ])).toThrow('price is set in both a.yaml and b.yaml');
+    expect(() => mergeDocuments([{ file: 'list.yaml', data: ['a'] }])).toThrow('list.yaml must be a mapping');
+  });
+});
+
+describe('loadConfigFiles', () => {
+  const documents = {
+    'index.yaml': manifest,
+    'base-costs.yaml': { component_periods: {} },
+    'systems/system_a.yaml': { system_a: { components: { egress_cost_per_gb: 0.02 } } },
+    'systems/system_b.yaml': { system_b: { extends: 'system_a' } },
+    'formulas.yaml': { derived_variables: {} },
+    'formulas/transport.yaml': { transport: '$data_volume_gb * $egress_cost_per_gb' },
+    'formulas/storage.yaml': { storage: '$storage_volume_gb * 0.01' },
+    'multipliers.yaml': { adjustments: [] },
+    'currencies.yaml': { base_currency: 'USD' }
+  };
+  const readFile = async (file) => documents[file] ?? null;
+
+  it('reads every section through the manifest', async () => {
+    const { config, sections } = await loadConfigFiles(readFile, async () => files);
+    expect(sections.baseCosts).toHaveLength(3);
+    expect(Object.keys(config.baseCosts)).toEqual(['component_periods', 'system_a', 'system_b']);
+    expect(Object.keys(config.formulas)).toEqual(['derived_variables', 'transport', 'storage']);
+    expect(config.currencies).toEqual({ base_currency: 'USD' });
+  });
+
+  it('fails when a listed file is missing', async () => {
+    const listed = { ...documents, 'index.yaml': { ...manifest, currencies: ['rates.yaml'] } };
+    await expect(loadConfigFiles(async (file) => listed[file] ?? null, async () => files))
+      .rejects.toThrow('Configuration file not found: rates.yaml');
+  });
+});
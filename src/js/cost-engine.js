@@ -1,430 +1,265 @@
 /**
  * Cost Calculation Engine
- * Handles complex cost calculations for data services
+ * Holds the app's current selections (variables, profiles, overrides, period,
+ * currency) and prices them with estimate(). Every calculation gets its own
+ * Estimate, so nothing leaks from one system or run into the next.
  */
 
+import { coerceValue } from './variables.js';
+import { CurrencyTable } from './currency.js';
+import { PERIOD_DAYS } from './formula-evaluator.js';
+import { Estimate, estimate, validateOverrides } from './estimate.js';
+import { normalizeDate, resolveComponents, today } from './price-history.js';
+
 export class CostCalculationEngine {
   constructor(config) {
+    this.applyConfig(config);
+    this.variables = new Map();
+    this.variableDefinitions = new Map();
+    this.complexityProfiles = {};
+    this.reportingPeriod = 'day';
+    this.currentSystemId = null;
+    this.currentSystemCosts = null;
+    this.pricingDate = null;
+    this.systemOverrides = {};
+    this.displayCurrency = this.currencyTable.baseCurrency;
+  }
+
+  /**
+   * Take everything read from the configuration: formulas, prices, systems
+   * and the currency table built from its currencies
+   */
+  applyConfig(config) {
     this.baseCosts = config.baseCosts || {};
     this.formulas = config.formulas || {};
     this.multipliers = config.multipliers || {};
     this.systems = config.systems || {};
-    this.variables = new Map();
-    this.currentSystemCosts = {};
+    this.derivedVariables = config.derivedVariables || {};
+    this.currencies = config.currencies;
+    this.currencyTable = new CurrencyTable(config.currencies);
   }
 
   /**
-   * Set system-specific costs
+   * Select the system calculateTotalCost() prices. Without `costs` its
+   * components are resolved as of the pricing date at each calculation.
    */
-  setSystemCosts(systemId, costs) {
+  setSystemCosts(systemId, costs = null) {
+    this.currentSystemId = systemId;
     this.currentSystemCosts = costs;
   }
 
   /**
-   * Set a variable value for cost calculations
+   * Set the date component prices are resolved for (YYYY-MM-DD; null for today)
    */
-  setVariable(name, value) {
-    this.variables.set(name, value);
+  setPricingDate(date) {
+    this.pricingDate = date ? normalizeDate(date) : null;
   }
 
   /**
-   * Get current variable value
+   * The pricing date in effect (today unless one was set)
    */
-  getVariable(name) {
-    return this.variables.get(name) || 0;
+  getPricingDate() {
+    return this.pricingDate || today();
   }
 
   /**
-   * Calculate cost for a specific service type with specific system costs
+   * A system's component prices as of the pricing date
    */
-  calculateServiceCost(serviceType, parameters = {}) {
-    const formula = this.formulas[serviceType];
-    if (!formula) {
-      throw new Error(`No formula found for service type: ${serviceType}`);
-    }
-
-    // Merge system costs, parameters, and current variables
-    const context = { 
-      ...this.currentSystemCosts,
-      ...Object.fromEntries(this.variables), 
-      ...parameters 
-    };
-    
-    return this.evaluateFormula(formula, context);
+  getSystemCosts(systemId) {
+    return resolveComponents(this.systems[systemId]?.components, this.getPricingDate());
   }
 
   /**
-   * Check if a system supports a specific service
+   * Set per-system service input overrides (null clears them).
+   * Shape: { serviceType: { variable: { factor } | { value } } }
    */
-  checkServiceSupport(serviceType, systemCosts) {
-    // Get required cost variables for this service from the formula
-    const requiredVars = this.getRequiredVariables(serviceType);
-    
-    // Check if system has all required cost components in its YAML configuration
-    // We only check systemCosts (from YAML), not user input variables
-    for (const varName of requiredVars) {
-      if (!(varName in systemCosts)) {
-        console.log(`⊘ ${serviceType}: Not supported - missing component '${varName}'`);
-        return false;
-      }
+  setSystemOverrides(systemId, overrides) {
+    if (!overrides || Object.keys(overrides).length === 0) {
+      delete this.systemOverrides[systemId];
+      return;
     }
-    
-    return true;
+    validateOverrides(this, systemId, overrides);
+    this.systemOverrides[systemId] = overrides;
   }
 
   /**
-   * Get required variables for a service from its formula
+   * Declare the type of a variable (number, enum or boolean)
    */
-  getRequiredVariables(serviceType) {
-    const formula = this.formulas[serviceType];
-    const requiredVars = new Set();
-    
-    // Extract variable names from formula strings
-    const extractVars = (str) => {
-      if (typeof str === 'string') {
-        const matches = str.matchAll(/\$([a-zA-Z_][a-zA-Z0-9_]*)/g);
-        for (const match of matches) {
-          // Only include cost variables (those ending in _per_*, _cost, _price, etc.)
-          const varName = match[1];
-          if (varName.includes('_per_') || varName.includes('_cost') || 
-              varName.includes('_price') || varName.includes('_base')) {
-            requiredVars.add(varName);
-          }
-        }
-      }
-    };
-    
-    // Recursively extract from formula object
-    const traverse = (obj) => {
-      if (typeof obj === 'string') {
-        extractVars(obj);
-      } else if (typeof obj === 'object' && obj !== null) {
-        Object.values(obj).forEach(traverse);
-      }
-    };
-    
-    traverse(formula);
-    return Array.from(requiredVars);
+  defineVariable(name, definition) {
+    this.variableDefinitions.set(name, definition);
   }
 
   /**
-   * Calculate total cost across all services for a specific system
+   * Set a variable value for cost calculations, coercing it to its declared type
    */
-  calculateTotalCost(serviceParameters = {}) {
-    const costs = {};
-    const supportedServices = [];
-    const unsupportedServices = [];
-    let total = 0;
-
-    console.log('Calculating total cost for all services...');
-
-    for (const serviceType of Object.keys(this.formulas)) {
-      // Check if this system supports this service
-      if (!this.checkServiceSupport(serviceType, this.currentSystemCosts)) {
-        console.log(`⊘ ${serviceType}: Not supported by this system`);
-        costs[serviceType] = null; // null indicates unsupported
-        unsupportedServices.push(serviceType);
-        continue;
-      }
-      
-      try {
-        const serviceCost = this.calculateServiceCost(serviceType, serviceParameters[serviceType] || {});
-        costs[serviceType] = serviceCost;
-        supportedServices.push(serviceType);
-        console.log(`✓ ${serviceType} cost: $${serviceCost.toFixed(2)}`);
-        
-        if (!isNaN(serviceCost)) {
-          total += serviceCost;
-        } else {
-          console.warn(`${serviceType} returned NaN, skipping from total`);
-        }
-      } catch (error) {
-        console.error(`Error calculating ${serviceType} cost:`, error);
-        costs[serviceType] = 0;
-      }
-    }
-
-    console.log(`Supported services: ${supportedServices.length}/${Object.keys(this.formulas).length}`);
-    if (unsupportedServices.length > 0) {
-      console.log(`Unsupported: ${unsupportedServices.join(', ')}`);
-    }
-
-    return {
-      services: costs,
-      total,
-      breakdown: this.generateCostBreakdown(costs),
-      supportedServices,
-      unsupportedServices
-    };
+  setVariable(name, value) {
+    this.variables.set(name, this.coerceVariable(name, value));
   }
 
   /**
-   * Calculate costs for multiple systems
+   * Coerce a value to the declared type of a variable (untyped variables pass through)
    */
-  calculateMultiSystemCosts(systemIds, serviceParameters = {}) {
-    const results = [];
-
-    for (const systemId of systemIds) {
-      const systemCosts = this.systems[systemId]?.components || {};
-      this.setSystemCosts(systemId, systemCosts);
-      
-      const result = this.calculateTotalCost(serviceParameters);
-      results.push({
-        systemId,
-        ...result
-      });
-    }
-
-    return results;
+  coerceVariable(name, value) {
+    const definition = this.variableDefinitions.get(name);
+    return definition ? coerceValue(name, definition, value) : value;
   }
 
   /**
-   * Evaluate formula with given context
+   * Get current variable value
    */
-  evaluateFormula(formula, context) {
-    if (typeof formula === 'number') {
-      return formula;
-    }
-
-    if (typeof formula === 'string') {
-      // Handle variable references
-      if (formula.startsWith('$')) {
-        const varName = formula.substring(1);
-        return context[varName] || 0;
-      }
-      
-      // Handle formula expressions
-      return this.evaluateExpression(formula, context);
-    }
-
-    if (typeof formula === 'object' && formula !== null) {
-      return this.evaluateComplexFormula(formula, context);
-    }
-
-    return 0;
+  getVariable(name) {
+    return this.variables.get(name) || 0;
   }
 
   /**
-   * Evaluate mathematical expressions safely
+   * Set the billing period results are reported in (day, month or year)
    */
-  evaluateExpression(expression, context) {
-    console.log('Evaluating expression:', expression);
-    console.log('Context:', context);
-    
-    // Replace variables in expression
-    let processedExpression = expression;
-    
-    for (const [key, value] of Object.entries(context)) {
-      if (value !== undefined && value !== null) {
-        const regex = new RegExp(`\\$${key}\\b`, 'g');
-        processedExpression = processedExpression.replace(regex, value);
-      }
-    }
-
-    console.log('Processed expression:', processedExpression);
-
-    // Check for any remaining unreplaced variables
-    const unreplacedVars = processedExpression.match(/\$\w+/g);
-    if (unreplacedVars) {
-      console.warn('Unreplaced variables found:', unreplacedVars);
-      // Replace unreplaced variables with 0
-      for (const unreplacedVar of unreplacedVars) {
-        const varName = unreplacedVar.substring(1);
-        console.warn(`Setting missing variable ${varName} to 0`);
-        processedExpression = processedExpression.replace(new RegExp(`\\${unreplacedVar}\\b`, 'g'), '0');
-      }
+  setReportingPeriod(period) {
+    if (!(period in PERIOD_DAYS)) {
+      throw new Error(`Unknown reporting period '${period}' (expected ${Object.keys(PERIOD_DAYS).join(', ')})`);
     }
+    this.reportingPeriod = period;
+  }
 
-    console.log('Final processed expression:', processedExpression);
-
-    // Safe evaluation of mathematical expressions
-    try {
-      // Remove any non-mathematical characters for safety
-      const safeExpression = processedExpression.replace(/[^0-9+\-*/().\s]/g, '');
-      console.log('Safe expression:', safeExpression);
-      
-      if (safeExpression.trim() === '') {
-        console.warn('Empty expression after processing');
-        return 0;
-      }
-      
-      const result = Function(`"use strict"; return (${safeExpression})`)();
-      console.log('Expression result:', result);
-      return isNaN(result) ? 0 : result;
-    } catch (error) {
-      console.error('Error evaluating expression:', expression, error);
-      return 0;
-    }
+  /**
+   * Set the currency results are reported in
+   */
+  setDisplayCurrency(currency) {
+    this.currencyTable.getCurrency(currency);
+    this.displayCurrency = currency;
   }
 
   /**
-   * Evaluate complex formula objects
+   * Native currency a system is priced in (defaults to the base currency)
    */
-  evaluateComplexFormula(formula, context) {
-    if (formula.type === 'tiered') {
-      return this.evaluateTieredFormula(formula, context);
-    }
+  getSystemCurrency(systemId = this.currentSystemId) {
+    return this.systems[systemId]?.currency || this.currencyTable.baseCurrency;
+  }
 
-    if (formula.type === 'multiplier') {
-      return this.evaluateMultiplierFormula(formula, context);
-    }
+  /**
+   * Format an amount in the display currency
+   */
+  formatMoney(amount, options = {}) {
+    return this.currencyTable.format(amount, this.displayCurrency, options);
+  }
 
-    if (formula.type === 'conditional') {
-      return this.evaluateConditionalFormula(formula, context);
+  /**
+   * Select the complexity profile for a service (null restores the default)
+   */
+  setComplexityProfile(serviceType, profile) {
+    if (profile === null || profile === undefined) {
+      delete this.complexityProfiles[serviceType];
+      return;
     }
-
-    // Default: sum all numeric values in the formula object
-    let total = 0;
-    for (const value of Object.values(formula)) {
-      if (typeof value === 'number') {
-        total += value;
-      } else {
-        total += this.evaluateFormula(value, context);
-      }
+    const profiles = this.multipliers.complexity_multipliers?.[serviceType] || {};
+    if (!(profile in profiles)) {
+      throw new Error(`Unknown complexity profile '${profile}' for service ${serviceType}`);
     }
-
-    return total;
+    this.complexityProfiles[serviceType] = profile;
   }
 
   /**
-   * Evaluate tiered pricing formulas
+   * Options for estimate() from the current selections. `changes` adjusts one
+   * calculation without touching the engine: { systemId, inputs (merged over
+   * the current variables), serviceInputs, period }.
    */
-  evaluateTieredFormula(formula, context) {
-    const volume = context[formula.volumeVar] || 0;
-    const tiers = formula.tiers || [];
-    
-    let cost = 0;
-    let remainingVolume = volume;
-
-    for (const tier of tiers) {
-      if (remainingVolume <= 0) break;
-
-      const tierVolume = Math.min(remainingVolume, tier.limit || remainingVolume);
-      
-      // Evaluate the rate expression if it's a string, otherwise use as number
-      let rate = tier.rate;
-      if (typeof rate === 'string') {
-        rate = this.evaluateExpression(rate, context);
+  getEstimateOptions({ systemId = this.currentSystemId, inputs = {}, serviceInputs = {}, period = this.reportingPeriod } = {}) {
+    const variables = { ...Object.fromEntries(this.variables), ...inputs };
+
+    // Advanced Settings selections are stored as variables; the pipeline reads them by step
+    const adjustments = {};
+    for (const step of this.multipliers.adjustments || []) {
+      if (step.variable !== undefined && step.variable in variables) {
+        adjustments[step.name] = variables[step.variable];
       }
-      
-      cost += tierVolume * rate;
-      remainingVolume -= tierVolume;
     }
 
-    return cost;
+    return {
+      config: this,
+      systemId,
+      costs: systemId === this.currentSystemId ? this.currentSystemCosts : null,
+      pricingDate: this.getPricingDate(),
+      inputs: variables,
+      serviceInputs,
+      adjustments,
+      complexityProfiles: this.complexityProfiles,
+      overrides: this.systemOverrides[systemId] || {},
+      variableDefinitions: Object.fromEntries(this.variableDefinitions),
+      period,
+      currency: this.displayCurrency
+    };
   }
 
   /**
-   * Evaluate multiplier-based formulas
+   * Price one system with the current selections plus `changes` (see getEstimateOptions)
    */
-  evaluateMultiplierFormula(formula, context) {
-    console.log('Evaluating multiplier formula:', formula);
-    console.log('Formula base expression:', formula.base);
-    console.log('Context keys available:', Object.keys(context));
-    console.log('Context values for transport variables:', {
-      data_volume_gb: context.data_volume_gb,
-      ingestion_cost_per_gb: context.ingestion_cost_per_gb,
-      egress_volume_gb: context.egress_volume_gb,
-      egress_cost_per_gb: context.egress_cost_per_gb,
-      bandwidth_base_cost: context.bandwidth_base_cost
-    });
-    
-    const baseValue = this.evaluateExpression(formula.base, context);
-    console.log('Base value:', baseValue);
-    
-    let multiplier = 1;
-
-    for (const mult of formula.multipliers || []) {
-      const factor = context[mult.variable] || 1;
-      console.log(`Multiplier ${mult.variable}: ${factor}, factor: ${mult.factor}`);
-      // Fix: Apply multiplier correctly - if variable is 1, no multiplier, if 2 then 1.5x, if 3 then 1.5x again
-      if (factor > 1) {
-        multiplier *= Math.pow(mult.factor, factor - 1);
-      }
-    }
-
-    console.log('Final multiplier:', multiplier);
-    const result = baseValue * multiplier;
-    console.log('Multiplier formula result:', result);
-    return isNaN(result) ? 0 : result;
+  calculateWith(changes = {}) {
+    return estimate(this.getEstimateOptions(changes));
   }
 
   /**
-   * Evaluate conditional formulas
+   * Calculate total cost across all services for the current system
    */
-  evaluateConditionalFormula(formula, context) {
-    for (const condition of formula.conditions || []) {
-      if (this.evaluateCondition(condition.if, context)) {
-        // Evaluate the 'then' clause as an expression if it's a string
-        if (typeof condition.then === 'string') {
-          return this.evaluateExpression(condition.then, context);
-        } else {
-          return this.evaluateFormula(condition.then, context);
-        }
-      }
-    }
-
-    // Evaluate the 'else' clause as an expression if it's a string
-    const elseClause = formula.else || 0;
-    if (typeof elseClause === 'string') {
-      return this.evaluateExpression(elseClause, context);
-    } else {
-      return this.evaluateFormula(elseClause, context);
-    }
+  calculateTotalCost(serviceParameters = {}) {
+    return this.calculateWith({ serviceInputs: serviceParameters });
   }
 
   /**
-   * Evaluate a condition
+   * Calculate costs for multiple systems (the current system stays selected)
    */
-  evaluateCondition(condition, context) {
-    const { variable, operator, value } = condition;
-    const varValue = context[variable] || 0;
+  calculateMultiSystemCosts(systemIds, serviceParameters = {}) {
+    return systemIds.map(systemId => this.calculateWith({ systemId, serviceInputs: serviceParameters }));
+  }
 
-    switch (operator) {
-      case '>': return varValue > value;
-      case '>=': return varValue >= value;
-      case '<': return varValue < value;
-      case '<=': return varValue <= value;
-      case '==': return varValue == value;
-      case '!=': return varValue != value;
-      default: return false;
-    }
+  /**
+   * Get the complexity profile for a service (defaults to the first listed profile)
+   */
+  getComplexityProfile(serviceType) {
+    return new Estimate(this.getEstimateOptions()).getComplexityProfile(serviceType);
   }
 
   /**
-   * Generate detailed cost breakdown
+   * Get the cost factor for a service's complexity profile
    */
-  generateCostBreakdown(costs) {
-    const breakdown = [];
-    
-    for (const [service, cost] of Object.entries(costs)) {
-      // Skip services that are null (unsupported)
-      if (cost === null) {
-        continue;
-      }
-      
-      breakdown.push({
-        service,
-        cost,
-        percentage: 0 // Will be calculated later
-      });
-    }
+  getComplexityFactor(serviceType, profile) {
+    return new Estimate(this.getEstimateOptions()).getComplexityFactor(serviceType, profile);
+  }
 
-    const total = breakdown.reduce((sum, item) => sum + item.cost, 0);
-    breakdown.forEach(item => {
-      item.percentage = total > 0 ? (item.cost / total) * 100 : 0;
-    });
+  /**
+   * Evaluate derived_variables for the current system (see Estimate.resolveDerivedVariables)
+   */
+  resolveDerivedVariables(serviceParameters = {}) {
+    return new Estimate(this.getEstimateOptions({ serviceInputs: serviceParameters })).resolveDerivedVariables();
+  }
 
-    return breakdown.sort((a, b) => b.cost - a.cost);
+  /**
+   * Apply the adjustment pipeline and rounding rules to a set of service costs
+   * (see Estimate.settle)
+   */
+  settle(costs) {
+    return new Estimate(this.getEstimateOptions()).settle(costs);
   }
 
   /**
-   * Update configuration
+   * Replace the configuration. Component prices pinned with setSystemCosts()
+   * are dropped so they resolve from the new prices, and selections the new
+   * configuration doesn't have (a system, profile or currency) are reset.
    */
   updateConfig(newConfig) {
-    this.baseCosts = { ...this.baseCosts, ...newConfig.baseCosts };
-    this.formulas = { ...this.formulas, ...newConfig.formulas };
-    this.multipliers = { ...this.multipliers, ...newConfig.multipliers };
+    this.applyConfig(newConfig);
+
+    this.currentSystemCosts = null;
+    if (!(this.currentSystemId in this.systems)) {
+      this.currentSystemId = null;
+    }
+    for (const [serviceType, profile] of Object.entries(this.complexityProfiles)) {
+      if (!(profile in (this.multipliers.complexity_multipliers?.[serviceType] || {}))) {
+        delete this.complexityProfiles[serviceType];
+      }
+    }
+    if (!this.currencyTable.getCodes().includes(this.displayCurrency)) {
+      this.displayCurrency = this.currencyTable.baseCurrency;
+    }
   }
 
   /**
@@ -433,9 +268,29 @@ export class CostCalculationEngine {
   exportState() {
     return {
       variables: Object.fromEntries(this.variables),
+      variableDefinitions: Object.fromEntries(this.variableDefinitions),
+      complexityProfiles: { ...this.complexityProfiles },
+      systemOverrides: { ...this.systemOverrides },
+      reportingPeriod: this.reportingPeriod,
+      displayCurrency: this.displayCurrency,
+      pricingDate: this.pricingDate,
       baseCosts: this.baseCosts,
       formulas: this.formulas,
+      derivedVariables: this.derivedVariables,
       multipliers: this.multipliers
     };
   }
+
+  /**
+   * Restore variables, definitions and selections from exportState() (e.g. in a Web Worker)
+   */
+  restoreState(state) {
+    this.variableDefinitions = new Map(Object.entries(state.variableDefinitions || {}));
+    this.variables = new Map(Object.entries(state.variables || {}));
+    this.complexityProfiles = { ...(state.complexityProfiles || {}) };
+    this.systemOverrides = { ...(state.systemOverrides || {}) };
+    this.reportingPeriod = state.reportingPeriod || 'day';
+    this.displayCurrency = state.displayCurrency || this.currencyTable.baseCurrency;
+    this.pricingDate = state.pricingDate || null;
+  }
 }
\ No newline at end of file
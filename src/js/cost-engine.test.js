@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { CostCalculationEngine } from './cost-engine.js';
+import { validateOverrides } from './estimate.js';
+
+const config = {
+  formulas: { transport: '$data_volume_gb * $ingestion_cost_per_gb' },
+  multipliers: { complexity_multipliers: { transport: { basic: 1, encrypted: 1.5 } } },
+  systems: {
+    a: { components: { ingestion_cost_per_gb: 0.01 } },
+    b: { components: { ingestion_cost_per_gb: 0.02 } }
+  },
+  currencies: {
+    base_currency: 'USD',
+    currencies: {
+      USD: { symbol: '$', decimals: 2, rate: 1 },
+      EUR: { symbol: '€', decimals: 2, rate: 1.25 }
+    }
+  }
+};
+
+describe('CostCalculationEngine.updateConfig', () => {
+  const createEngine = () => {
+    const engine = new CostCalculationEngine(config);
+    engine.setVariable('data_volume_gb', 1000);
+    engine.setSystemCosts('b', { ingestion_cost_per_gb: 0.02 });
+    engine.setComplexityProfile('transport', 'encrypted');
+    engine.setDisplayCurrency('EUR');
+    return engine;
+  };
+
+  it('prices with the new systems and currencies', () => {
+    const engine = createEngine();
+    expect(engine.calculateTotalCost().total).toBe(24);
+
+    engine.updateConfig({
+      ...config,
+      systems: { ...config.systems, b: { components: { ingestion_cost_per_gb: 0.04 } } },
+      currencies: { ...config.currencies, currencies: { ...config.currencies.currencies, EUR: { symbol: '€', decimals: 2, rate: 1.5 } } }
+    });
+    expect(engine.currencyTable.getRate('USD', 'EUR')).toBeCloseTo(1 / 1.5, 12);
+    // 1000 × 0.04 × 1.5 = 60 USD, 40 EUR
+    expect(engine.calculateTotalCost().total).toBe(40);
+  });
+
+  it('resets selections the new configuration no longer has', () => {
+    const engine = createEngine();
+    engine.updateConfig({
+      formulas: config.formulas,
+      systems: { a: config.systems.a },
+      currencies: { base_currency: 'USD', currencies: { USD: config.currencies.currencies.USD } }
+    });
+
+    expect(engine.currentSystemId).toBeNull();
+    expect(engine.currentSystemCosts).toBeNull();
+    expect(engine.complexityProfiles).toEqual({});
+    expect(engine.displayCurrency).toBe('USD');
+    expect(engine.calculateWith({ systemId: 'a' }).total).toBe(10);
+  });
+});
+
+describe('system overrides', () => {
+  const createEngine = () => {
+    const engine = new CostCalculationEngine(config);
+    engine.setVariable('data_volume_gb', 1000);
+    return engine;
+  };
+
+  it('scales or replaces an input for one system only', () => {
+    const engine = createEngine();
+    engine.setSystemOverrides('b', { transport: { data_volume_gb: { factor: 0.5 } } });
+
+    const b = engine.calculateWith({ systemId: 'b' });
+    expect(b.total).toBe(10);
+    expect(b.overrides.transport.data_volume_gb).toEqual({ original: 1000, value: 500, factor: 0.5 });
+    expect(engine.calculateWith({ systemId: 'a' }).total).toBe(10);
+
+    engine.setSystemOverrides('b', { transport: { ingestion_cost_per_gb: { value: 0.03 } } });
+    expect(engine.calculateWith({ systemId: 'b' }).total).toBe(30);
+
+    engine.setSystemOverrides('b', null);
+    expect(engine.calculateWith({ systemId: 'b' }).total).toBe(20);
+  });
+
+  it('rejects a factor on an input that isn\'t a number', () => {
+    const engine = createEngine();
+    engine.setVariable('region', 'eu');
+    engine.setSystemOverrides('a', { transport: { region: { factor: 2 } } });
+    expect(() => engine.calculateWith({ systemId: 'a' })).toThrow('Cannot apply a factor to region: it is not a number');
+  });
+
+  it('validates the override shape', () => {
+    const derivedConfig = { ...config, derivedVariables: { total_gb: { expression: '$data_volume_gb * 2' } } };
+    expect(() => validateOverrides(derivedConfig, 'a', { search: { data_volume_gb: { factor: 2 } } }))
+      .toThrow('No formula found for service type: search');
+    expect(() => validateOverrides(derivedConfig, 'a', { transport: { total_gb: { factor: 2 } } }))
+      .toThrow('total_gb is derived from other inputs; override those instead');
+    expect(() => validateOverrides(derivedConfig, 'a', { transport: { data_volume_gb: { factor: 2, value: 1 } } }))
+      .toThrow('Override for data_volume_gb on a/transport needs exactly one of factor or value');
+    expect(() => validateOverrides(derivedConfig, 'a', { transport: { data_volume_gb: { factor: 'half' } } }))
+      .toThrow('Override factor for data_volume_gb on a/transport must be a number');
+    expect(() => createEngine().setSystemOverrides('a', { transport: { data_volume_gb: {} } })).toThrow(/exactly one of factor or value/);
+  });
+});
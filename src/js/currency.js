@@ -0,0 +1,114 @@
+/**
+ * Currency Table
+ * Exchange rates, rounding and display rules for converting and formatting amounts
+ */
+
+import { Decimal, ROUNDING_MODES } from './decimal.js';
+
+// Used when no currencies config is loaded: everything is USD
+const DEFAULT_CONFIG = {
+  base_currency: 'USD',
+  currencies: {
+    USD: { symbol: '$', decimals: 2, rate: 1 }
+  }
+};
+
+// Where amounts are rounded to minor units: each line item, or only the total
+export const ROUNDING_APPLY = ['line_items', 'total'];
+
+const DEFAULT_ROUNDING = { mode: 'half_up', apply: 'line_items' };
+
+export class CurrencyTable {
+  /**
+   * `config` is the parsed currencies.yaml: base currency, as-of date and a
+   * table of currencies with their symbol, decimals and rate. A rate is the
+   * value of one unit of the currency in the base currency.
+   */
+  constructor(config = DEFAULT_CONFIG) {
+    this.baseCurrency = config.base_currency || DEFAULT_CONFIG.base_currency;
+    this.asOf = config.as_of || null;
+    this.currencies = config.currencies || DEFAULT_CONFIG.currencies;
+    this.rounding = { ...DEFAULT_ROUNDING, ...(config.rounding || {}) };
+
+    if (!this.currencies[this.baseCurrency]) {
+      throw new Error(`Base currency ${this.baseCurrency} is missing from the currency table`);
+    }
+    if (!ROUNDING_MODES.includes(this.rounding.mode)) {
+      throw new Error(`Unknown rounding mode '${this.rounding.mode}' (expected ${ROUNDING_MODES.join(', ')})`);
+    }
+    if (!ROUNDING_APPLY.includes(this.rounding.apply)) {
+      throw new Error(`Unknown rounding apply '${this.rounding.apply}' (expected ${ROUNDING_APPLY.join(', ')})`);
+    }
+  }
+
+  /**
+   * Currency codes in the table
+   */
+  getCodes() {
+    return Object.keys(this.currencies);
+  }
+
+  /**
+   * Look up a currency definition
+   */
+  getCurrency(code) {
+    const currency = this.currencies[code];
+    if (!currency) {
+      throw new Error(`Unknown currency '${code}' (expected ${this.getCodes().join(', ')})`);
+    }
+    return currency;
+  }
+
+  /**
+   * Minor units (digits after the decimal point) of a currency
+   */
+  getDecimals(code) {
+    return this.getCurrency(code).decimals ?? 2;
+  }
+
+  /**
+   * Factor that converts an amount in `from` to `to`, as an exact Decimal
+   */
+  getExactRate(from, to) {
+    if (from === to) return Decimal.ONE;
+    return Decimal.from(this.getCurrency(from).rate ?? 1).dividedBy(this.getCurrency(to).rate ?? 1);
+  }
+
+  /**
+   * Factor that converts an amount in `from` to `to`
+   */
+  getRate(from, to) {
+    return this.getExactRate(from, to).toNumber();
+  }
+
+  /**
+   * Round an amount to a currency's minor units with the configured rounding mode
+   */
+  round(amount, code) {
+    return Decimal.from(amount).round(this.getDecimals(code), this.rounding.mode);
+  }
+
+  /**
+   * Convert an amount between currencies
+   */
+  convert(amount, from, to) {
+    return amount * this.getRate(from, to);
+  }
+
+  /**
+   * Format an amount with the currency's symbol and decimal rules
+   * (options.decimals overrides the currency's decimals, e.g. for chart axes)
+   */
+  format(amount, code, options = {}) {
+    const currency = this.getCurrency(code);
+    const decimals = options.decimals ?? currency.decimals ?? 2;
+    const symbol = currency.symbol || code;
+    const sign = amount < 0 ? '-' : '';
+    const number = isFinite(amount)
+      ? Decimal.from(Math.abs(amount)).toFixed(decimals, this.rounding.mode)
+      : String(Math.abs(amount));
+    return currency.symbol_position === 'suffix'
+      ? `${sign}${number} ${symbol}`
+      : `${sign}${symbol}${number}`;
+  }
+}
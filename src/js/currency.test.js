@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { CurrencyTable } from './currency.js';
+
+const table = new CurrencyTable({
+  base_currency: 'USD',
+  currencies: {
+    USD: { symbol: '$', decimals: 2, rate: 1 },
+    EUR: { symbol: '€', decimals: 2, rate: 1.25 },
+    JPY: { symbol: '¥', decimals: 0, rate: 0.01 },
+    SEK: { symbol: 'kr', decimals: 2, rate: 0.1, symbol_position: 'suffix' }
+  }
+});
+
+describe('CurrencyTable', () => {
+  it('converts through the base currency', () => {
+    expect(table.getRate('EUR', 'USD')).toBe(1.25);
+    expect(table.getRate('USD', 'EUR')).toBe(0.8);
+    expect(table.getExactRate('EUR', 'JPY').toString()).toBe('125');
+    expect(table.convert(100, 'USD', 'SEK')).toBe(1000);
+    expect(table.getRate('JPY', 'JPY')).toBe(1);
+  });
+
+  it('formats with the currency\'s symbol, position and decimals', () => {
+    expect(table.format(1234.5, 'USD')).toBe('$1234.50');
+    expect(table.format(-3.456, 'EUR')).toBe('-€3.46');
+    expect(table.format(1234.5, 'JPY')).toBe('¥1235');
+    expect(table.format(12, 'SEK')).toBe('12.00 kr');
+    expect(table.format(1234.5, 'USD', { decimals: 0 })).toBe('$1235');
+  });
+
+  it('rounds to minor units with the configured mode', () => {
+    expect(table.round(0.125, 'USD').toString()).toBe('0.13');
+    expect(table.round(12.5, 'JPY').toString()).toBe('13');
+
+    const bankers = new CurrencyTable({ base_currency: 'USD', currencies: { USD: { decimals: 2, rate: 1 } }, rounding: { mode: 'half_even' } });
+    expect(bankers.round(0.125, 'USD').toString()).toBe('0.12');
+    expect(bankers.format(0.125, 'USD')).toBe('USD0.12');
+  });
+
+  it('rejects unknown currencies and rounding rules', () => {
+    expect(() => table.getRate('USD', 'CHF')).toThrow("Unknown currency 'CHF' (expected USD, EUR, JPY, SEK)");
+    expect(() => new CurrencyTable({ base_currency: 'EUR', currencies: { USD: { rate: 1 } } }))
+      .toThrow('Base currency EUR is missing from the currency table');
+    expect(() => new CurrencyTable({ currencies: { USD: { rate: 1 } }, rounding: { mode: 'up' } }))
+      .toThrow("Unknown rounding mode 'up'");
+    expect(() => new CurrencyTable({ currencies: { USD: { rate: 1 } }, rounding: { apply: 'services' } }))
+      .toThrow("Unknown rounding apply 'services'");
+  });
+});
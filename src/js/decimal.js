@@ -0,0 +1,309 @@
+/**
+ * Decimal Arithmetic
+ * Exact base-10 numbers for cost calculations, so 0.1 + 0.2 is 0.3 and
+ * amounts round to minor units by a declared rule instead of drifting
+ */
+
+// Significant digits kept by division and long products (as in IEEE decimal128)
+const PRECISION = 34;
+
+// Rounding modes that can be configured for money amounts
+export const ROUNDING_MODES = ['half_up', 'half_even'];
+
+const pow10 = (n) => 10n ** BigInt(n);
+const digitCount = (n) => (n < 0n ? -n : n).toString().length;
+
+/**
+ * Divide two BigInts and round the quotient:
+ *   half_up   - halves away from zero
+ *   half_even - halves to the even neighbour (banker's rounding)
+ *   floor / ceil / down - toward -∞, +∞ or zero
+ */
+function divideRounded(numerator, denominator, mode) {
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) return quotient;
+
+  const sign = numerator < 0n ? -1n : 1n;
+  const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+
+  switch (mode) {
+    case 'half_up':
+      return twice >= denominator ? quotient + sign : quotient;
+    case 'half_even':
+      if (twice === denominator) return quotient % 2n === 0n ? quotient : quotient + sign;
+      return twice > denominator ? quotient + sign : quotient;
+    case 'floor':
+      return sign < 0n ? quotient - 1n : quotient;
+    case 'ceil':
+      return sign > 0n ? quotient + 1n : quotient;
+    case 'down':
+      return quotient;
+    default:
+      throw new Error(`Unknown rounding mode '${mode}' (expected ${ROUNDING_MODES.join(', ')})`);
+  }
+}
+
+export class Decimal {
+  /**
+   * value = coefficient × 10^exponent (use Decimal.from or Decimal.create)
+   */
+  constructor(coefficient, exponent) {
+    this.coefficient = coefficient;
+    this.exponent = exponent;
+  }
+
+  /**
+   * Build a decimal, limiting it to PRECISION significant digits and dropping trailing zeros
+   */
+  static create(coefficient, exponent) {
+    const excess = digitCount(coefficient) - PRECISION;
+    if (excess > 0) {
+      coefficient = divideRounded(coefficient, pow10(excess), 'half_even');
+      exponent += excess;
+    }
+    if (coefficient === 0n) {
+      return new Decimal(0n, 0);
+    }
+    while (coefficient % 10n === 0n) {
+      coefficient /= 10n;
+      exponent++;
+    }
+    return new Decimal(coefficient, exponent);
+  }
+
+  /**
+   * Parse decimal text: 12, -0.0007, .5, 1e-3
+   */
+  static parse(text) {
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(String(text).trim());
+    if (!match || (match[2] + (match[3] || '')).length === 0) {
+      throw new Error(`Invalid decimal number '${text}'`);
+    }
+    const [, sign, integer, fraction = '', exponent = '0'] = match;
+    return Decimal.create(BigInt(`${sign}${integer}${fraction}` || '0'), Number(exponent) - fraction.length);
+  }
+
+  /**
+   * Convert a number, numeric string or Decimal. Numbers convert through their
+   * shortest representation, so 0.0007 becomes exactly 0.0007.
+   */
+  static from(value) {
+    if (value instanceof Decimal) return value;
+    if (typeof value === 'bigint') return Decimal.create(value, 0);
+    if (typeof value === 'number') {
+      if (!isFinite(value)) {
+        throw new Error(`Cannot use ${value} in a decimal calculation`);
+      }
+      return Decimal.parse(String(value));
+    }
+    if (typeof value === 'string') return Decimal.parse(value);
+    throw new Error(`Cannot convert ${JSON.stringify(value)} to a decimal`);
+  }
+
+  /**
+   * Sum of numbers or decimals
+   */
+  static sum(values) {
+    return values.reduce((sum, value) => sum.plus(value), Decimal.ZERO);
+  }
+
+  static min(...values) {
+    return values.map(Decimal.from).reduce((min, value) => (value.lt(min) ? value : min));
+  }
+
+  static max(...values) {
+    return values.map(Decimal.from).reduce((max, value) => (value.gt(max) ? value : max));
+  }
+
+  plus(other) {
+    const value = Decimal.from(other);
+    const exponent = Math.min(this.exponent, value.exponent);
+    return Decimal.create(
+      this.coefficient * pow10(this.exponent - exponent) + value.coefficient * pow10(value.exponent - exponent),
+      exponent
+    );
+  }
+
+  minus(other) {
+    return this.plus(Decimal.from(other).negated());
+  }
+
+  times(other) {
+    const value = Decimal.from(other);
+    return Decimal.create(this.coefficient * value.coefficient, this.exponent + value.exponent);
+  }
+
+  /**
+   * Quotient to PRECISION significant digits
+   */
+  dividedBy(other) {
+    const value = Decimal.from(other);
+    if (value.isZero()) {
+      throw new RangeError('Division by zero');
+    }
+    const shift = Math.max(0, PRECISION + 1 + digitCount(value.coefficient) - digitCount(this.coefficient));
+    return Decimal.create(
+      divideRounded(this.coefficient * pow10(shift), value.coefficient, 'half_even'),
+      this.exponent - value.exponent - shift
+    );
+  }
+
+  /**
+   * Remainder with the sign of the dividend (like JavaScript's %)
+   */
+  mod(other) {
+    const value = Decimal.from(other);
+    return this.minus(value.times(this.dividedBy(value).round(0, 'down')));
+  }
+
+  /**
+   * Integer power (exponent >= 0)
+   */
+  pow(exponent) {
+    let result = Decimal.ONE;
+    for (let i = 0; i < exponent; i++) {
+      result = result.times(this);
+    }
+    return result;
+  }
+
+  negated() {
+    return new Decimal(-this.coefficient, this.exponent);
+  }
+
+  abs() {
+    return this.coefficient < 0n ? this.negated() : this;
+  }
+
+  /**
+   * Round to a number of decimal places (see divideRounded for the modes)
+   */
+  round(decimals = 0, mode = 'half_up') {
+    if (this.exponent >= -decimals) return this;
+    return Decimal.create(divideRounded(this.coefficient, pow10(-decimals - this.exponent), mode), -decimals);
+  }
+
+  floor() {
+    return this.round(0, 'floor');
+  }
+
+  ceil() {
+    return this.round(0, 'ceil');
+  }
+
+  /**
+   * -1, 0 or 1 as this is less than, equal to or greater than other
+   */
+  compare(other) {
+    const difference = this.minus(other).coefficient;
+    return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+  }
+
+  eq(other) { return this.compare(other) === 0; }
+  lt(other) { return this.compare(other) < 0; }
+  lte(other) { return this.compare(other) <= 0; }
+  gt(other) { return this.compare(other) > 0; }
+  gte(other) { return this.compare(other) >= 0; }
+
+  isZero() {
+    return this.coefficient === 0n;
+  }
+
+  isNegative() {
+    return this.coefficient < 0n;
+  }
+
+  /**
+   * Value as an integer number of 10^-decimals units (e.g. cents), rounding first
+   */
+  toUnits(decimals, mode = 'half_up') {
+    const rounded = this.round(decimals, mode);
+    return rounded.coefficient * pow10(rounded.exponent + decimals);
+  }
+
+  /**
+   * Fixed-point text with exactly `decimals` digits after the point
+   */
+  toFixed(decimals, mode = 'half_up') {
+    const units = this.toUnits(decimals, mode);
+    const digits = (units < 0n ? -units : units).toString().padStart(decimals + 1, '0');
+    const sign = units < 0n ? '-' : '';
+    return decimals > 0
+      ? `${sign}${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`
+      : `${sign}${digits}`;
+  }
+
+  /**
+   * Nearest JavaScript number
+   */
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  /**
+   * Plain decimal notation (exponent notation for very large or small values, as Number does)
+   */
+  toString() {
+    const sign = this.coefficient < 0n ? '-' : '';
+    const digits = (this.coefficient < 0n ? -this.coefficient : this.coefficient).toString();
+    const point = digits.length + this.exponent;
+
+    if (point > 21 || point < -5) {
+      const mantissa = digits.length > 1 ? `${digits[0]}.${digits.slice(1)}` : digits;
+      const exponent = point - 1;
+      return `${sign}${mantissa}e${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+    }
+    if (this.exponent >= 0) {
+      return `${sign}${digits}${'0'.repeat(this.exponent)}`;
+    }
+    if (point > 0) {
+      return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+    }
+    return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  }
+
+  toJSON() {
+    return this.toNumber();
+  }
+}
+
+/**
+ * Add amounts (numbers or decimals) exactly and return the sum as a number
+ */
+export function sumAmounts(amounts) {
+  return Decimal.sum(amounts).toNumber();
+}
+
+/**
+ * Round amounts to `decimals` places so that they add up exactly to `total`
+ * (already rounded). The units left over after rounding each amount go to the
+ * amounts that rounding moved furthest (largest remainder method).
+ */
+export function allocate(amounts, total, decimals, mode = 'half_up') {
+  const exact = amounts.map(amount => Decimal.from(amount));
+  const rounded = exact.map(amount => amount.round(decimals, mode));
+  const unit = Decimal.create(1n, -decimals);
+  let difference = Decimal.from(total).minus(Decimal.sum(rounded)).toUnits(decimals);
+
+  const step = difference > 0n ? 1n : -1n;
+  const order = exact
+    .map((amount, index) => ({ index, remainder: amount.minus(rounded[index]) }))
+    .sort((a, b) => (step > 0n ? b.remainder.compare(a.remainder) : a.remainder.compare(b.remainder)));
+
+  for (let i = 0; difference !== 0n && order.length > 0; i = (i + 1) % order.length) {
+    const { index } = order[i];
+    rounded[index] = step > 0n ? rounded[index].plus(unit) : rounded[index].minus(unit);
+    difference -= step;
+  }
+
+  return rounded;
+}
+
+Decimal.ZERO = new Decimal(0n, 0);
+Decimal.ONE = new Decimal(1n, 0);
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { Decimal, allocate, sumAmounts } from './decimal.js';
+
+const d = (text) => Decimal.parse(text);
+
+describe('Decimal', () => {
+  it('parses and prints the digits it was given', () => {
+    expect(d('-0.0007').toString()).toBe('-0.0007');
+    expect(d('.5').toString()).toBe('0.5');
+    expect(d('1e-3').toString()).toBe('0.001');
+    expect(d('12.500').toString()).toBe('12.5');
+    expect(Decimal.from(0.1).toString()).toBe('0.1');
+    expect(() => d('12abc')).toThrow('Invalid decimal number');
+    expect(() => Decimal.from(Infinity)).toThrow();
+  });
+
+  it('adds, multiplies and divides exactly', () => {
+    expect(d('0.1').plus('0.2').toString()).toBe('0.3');
+    expect(d('0.0007').times(3).toString()).toBe('0.0021');
+    expect(d('1').dividedBy(4).toString()).toBe('0.25');
+    expect(d('100').dividedBy(3).times(3).round(10).toString()).toBe('100');
+    expect(sumAmounts([0.1, 0.2, 0.3])).toBe(0.6);
+  });
+
+  it('rounds half up away from zero', () => {
+    expect(d('2.345').round(2).toString()).toBe('2.35');
+    expect(d('2.5').round(0).toString()).toBe('3');
+    expect(d('-2.5').round(0).toString()).toBe('-3');
+    expect(d('2.344999').round(2).toString()).toBe('2.34');
+  });
+
+  it('rounds half to even (banker\'s rounding)', () => {
+    expect(d('2.345').round(2, 'half_even').toString()).toBe('2.34');
+    expect(d('2.355').round(2, 'half_even').toString()).toBe('2.36');
+    expect(d('-0.125').round(2, 'half_even').toString()).toBe('-0.12');
+    // Only exact halves go to the even neighbour
+    expect(d('2.3451').round(2, 'half_even').toString()).toBe('2.35');
+  });
+
+  it('floors and ceils toward -∞ and +∞', () => {
+    expect(d('-1.2').floor().toString()).toBe('-2');
+    expect(d('-1.2').ceil().toString()).toBe('-1');
+    expect(d('1.2').ceil().toString()).toBe('2');
+  });
+
+  it('formats fixed-point text with the rounding mode', () => {
+    expect(d('1.005').toFixed(2)).toBe('1.01');
+    expect(d('1.005').toFixed(2, 'half_even')).toBe('1.00');
+    expect(d('-0.004').toFixed(2)).toBe('0.00');
+    expect(d('7').toFixed(3)).toBe('7.000');
+    expect(d('1.23').toUnits(2)).toBe(123n);
+  });
+
+  it('rejects an unknown rounding mode', () => {
+    expect(() => d('1.25').round(1, 'half_down')).toThrow(/Unknown rounding mode/);
+  });
+});
+
+describe('allocate', () => {
+  it('rounds amounts so they add up to the rounded total', () => {
+    const amounts = ['0.333', '0.333', '0.334'];
+    const rounded = allocate(amounts, '1.00', 2);
+    expect(rounded.map(String)).toEqual(['0.33', '0.33', '0.34']);
+
+    const thirds = allocate(['3.333', '3.333', '3.333'], '10.00', 2);
+    expect(Decimal.sum(thirds).toString()).toBe('10');
+    expect(thirds.map(String).sort()).toEqual(['3.33', '3.33', '3.34']);
+  });
+
+  it('takes units back from the amounts rounded up the most', () => {
+    const rounded = allocate(['1.005', '1.006'], '2.01', 2);
+    expect(rounded.map(String)).toEqual(['1', '1.01']);
+  });
+});
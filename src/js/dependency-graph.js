@@ -0,0 +1,81 @@
+/**
+ * Derived Variable Dependency Graph
+ * Orders derived variables so each is evaluated after the values it reads
+ */
+
+import { CompiledExpression } from './expression-parser.js';
+
+/**
+ * Error raised when derived variables depend on each other in a loop
+ */
+export class DependencyCycleError extends Error {
+  constructor(cycle) {
+    super(`Derived variables form a cycle: ${cycle.join(' → ')}`);
+    this.name = 'DependencyCycleError';
+    this.cycle = cycle;
+  }
+}
+
+/**
+ * Split a reference into service and variable: `$transport.data_volume_gb`
+ * reads data_volume_gb as the transport service sees it; `$retention_days`
+ * has no service.
+ */
+export function splitReference(reference) {
+  const dot = reference.indexOf('.');
+  return dot === -1
+    ? { service: null, variable: reference }
+    : { service: reference.slice(0, dot), variable: reference.slice(dot + 1) };
+}
+
+/**
+ * Map each derived variable to the derived variables its expression reads
+ * (directly or through a service-qualified reference)
+ */
+export function buildDependencyGraph(definitions, compile = source => new CompiledExpression(source)) {
+  const graph = new Map();
+  for (const [name, definition] of Object.entries(definitions)) {
+    const dependencies = new Set();
+    for (const reference of compile(definition.expression).variables) {
+      const { variable } = splitReference(reference);
+      if (variable in definitions) {
+        dependencies.add(variable);
+      }
+    }
+    graph.set(name, dependencies);
+  }
+  return graph;
+}
+
+/**
+ * Derived variable names in evaluation order (dependencies first).
+ * Throws DependencyCycleError naming the loop if there is one.
+ */
+export function resolveOrder(definitions, compile) {
+  const graph = buildDependencyGraph(definitions, compile);
+  const order = [];
+  const done = new Set();
+  const path = [];
+
+  const visit = (name) => {
+    if (done.has(name)) return;
+    const start = path.indexOf(name);
+    if (start !== -1) {
+      throw new DependencyCycleError([...path.slice(start), name]);
+    }
+
+    path.push(name);
+    for (const dependency of graph.get(name)) {
+      visit(dependency);
+    }
+    path.pop();
+
+    done.add(name);
+    order.push(name);
+  };
+
+  for (const name of graph.keys()) {
+    visit(name);
+  }
+  return order;
+}
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { DependencyCycleError, buildDependencyGraph, resolveOrder, splitReference } from './dependency-graph.js';
+
+describe('splitReference', () => {
+  it('separates the service from the variable', () => {
+    expect(splitReference('transport.data_volume_gb')).toEqual({ service: 'transport', variable: 'data_volume_gb' });
+    expect(splitReference('retention_days')).toEqual({ service: null, variable: 'retention_days' });
+  });
+});
+
+describe('resolveOrder', () => {
+  it('evaluates each derived variable after the ones it reads', () => {
+    const definitions = {
+      search_index_gb: { expression: '$storage_volume_gb * $search_index_ratio' },
+      storage_volume_gb: { expression: '$transport.data_volume_gb * $retention_days' }
+    };
+    expect([...buildDependencyGraph(definitions).get('search_index_gb')]).toEqual(['storage_volume_gb']);
+    expect(resolveOrder(definitions)).toEqual(['storage_volume_gb', 'search_index_gb']);
+  });
+
+  it('follows service-qualified references to derived variables', () => {
+    const definitions = {
+      b: { expression: '$storage.a * 2' },
+      a: { expression: '$input + 1' }
+    };
+    expect(resolveOrder(definitions)).toEqual(['a', 'b']);
+  });
+
+  it('names the loop when derived variables form a cycle', () => {
+    const definitions = {
+      a: { expression: '$c + 1' },
+      b: { expression: '$a + 1' },
+      c: { expression: '$b + 1' }
+    };
+    expect(() => resolveOrder(definitions)).toThrow(DependencyCycleError);
+    expect(() => resolveOrder(definitions)).toThrow('Derived variables form a cycle: a → c → b → a');
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+// scripts/estimate.js runs on import, so it is tested as the command it is
+const root = fileURLToPath(new URL('../..', import.meta.url));
+
+const run = (...args) => {
+  const { status, stdout, stderr } = spawnSync(
+    process.execPath,
+    ['scripts/estimate.js', 'scenarios/baseline.yaml', '--pricing-date', '2026-10-19', ...args],
+    { cwd: root, encoding: 'utf8' }
+  );
+  return { status, stdout, stderr };
+};
+
+describe('estimate CLI', () => {
+  it('prints a table with one column per scenario system', () => {
+    const { status, stdout } = run();
+    expect(status).toBe(0);
+    expect(stdout).toMatch(/^Baseline analytics pipeline - per month, USD, prices as of 2026-10-19\n/);
+    expect(stdout).toMatch(/^Total +\$98098\.97 +\$140304\.82 +\$68220\.04$/m);
+  });
+
+  it('prints CSV with empty cells for services a system doesn\'t offer', () => {
+    const { status, stdout } = run('--systems', 'system_a,system_d', '--format', 'csv');
+    expect(status).toBe(0);
+    const lines = stdout.trim().split('\n');
+    expect(lines[0]).toBe('item,currency,system_a,system_d');
+    expect(lines).toContain('transport,USD,1627.29,');
+    expect(lines).toContain('storage,USD,122.50,98.00');
+    expect(lines.at(-1)).toBe('Total,USD,98098.97,90.55');
+  });
+
+  it('prints JSON for the chosen period', () => {
+    const { status, stdout } = run('--systems', 'system_d', '--period', 'day', '--format', 'json');
+    expect(status).toBe(0);
+    const output = JSON.parse(stdout);
+    expect(output).toMatchObject({ scenario: 'Baseline analytics pipeline', period: 'day', currency: 'USD', pricingDate: '2026-10-19' });
+    expect(output.systems.map(system => system.systemId)).toEqual(['system_d']);
+    expect(output.systems[0].unsupportedServices).toContain('transport');
+  });
+
+  it('exits with status 1 and no output on bad options', () => {
+    const { status, stdout, stderr } = run('--systems', 'system_x');
+    expect(status).toBe(1);
+    expect(stdout).toBe('');
+    expect(stderr).toMatch(/Unknown system\(s\) system_x/);
+    expect(run('--format', 'xml').stderr).toMatch(/Unknown format 'xml'/);
+  });
+
+  it('fails instead of printing $0 for a service whose formula can\'t be evaluated', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'estimate-cli-'));
+    try {
+      const config = path.join(dir, 'config');
+      fs.cpSync(path.join(root, 'config'), config, { recursive: true });
+      const storage = path.join(config, 'formulas', 'storage.yaml');
+      fs.writeFileSync(storage, fs.readFileSync(storage, 'utf8').replace('$hot_storage_per_gb_month', '$hot_storage_per_gb_mnth'));
+
+      const { status, stdout, stderr } = run('--config', config);
+      expect(status).toBe(1);
+      expect(stdout).toBe('');
+      expect(stderr).toMatch(/system_a: could not price storage: Unknown variable \$hot_storage_per_gb_mnth/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,644 @@
+/**
+ * Estimate
+ * Prices every service for one system from explicit inputs. Nothing is read
+ * from or written to shared state, so estimates for different systems (or
+ * running at the same time) can't affect each other.
+ */
+
+import { FormulaEvaluator, PERIOD_DAYS, EXACT_PERIOD_DAYS } from './formula-evaluator.js';
+import { Decimal, allocate } from './decimal.js';
+import { VariableError, coerceValue } from './variables.js';
+import { CurrencyTable } from './currency.js';
+import { resolveOrder, splitReference } from './dependency-graph.js';
+import { normalizeDate, resolveComponents, today } from './price-history.js';
+
+/**
+ * Error raised when a service's formula can't be evaluated for a system
+ * (an unknown variable, a division by zero, a level a table has no entry for)
+ */
+export class ServiceCostError extends Error {
+  constructor(systemId, service, cause) {
+    super(`${systemId}: could not price ${service}: ${cause.message}`);
+    this.name = 'ServiceCostError';
+    this.systemId = systemId;
+    this.service = service;
+    this.cause = cause;
+  }
+}
+
+// Compiled expressions are cached by source text, so one evaluator serves every config
+const sharedEvaluator = new FormulaEvaluator();
+
+// Evaluation order per derived_variables table
+const derivedOrders = new WeakMap();
+
+/**
+ * Check per-system service input overrides for one system.
+ * Shape: { serviceType: { variable: { factor } | { value } } }
+ */
+export function validateOverrides(config, systemId, overrides = {}) {
+  const formulas = config.formulas || {};
+  const derivedVariables = config.derivedVariables || {};
+
+  for (const [serviceType, inputs] of Object.entries(overrides)) {
+    if (!formulas[serviceType]) {
+      throw new Error(`No formula found for service type: ${serviceType}`);
+    }
+    for (const [name, override] of Object.entries(inputs)) {
+      if (name in derivedVariables) {
+        throw new Error(`${name} is derived from other inputs; override those instead`);
+      }
+      if ((override.factor === undefined) === (override.value === undefined)) {
+        throw new Error(`Override for ${name} on ${systemId}/${serviceType} needs exactly one of factor or value`);
+      }
+      if (override.factor !== undefined && (typeof override.factor !== 'number' || !isFinite(override.factor))) {
+        throw new Error(`Override factor for ${name} on ${systemId}/${serviceType} must be a number`);
+      }
+    }
+  }
+}
+
+/**
+ * Price one system and return the full result (see Estimate.calculate)
+ */
+export function estimate(options) {
+  return new Estimate(options).calculate();
+}
+
+export class Estimate {
+  /**
+   * Options:
+   *   config              - { baseCosts, formulas, derivedVariables, multipliers, systems, currencies }
+   *   systemId            - system to price
+   *   costs               - its component prices (default: the system's components as of pricingDate)
+   *   pricingDate         - date component prices are resolved for, YYYY-MM-DD (default: today)
+   *   inputs              - input values shared by every service { name: value }
+   *   serviceInputs       - inputs for one service { serviceType: { name: value, complexity_profile } }
+   *   adjustments         - factors for the adjustment pipeline, by step name { contract: 0.85 }
+   *   complexityProfiles  - selected complexity profile per service
+   *   overrides           - this system's overrides { serviceType: { name: { factor } | { value } } }
+   *   variableDefinitions - declared variable types { name: { type, ... } }
+   *   period              - reporting period: day, month or year
+   *   currency            - display currency (default: the base currency)
+   */
+  constructor({
+    config,
+    systemId,
+    costs,
+    pricingDate = today(),
+    inputs = {},
+    serviceInputs = {},
+    adjustments = {},
+    complexityProfiles = {},
+    overrides = {},
+    variableDefinitions = {},
+    period = 'day',
+    currency,
+    evaluator = sharedEvaluator
+  }) {
+    this.baseCosts = config.baseCosts || {};
+    this.formulas = config.formulas || {};
+    this.multipliers = config.multipliers || {};
+    this.systems = config.systems || {};
+    this.derivedVariables = config.derivedVariables || {};
+    this.currencyTable = new CurrencyTable(config.currencies);
+    this.evaluator = evaluator;
+
+    this.systemId = systemId;
+    this.pricingDate = normalizeDate(pricingDate);
+    this.costs = costs || resolveComponents(this.systems[systemId]?.components, this.pricingDate);
+    this.variableDefinitions = variableDefinitions;
+    this.inputs = Object.fromEntries(Object.entries(inputs).map(([name, value]) => [name, this.coerce(name, value)]));
+    this.serviceInputs = serviceInputs;
+    this.adjustments = adjustments;
+    this.complexityProfiles = complexityProfiles;
+    this.overrides = overrides;
+
+    if (!(period in PERIOD_DAYS)) {
+      throw new Error(`Unknown reporting period '${period}' (expected ${Object.keys(PERIOD_DAYS).join(', ')})`);
+    }
+    this.period = period;
+    this.currency = currency || this.currencyTable.baseCurrency;
+    this.currencyTable.getCurrency(this.currency);
+
+    for (const [serviceType, profile] of Object.entries(complexityProfiles)) {
+      this.getComplexityFactor(serviceType, profile);
+    }
+    const steps = (this.multipliers.adjustments || []).map(step => step.name);
+    for (const name of Object.keys(adjustments)) {
+      if (!steps.includes(name)) {
+        throw new Error(`Unknown adjustment '${name}' (expected ${steps.join(', ')})`);
+      }
+    }
+    validateOverrides(config, systemId, overrides);
+  }
+
+  /**
+   * Coerce a value to the declared type of a variable (untyped variables pass through)
+   */
+  coerce(name, value) {
+    const definition = this.variableDefinitions[name];
+    return definition ? coerceValue(name, definition, value) : value;
+  }
+
+  /**
+   * Native currency of the system (defaults to the base currency)
+   */
+  getSystemCurrency() {
+    return this.systems[this.systemId]?.currency || this.currencyTable.baseCurrency;
+  }
+
+  /**
+   * Format an amount in the display currency
+   */
+  formatMoney(amount, options = {}) {
+    return this.currencyTable.format(amount, this.currency, options);
+  }
+
+  /**
+   * Merge the system's overrides into the service inputs.
+   * Returns the merged parameters and the overrides that were applied, per service.
+   */
+  applyOverrides() {
+    const parameters = { ...this.serviceInputs };
+    const applied = {};
+
+    for (const [serviceType, inputs] of Object.entries(this.overrides)) {
+      const serviceParams = { ...(parameters[serviceType] || {}) };
+
+      for (const [name, override] of Object.entries(inputs)) {
+        const original = name in serviceParams
+          ? serviceParams[name]
+          : (name in this.inputs ? this.inputs[name] : this.costs[name]);
+
+        let value = override.value;
+        if (override.factor !== undefined) {
+          if (typeof original !== 'number') {
+            throw new Error(`Cannot apply a factor to ${name}: it is not a number`);
+          }
+          value = Decimal.from(original).times(override.factor).toNumber();
+        }
+
+        serviceParams[name] = value;
+        applied[serviceType] = applied[serviceType] || {};
+        applied[serviceType][name] = { original, value, ...(override.factor !== undefined ? { factor: override.factor } : {}) };
+      }
+
+      parameters[serviceType] = serviceParams;
+    }
+
+    return { parameters, applied };
+  }
+
+  /**
+   * Convert periodic component prices and inputs in a context to a daily basis
+   */
+  normalizeToDaily(context) {
+    const periods = { ...(this.baseCosts.component_periods || {}) };
+    for (const [name, definition] of Object.entries(this.variableDefinitions)) {
+      if (definition.period) {
+        periods[name] = definition.period;
+      }
+    }
+
+    for (const [name, period] of Object.entries(periods)) {
+      if (typeof context[name] !== 'number') continue;
+      if (!(period in PERIOD_DAYS)) {
+        throw new Error(`Unknown period '${period}' declared for ${name}`);
+      }
+      context[name] = Decimal.from(context[name]).dividedBy(EXACT_PERIOD_DAYS[period]);
+    }
+  }
+
+  /**
+   * Get the complexity profile for a service (defaults to the first listed profile)
+   */
+  getComplexityProfile(serviceType) {
+    const profiles = this.multipliers.complexity_multipliers?.[serviceType] || {};
+    return this.complexityProfiles[serviceType] || Object.keys(profiles)[0] || null;
+  }
+
+  /**
+   * Get the cost factor for a service's complexity profile
+   */
+  getComplexityFactor(serviceType, profile = this.getComplexityProfile(serviceType)) {
+    if (profile === null) return 1;
+    const factor = this.multipliers.complexity_multipliers?.[serviceType]?.[profile];
+    if (factor === undefined) {
+      throw new Error(`Unknown complexity profile '${profile}' for service ${serviceType}`);
+    }
+    return factor;
+  }
+
+  /**
+   * Calculate the exact (unrounded) cost of a service from the system costs,
+   * shared inputs and the given parameters
+   */
+  calculateServiceCost(serviceType, parameters = {}, trace = null) {
+    const formula = this.formulas[serviceType];
+    if (!formula) {
+      throw new Error(`No formula found for service type: ${serviceType}`);
+    }
+
+    // A complexity profile passed as a parameter overrides the selected one
+    const { complexity_profile: profileOverride, ...inputs } = parameters;
+
+    const context = {
+      ...this.costs,
+      ...this.inputs,
+      ...inputs
+    };
+
+    // Validate typed variables so bad values fail instead of falling through
+    for (const name of Object.keys(this.variableDefinitions)) {
+      if (name in context) {
+        context[name] = this.coerce(name, context[name]);
+      }
+    }
+
+    // Formulas are evaluated per day in the system's currency, then scaled and converted below
+    this.normalizeToDaily(context);
+
+    const cost = this.evaluator.evaluateFormula(formula, context, trace);
+
+    // Apply the service's complexity profile from multipliers.yaml
+    const profile = profileOverride ?? this.getComplexityProfile(serviceType);
+    const complexityFactor = this.getComplexityFactor(serviceType, profile);
+    if (profile !== null) {
+      this.evaluator.addTraceNode(trace, {
+        type: 'factor',
+        label: `Complexity profile: ${profile}`,
+        profile,
+        value: complexityFactor
+      });
+    }
+
+    const periodFactor = EXACT_PERIOD_DAYS[this.period];
+    if (this.period !== 'day') {
+      this.evaluator.addTraceNode(trace, {
+        type: 'factor',
+        label: `Daily cost scaled to one ${this.period}`,
+        period: this.period,
+        value: periodFactor
+      });
+    }
+
+    const nativeCurrency = this.getSystemCurrency();
+    const exchangeRate = this.currencyTable.getExactRate(nativeCurrency, this.currency);
+    if (!exchangeRate.eq(1)) {
+      this.evaluator.addTraceNode(trace, {
+        type: 'factor',
+        label: `Converted ${nativeCurrency} → ${this.currency}${this.currencyTable.asOf ? ` (rates as of ${this.currencyTable.asOf})` : ''}`,
+        value: exchangeRate
+      });
+    }
+
+    return cost.times(complexityFactor).times(periodFactor).times(exchangeRate);
+  }
+
+  /**
+   * Calculate cost for a service and return the derivation tree ("show your work")
+   */
+  traceServiceCost(serviceType, parameters = {}) {
+    const trace = { type: 'service', label: serviceType, value: 0, children: [] };
+    const cost = this.calculateServiceCost(serviceType, parameters, trace);
+    trace.value = cost.toNumber();
+    return { cost, trace };
+  }
+
+  /**
+   * How the system offers a service, from the `services` section of its
+   * base-costs.yaml entry: { supported, reason, notes, limitations }.
+   * A system without a `services` section offers every service.
+   */
+  getServiceSupport(serviceType) {
+    const system = this.systems[this.systemId];
+    if (!system?.services) {
+      return { supported: true, reason: null, notes: null, limitations: [] };
+    }
+
+    if (!(serviceType in system.services)) {
+      return { supported: false, reason: `Not offered by ${system.name || this.systemId}`, notes: null, limitations: [] };
+    }
+
+    const declaration = system.services[serviceType] || {};
+    const supported = declaration.supported !== false;
+    return {
+      supported,
+      reason: supported ? null : declaration.reason || `Not offered by ${system.name || this.systemId}`,
+      notes: declaration.notes || null,
+      limitations: declaration.limitations || []
+    };
+  }
+
+  /**
+   * Evaluation order of the derived variables (cached per config; throws on cycles)
+   */
+  getDerivedOrder() {
+    if (!derivedOrders.has(this.derivedVariables)) {
+      derivedOrders.set(
+        this.derivedVariables,
+        resolveOrder(this.derivedVariables, source => this.evaluator.expressionCompiler.compile(source))
+      );
+    }
+    return derivedOrders.get(this.derivedVariables);
+  }
+
+  /**
+   * Evaluate derived_variables from formulas.yaml.
+   * `$service.variable` reads the variable as that service sees it (its
+   * parameters, then shared inputs and system costs); plain `$variable` reads
+   * the shared value. Values are in the inputs' own units, before daily normalization.
+   */
+  resolveDerivedVariables(serviceParameters = this.serviceInputs) {
+    const shared = { ...this.costs, ...this.inputs };
+    const values = {};
+
+    for (const name of this.getDerivedOrder()) {
+      const compiled = this.evaluator.expressionCompiler.compile(this.derivedVariables[name].expression);
+      const context = { ...shared, ...values };
+
+      for (const reference of compiled.variables) {
+        const { service, variable } = splitReference(reference);
+        if (service === null) continue;
+        if (!this.formulas[service]) {
+          throw new Error(`Unknown service '${service}' in $${reference} (derived variable ${name})`);
+        }
+        context[reference] = variable in values
+          ? values[variable]
+          : serviceParameters[service]?.[variable] ?? context[variable];
+      }
+
+      values[name] = compiled.evaluate(context);
+    }
+
+    return values;
+  }
+
+  /**
+   * Derived variables a service's formula reads
+   */
+  getDerivedInputs(serviceType) {
+    const names = new Set();
+    const traverse = (obj) => {
+      if (typeof obj === 'string') {
+        for (const match of obj.matchAll(/\$([a-zA-Z_][a-zA-Z0-9_]*)/g)) {
+          names.add(match[1]);
+        }
+      } else if (typeof obj === 'object' && obj !== null) {
+        if (typeof obj.volumeVar === 'string') names.add(obj.volumeVar);
+        if (typeof obj.variable === 'string') names.add(obj.variable);
+        Object.values(obj).forEach(traverse);
+      }
+    };
+
+    traverse(this.formulas[serviceType]);
+    return this.getDerivedOrder().filter(name => names.has(name));
+  }
+
+  /**
+   * Calculate every service, the adjustments and the total. Amounts are
+   * rounded to the display currency's minor units (see settle), so the
+   * services and adjustments add up exactly to the total.
+   */
+  calculate() {
+    const costs = {};
+    const traces = {};
+    const profiles = {};
+    const supportedServices = [];
+    const unsupportedServices = [];
+    const support = {};
+    const { parameters, applied: overrides } = this.applyOverrides();
+    const derived = this.resolveDerivedVariables(parameters);
+
+    for (const serviceType of Object.keys(this.formulas)) {
+      // Check if this system supports this service
+      support[serviceType] = this.getServiceSupport(serviceType);
+      if (!support[serviceType].supported) {
+        costs[serviceType] = null; // null indicates unsupported
+        unsupportedServices.push(serviceType);
+        continue;
+      }
+
+      try {
+        const { cost: serviceCost, trace } = this.traceServiceCost(serviceType, { ...parameters[serviceType], ...derived });
+        for (const name of this.getDerivedInputs(serviceType)) {
+          this.evaluator.addTraceNode(trace, {
+            type: 'derived',
+            label: `${name} = ${this.derivedVariables[name].expression}`,
+            value: derived[name]
+          });
+        }
+        for (const [name, override] of Object.entries(overrides[serviceType] || {})) {
+          this.evaluator.addTraceNode(trace, {
+            type: 'override',
+            label: override.factor !== undefined
+              ? `${name} overridden for this system: ${override.original} × ${override.factor}`
+              : `${name} overridden for this system (was ${override.original})`,
+            value: override.value
+          });
+        }
+        costs[serviceType] = serviceCost;
+        traces[serviceType] = trace;
+        profiles[serviceType] = (parameters[serviceType] || {}).complexity_profile ?? this.getComplexityProfile(serviceType);
+        supportedServices.push(serviceType);
+      } catch (error) {
+        // A service that can't be priced fails the estimate rather than counting as $0
+        if (error instanceof VariableError) {
+          throw error;
+        }
+        throw new ServiceCostError(this.systemId, serviceType, error);
+      }
+    }
+
+    const settled = this.settle(costs);
+
+    // Native amounts are rounded separately, to the native currency's minor units
+    const nativeCurrency = this.getSystemCurrency();
+    const exchangeRate = this.currencyTable.getExactRate(nativeCurrency, this.currency);
+    const native = this.settle(
+      Object.fromEntries(Object.entries(costs).map(([service, cost]) => [service, cost && cost.dividedBy(exchangeRate)])),
+      nativeCurrency
+    );
+
+    return {
+      systemId: this.systemId,
+      services: settled.services,
+      subtotal: settled.subtotal,
+      adjustments: settled.adjustments,
+      total: settled.total,
+      breakdown: this.generateCostBreakdown(settled.services, traces, profiles),
+      traces,
+      complexityProfiles: profiles,
+      overrides,
+      derived,
+      pricingDate: this.pricingDate,
+      period: this.period,
+      currency: this.currency,
+      rounding: { ...this.currencyTable.rounding, decimals: this.currencyTable.getDecimals(this.currency) },
+      native: {
+        currency: nativeCurrency,
+        exchangeRate: exchangeRate.toNumber(),
+        services: native.services,
+        subtotal: native.subtotal,
+        total: native.total
+      },
+      supportedServices,
+      unsupportedServices,
+      support
+    };
+  }
+
+  /**
+   * Apply the adjustment pipeline to service costs (numbers or Decimals, null
+   * for unsupported) and round to the currency's minor units with the
+   * currencies.yaml `rounding` rule:
+   *   line_items - each service and adjustment is rounded; the total is their sum
+   *   total      - the exact total is rounded, then the line items are rounded
+   *                so they add up to it (largest remainder)
+   * Returns { services, subtotal, adjustments, total } as numbers.
+   */
+  settle(costs, currency = this.currency) {
+    const decimals = this.currencyTable.getDecimals(currency);
+    const { mode, apply } = this.currencyTable.rounding;
+    const round = amount => amount.round(decimals, mode);
+    const services = Object.keys(costs).filter(service => costs[service] !== null);
+
+    const serviceCosts = {};
+    for (const service of services) {
+      const cost = Decimal.from(costs[service]);
+      serviceCosts[service] = apply === 'line_items' ? round(cost) : cost;
+    }
+
+    let subtotal = Decimal.sum(Object.values(serviceCosts));
+    const adjustments = this.applyAdjustments(serviceCosts, subtotal, apply === 'line_items' ? round : undefined);
+
+    if (apply === 'total') {
+      const total = round(adjustments.reduce((sum, adjustment) => sum.plus(adjustment.amount), subtotal));
+      const lineItems = allocate(
+        [...services.map(service => serviceCosts[service]), ...adjustments.map(adjustment => adjustment.amount)],
+        total,
+        decimals,
+        mode
+      );
+
+      services.forEach((service, index) => {
+        serviceCosts[service] = lineItems[index];
+      });
+      subtotal = Decimal.sum(Object.values(serviceCosts));
+
+      adjustments.forEach((adjustment, index) => {
+        adjustment.amount = lineItems[services.length + index];
+        if (adjustment.services) {
+          const names = Object.keys(adjustment.services);
+          const shares = allocate(names.map(service => adjustment.services[service]), adjustment.amount, decimals, mode);
+          adjustment.services = Object.fromEntries(names.map((service, i) => [service, shares[i]]));
+        }
+      });
+    }
+
+    const total = adjustments.reduce((sum, adjustment) => sum.plus(adjustment.amount), subtotal);
+    const toNumbers = amounts => Object.fromEntries(Object.entries(amounts).map(([service, amount]) => [service, amount.toNumber()]));
+
+    return {
+      services: Object.fromEntries(Object.keys(costs).map(service => [service, serviceCosts[service]?.toNumber() ?? null])),
+      subtotal: subtotal.toNumber(),
+      adjustments: adjustments.map(adjustment => ({
+        ...adjustment,
+        amount: adjustment.amount.toNumber(),
+        ...(adjustment.services ? { services: toNumbers(adjustment.services) } : {})
+      })),
+      total: total.toNumber()
+    };
+  }
+
+  /**
+   * Apply the global adjustment pipeline (multipliers.yaml `adjustments`) in order
+   * to exact service costs. A step's factor comes from `adjustments[step.name]`;
+   * steps tied to a variable default to 1 (no adjustment), others to their fixed
+   * `factor`. `round` is applied to each amount as it is computed.
+   * Scopes:
+   *   per_service - factor applied to each listed service's cost
+   *   subtotal    - factor applied to the service subtotal
+   *   cumulative  - factor applied to the running total, including earlier adjustments
+   */
+  applyAdjustments(costs, subtotal, round = amount => amount) {
+    const pipeline = this.multipliers.adjustments || [];
+    const adjustments = [];
+    let runningTotal = subtotal;
+
+    for (const step of pipeline) {
+      const factor = step.name in this.adjustments
+        ? this.adjustments[step.name]
+        : (step.variable !== undefined ? 1 : step.factor ?? 1);
+      const change = Decimal.from(factor).minus(1);
+      const services = Object.entries(costs).filter(([service, cost]) =>
+        cost !== null && (!step.services || step.services.includes(service))
+      );
+
+      let amount = Decimal.ZERO;
+      const serviceAmounts = {};
+
+      switch (step.scope) {
+        case 'per_service':
+          for (const [service, cost] of services) {
+            serviceAmounts[service] = round(cost.times(change));
+            amount = amount.plus(serviceAmounts[service]);
+          }
+          break;
+        case 'subtotal': {
+          const base = Decimal.sum(services.map(([, cost]) => cost));
+          amount = round(base.times(change));
+          break;
+        }
+        case 'cumulative':
+          amount = round(runningTotal.times(change));
+          break;
+        default:
+          throw new Error(`Unknown adjustment scope '${step.scope}' for ${step.name}`);
+      }
+
+      runningTotal = runningTotal.plus(amount);
+      adjustments.push({
+        name: step.name,
+        label: step.label || step.name,
+        scope: step.scope,
+        factor,
+        amount,
+        ...(step.scope === 'per_service' ? { services: serviceAmounts } : {})
+      });
+    }
+
+    return adjustments;
+  }
+
+  /**
+   * Generate detailed cost breakdown
+   */
+  generateCostBreakdown(costs, traces = {}, profiles = {}) {
+    const breakdown = [];
+
+    for (const [service, cost] of Object.entries(costs)) {
+      // Skip services that are null (unsupported)
+      if (cost === null) {
+        continue;
+      }
+
+      breakdown.push({
+        service,
+        cost,
+        percentage: 0, // Will be calculated later
+        trace: traces[service] || null,
+        complexityProfile: profiles[service] || null,
+        complexityFactor: profiles[service] ? this.getComplexityFactor(service, profiles[service]) : 1
+      });
+    }
+
+    const total = breakdown.reduce((sum, item) => sum + item.cost, 0);
+    breakdown.forEach(item => {
+      item.percentage = total > 0 ? (item.cost / total) * 100 : 0;
+    });
+
+    return breakdown.sort((a, b) => b.cost - a.cost);
+  }
+}
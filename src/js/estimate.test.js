@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { fileURLToPath } from 'url';
+import { ServiceCostError, estimate } from './estimate.js';
+import { VariableError } from './variables.js';
+import { ExpressionError } from './expression-parser.js';
+import { ConfigManager } from './config-manager.js';
+import { SERVICE_VARIABLES } from './service-variables.js';
+import { createScenarioEngine } from './scenario.js';
+import { loadConfigDirectory } from '../../scripts/config-files.js';
+
+// Ingestion is cheaper from 2026-04-01
+const config = {
+  baseCosts: { component_periods: { bandwidth_base_cost: 'year' } },
+  formulas: {
+    transport: '$data_volume_gb * $ingestion_cost_per_gb + $bandwidth_base_cost',
+    storage: '$storage_volume_gb * $storage_per_gb'
+  },
+  derivedVariables: {
+    storage_volume_gb: { expression: '$transport.data_volume_gb * $retention_days' }
+  },
+  multipliers: {
+    adjustments: [
+      { name: 'contract', variable: 'contract_multiplier', scope: 'subtotal' },
+      { name: 'support', variable: 'support_multiplier', scope: 'cumulative' }
+    ]
+  },
+  systems: {
+    full: {
+      components: {
+        ingestion_cost_per_gb: [
+          { value: 0.02, effective_to: '2026-03-31' },
+          { value: 0.01, effective_from: '2026-04-01' }
+        ],
+        bandwidth_base_cost: 365,
+        storage_per_gb: 0.001
+      }
+    },
+    transport_only: {
+      services: { transport: {} },
+      components: { ingestion_cost_per_gb: 0.01, bandwidth_base_cost: 0 }
+    }
+  },
+  currencies: {
+    base_currency: 'USD',
+    currencies: {
+      USD: { symbol: '$', decimals: 2, rate: 1 },
+      EUR: { symbol: '€', decimals: 2, rate: 1.25 }
+    }
+  }
+};
+
+const inputs = { data_volume_gb: 1000, retention_days: 10 };
+const price = (options = {}) => estimate({ config, systemId: 'full', pricingDate: '2026-10-19', inputs, ...options });
+
+describe('estimate', () => {
+  it('prices each service per day from the system\'s components and derived inputs', () => {
+    const result = price();
+    expect(result.derived).toEqual({ storage_volume_gb: 10000 });
+    // 1000 GB × 0.01 + 365 per year; 10000 GB × 0.001
+    expect(result.services).toEqual({ transport: 11, storage: 10 });
+    expect(result.total).toBe(21);
+  });
+
+  it('resolves component prices as of the pricing date', () => {
+    expect(price({ pricingDate: '2026-03-31' }).services.transport).toBe(21);
+    expect(price({ pricingDate: '2026-04-01' }).services.transport).toBe(11);
+  });
+
+  it('scales to the reporting period and rounds each line item', () => {
+    const result = price({ period: 'month' });
+    expect(result.services).toEqual({ transport: 334.58, storage: 304.17 });
+    expect(result.total).toBe(638.75);
+  });
+
+  it('applies the adjustment pipeline in order', () => {
+    const result = price({ adjustments: { contract: 0.9, support: 1.1 } });
+    expect(result.adjustments.map(adjustment => adjustment.amount)).toEqual([-2.1, 1.89]);
+    expect(result.total).toBe(20.79);
+  });
+
+  it('converts to the display currency', () => {
+    const result = price({ currency: 'EUR' });
+    expect(result.total).toBe(16.8);
+    expect(result.native).toMatchObject({ currency: 'USD', total: 21 });
+  });
+
+  it('leaves out services the system doesn\'t offer', () => {
+    const result = price({ systemId: 'transport_only' });
+    expect(result.services).toEqual({ transport: 10, storage: null });
+    expect(result.unsupportedServices).toEqual(['storage']);
+    expect(result.total).toBe(10);
+  });
+
+  it('fails instead of pricing a broken service at $0', () => {
+    const broken = { ...config, formulas: { ...config.formulas, storage: '$storage_volume_gb * $storage_per_gbb' } };
+    let error;
+    try {
+      estimate({ config: broken, systemId: 'full', pricingDate: '2026-10-19', inputs });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ServiceCostError);
+    expect(error).toMatchObject({ systemId: 'full', service: 'storage' });
+    expect(error.cause).toBeInstanceOf(ExpressionError);
+  });
+
+  it('rejects inputs that are not entirely numeric', () => {
+    const variableDefinitions = { data_volume_gb: { type: 'number' } };
+    expect(() => price({ inputs: { ...inputs, data_volume_gb: '12abc' }, variableDefinitions })).toThrow(VariableError);
+    expect(price({ inputs: { ...inputs, data_volume_gb: '1000' }, variableDefinitions }).total).toBe(21);
+  });
+});
+
+describe('shipped configuration', () => {
+  const loadEngine = async (scenario = {}) => {
+    const { config: shipped, ...files } = await loadConfigDirectory(fileURLToPath(new URL('../../config', import.meta.url)));
+    const configManager = new ConfigManager();
+    configManager.setConfig(shipped, files);
+    return createScenarioEngine(configManager, scenario, { pricingDate: '2026-10-19' });
+  };
+
+  it('prices data quality scores at 1.1^(score - 1), and in-between scores between their neighbours', async () => {
+    const engine = await loadEngine();
+    const enrichment = score => engine.calculateWith({ systemId: 'system_a', inputs: { data_quality_score: score } }).services.enrichment;
+
+    expect(enrichment(5) / enrichment(1)).toBeCloseTo(1.4641, 3);
+
+    expect(enrichment(2.7)).toBeGreaterThan(enrichment(2));
+    expect(enrichment(2.7)).toBeLessThan(enrichment(3));
+  });
+
+  it('prices every slider input between its steps, as sensitivity and simulation do', async () => {
+    const engine = await loadEngine();
+    for (const [service, variables] of Object.entries(SERVICE_VARIABLES)) {
+      for (const [name, control] of Object.entries(variables)) {
+        if (control.type !== 'range' || name in engine.derivedVariables) continue;
+        const value = engine.variables.get(name) + control.step / 2;
+        for (const systemId of Object.keys(engine.systems)) {
+          const result = engine.calculateWith({ systemId, inputs: { [name]: value } });
+          if (result.support[service].supported) {
+            expect(result.services[service], `${systemId} ${service} at ${name} = ${value}`).toBeGreaterThan(0);
+          }
+        }
+      }
+    }
+  });
+});
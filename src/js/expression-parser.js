@@ -0,0 +1,446 @@
+/**
+ * Expression Parser
+ * Tokenizes, parses and evaluates formula expressions without eval/Function()
+ *
+ * Supported syntax:
+ *   numbers, "strings", true/false, $variables
+ *   arithmetic:   + - * / %
+ *   comparison:   == != < <= > >=
+ *   logical:      && || !
+ *   ternary:      cond ? a : b
+ *   functions:    min, max, ceil, floor, round, clamp, abs
+ *
+ * Arithmetic is exact decimal (see decimal.js): literals keep the digits they
+ * are written with, and numbers from the context convert as they print.
+ */
+
+import { Decimal } from './decimal.js';
+
+/**
+ * Error raised for syntax errors, unknown variables/functions and type errors
+ */
+export class ExpressionError extends Error {
+  constructor(message, expression, position) {
+    super(position !== undefined
+      ? `${message} at position ${position} in "${expression}"`
+      : `${message} in "${expression}"`);
+    this.name = 'ExpressionError';
+    this.expression = expression;
+    this.position = position;
+  }
+}
+
+// Built-in functions with their allowed argument counts
+const FUNCTIONS = {
+  min: { minArgs: 1, maxArgs: Infinity, fn: (...args) => Decimal.min(...args) },
+  max: { minArgs: 1, maxArgs: Infinity, fn: (...args) => Decimal.max(...args) },
+  ceil: { minArgs: 1, maxArgs: 1, fn: (x) => x.ceil() },
+  floor: { minArgs: 1, maxArgs: 1, fn: (x) => x.floor() },
+  abs: { minArgs: 1, maxArgs: 1, fn: (x) => x.abs() },
+  round: { minArgs: 1, maxArgs: 2, fn: (x, digits = Decimal.ZERO) => x.round(digits.toNumber(), 'half_up') },
+  clamp: { minArgs: 3, maxArgs: 3, fn: (x, lo, hi) => Decimal.min(Decimal.max(x, lo), hi) }
+};
+
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ','];
+
+/**
+ * Split an expression into tokens
+ */
+export function tokenize(expression) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // Numbers: 12, 0.5, .5, 1e3
+    if (/[0-9.]/.test(char)) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(expression.slice(i));
+      if (!match) {
+        throw new ExpressionError(`Unexpected character '${char}'`, expression, i);
+      }
+      tokens.push({ type: 'number', value: Decimal.parse(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    // Variables: $name, $service.name
+    if (char === '$') {
+      const match = /^\$([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)*)/.exec(expression.slice(i));
+      if (!match) {
+        throw new ExpressionError('Invalid variable name', expression, i);
+      }
+      tokens.push({ type: 'variable', value: match[1], position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    // Identifiers: function names and boolean literals
+    if (/[a-zA-Z_]/.test(char)) {
+      const match = /^[a-zA-Z_][a-zA-Z0-9_]*/.exec(expression.slice(i));
+      tokens.push({ type: 'identifier', value: match[0], position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    // String literals
+    if (char === '"' || char === "'") {
+      const end = expression.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new ExpressionError('Unterminated string', expression, i);
+      }
+      tokens.push({ type: 'string', value: expression.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => expression.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character '${char}'`, expression, i);
+  }
+
+  tokens.push({ type: 'eof', value: null, position: expression.length });
+  return tokens;
+}
+
+/**
+ * Recursive descent parser producing an AST
+ */
+class Parser {
+  constructor(expression) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  matchOperator(...operators) {
+    const token = this.peek();
+    if (token.type === 'operator' && operators.includes(token.value)) {
+      this.index++;
+      return token.value;
+    }
+    return null;
+  }
+
+  expectOperator(operator) {
+    const token = this.next();
+    if (token.type !== 'operator' || token.value !== operator) {
+      throw this.unexpected(token, `Expected '${operator}'`);
+    }
+  }
+
+  unexpected(token, message) {
+    const found = token.type === 'eof' ? 'end of expression' : `'${token.value}'`;
+    return new ExpressionError(`${message || 'Unexpected token'}, found ${found}`, this.expression, token.position);
+  }
+
+  parse() {
+    if (this.peek().type === 'eof') {
+      throw new ExpressionError('Empty expression', this.expression);
+    }
+    const ast = this.parseTernary();
+    if (this.peek().type !== 'eof') {
+      throw this.unexpected(this.peek());
+    }
+    return ast;
+  }
+
+  parseTernary() {
+    const test = this.parseBinary(0);
+    if (this.matchOperator('?')) {
+      const consequent = this.parseTernary();
+      this.expectOperator(':');
+      const alternate = this.parseTernary();
+      return { type: 'conditional', test, consequent, alternate };
+    }
+    return test;
+  }
+
+  // Binary operator precedence, lowest first
+  static PRECEDENCE = [
+    ['||'],
+    ['&&'],
+    ['==', '!='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+  ];
+
+  parseBinary(level) {
+    if (level >= Parser.PRECEDENCE.length) {
+      return this.parseUnary();
+    }
+
+    let left = this.parseBinary(level + 1);
+    let operator;
+    while ((operator = this.matchOperator(...Parser.PRECEDENCE[level]))) {
+      const right = this.parseBinary(level + 1);
+      left = { type: 'binary', operator, left, right };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    const operator = this.matchOperator('-', '+', '!');
+    if (operator) {
+      return { type: 'unary', operator, argument: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'variable':
+        return { type: 'variable', name: token.value, position: token.position };
+      case 'identifier':
+        return this.parseIdentifier(token);
+      case 'operator':
+        if (token.value === '(') {
+          const inner = this.parseTernary();
+          this.expectOperator(')');
+          return inner;
+        }
+        break;
+    }
+
+    throw this.unexpected(token);
+  }
+
+  parseIdentifier(token) {
+    if (token.value === 'true' || token.value === 'false') {
+      return { type: 'literal', value: token.value === 'true' };
+    }
+
+    const fn = FUNCTIONS[token.value];
+    if (!fn) {
+      throw new ExpressionError(`Unknown function '${token.value}'`, this.expression, token.position);
+    }
+
+    this.expectOperator('(');
+    const args = [];
+    if (!this.matchOperator(')')) {
+      do {
+        args.push(this.parseTernary());
+      } while (this.matchOperator(','));
+      this.expectOperator(')');
+    }
+
+    if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+      throw new ExpressionError(`Wrong number of arguments to ${token.value}()`, this.expression, token.position);
+    }
+
+    return { type: 'call', name: token.value, args };
+  }
+}
+
+/**
+ * Parse an expression into an AST
+ */
+export function parseExpression(expression) {
+  return new Parser(expression).parse();
+}
+
+/**
+ * Collect the variable names referenced by an AST
+ */
+function collectVariables(node, variables = new Set()) {
+  switch (node.type) {
+    case 'variable':
+      variables.add(node.name);
+      break;
+    case 'unary':
+      collectVariables(node.argument, variables);
+      break;
+    case 'binary':
+      collectVariables(node.left, variables);
+      collectVariables(node.right, variables);
+      break;
+    case 'conditional':
+      collectVariables(node.test, variables);
+      collectVariables(node.consequent, variables);
+      collectVariables(node.alternate, variables);
+      break;
+    case 'call':
+      node.args.forEach(arg => collectVariables(arg, variables));
+      break;
+  }
+  return variables;
+}
+
+/**
+ * A parsed expression that can be evaluated repeatedly against different contexts
+ */
+export class CompiledExpression {
+  constructor(source) {
+    this.source = source;
+    this.ast = parseExpression(source);
+    this.variables = Array.from(collectVariables(this.ast));
+  }
+
+  /**
+   * Evaluate the expression with the given variable context
+   * (numeric results come back as numbers)
+   */
+  evaluate(context) {
+    const result = this.evaluateDecimal(context);
+    return result instanceof Decimal ? result.toNumber() : result;
+  }
+
+  /**
+   * Evaluate the expression, keeping a numeric result as an exact Decimal
+   */
+  evaluateDecimal(context) {
+    return this.evaluateNode(this.ast, context);
+  }
+
+  evaluateNode(node, context) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'variable':
+        if (context[node.name] === undefined || context[node.name] === null) {
+          throw new ExpressionError(`Unknown variable $${node.name}`, this.source, node.position);
+        }
+        return typeof context[node.name] === 'number' ? Decimal.from(context[node.name]) : context[node.name];
+
+      case 'unary': {
+        const value = this.evaluateNode(node.argument, context);
+        if (node.operator === '!') return !this.isTruthy(value);
+        const number = this.toDecimal(value, node.operator);
+        return node.operator === '-' ? number.negated() : number;
+      }
+
+      case 'binary':
+        return this.evaluateBinary(node, context);
+
+      case 'conditional':
+        return this.isTruthy(this.evaluateNode(node.test, context))
+          ? this.evaluateNode(node.consequent, context)
+          : this.evaluateNode(node.alternate, context);
+
+      case 'call': {
+        const args = node.args.map(arg => this.toDecimal(this.evaluateNode(arg, context), `${node.name}()`));
+        return FUNCTIONS[node.name].fn(...args);
+      }
+    }
+
+    throw new ExpressionError(`Unknown node type '${node.type}'`, this.source);
+  }
+
+  evaluateBinary(node, context) {
+    const { operator } = node;
+
+    // Short-circuit logical operators
+    if (operator === '&&') {
+      const left = this.evaluateNode(node.left, context);
+      return this.isTruthy(left) ? this.evaluateNode(node.right, context) : left;
+    }
+    if (operator === '||') {
+      const left = this.evaluateNode(node.left, context);
+      return this.isTruthy(left) ? left : this.evaluateNode(node.right, context);
+    }
+
+    const left = this.evaluateNode(node.left, context);
+    const right = this.evaluateNode(node.right, context);
+
+    switch (operator) {
+      case '==': return this.isEqual(left, right);
+      case '!=': return !this.isEqual(left, right);
+    }
+
+    const a = this.toDecimal(left, operator);
+    const b = this.toDecimal(right, operator);
+
+    if ((operator === '/' || operator === '%') && b.isZero()) {
+      throw new ExpressionError('Division by zero', this.source);
+    }
+
+    switch (operator) {
+      case '<': return a.lt(b);
+      case '<=': return a.lte(b);
+      case '>': return a.gt(b);
+      case '>=': return a.gte(b);
+      case '+': return a.plus(b);
+      case '-': return a.minus(b);
+      case '*': return a.times(b);
+      case '/': return a.dividedBy(b);
+      case '%': return a.mod(b);
+    }
+
+    throw new ExpressionError(`Unknown operator '${operator}'`, this.source);
+  }
+
+  toDecimal(value, operator) {
+    if (value instanceof Decimal) return value;
+    if (typeof value === 'boolean') return value ? Decimal.ONE : Decimal.ZERO;
+    throw new ExpressionError(`Operator '${operator}' expects a number, got ${JSON.stringify(value)}`, this.source);
+  }
+
+  isTruthy(value) {
+    return value instanceof Decimal ? !value.isZero() : Boolean(value);
+  }
+
+  isEqual(left, right) {
+    if (left instanceof Decimal && right instanceof Decimal) return left.eq(right);
+    return left === right;
+  }
+}
+
+/**
+ * Compiles expressions and caches the result per source string
+ */
+export class ExpressionCompiler {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Get the compiled form of an expression, parsing it on first use
+   */
+  compile(source) {
+    let compiled = this.cache.get(source);
+    if (!compiled) {
+      compiled = new CompiledExpression(source);
+      this.cache.set(source, compiled);
+    }
+    return compiled;
+  }
+
+  /**
+   * Compile and evaluate an expression in one step
+   */
+  evaluate(source, context) {
+    return this.compile(source).evaluate(context);
+  }
+
+  /**
+   * Drop all cached expressions (e.g. after the formulas change)
+   */
+  clear() {
+    this.cache.clear();
+  }
+}
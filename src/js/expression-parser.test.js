@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { CompiledExpression, ExpressionCompiler, ExpressionError, tokenize } from './expression-parser.js';
+
+const evaluate = (source, context = {}) => new CompiledExpression(source).evaluate(context);
+
+describe('tokenize', () => {
+  it('splits numbers, variables, strings and operators', () => {
+    const tokens = tokenize('$transport.data_volume_gb * 1e3 >= "basic"');
+    expect(tokens.map(token => token.type)).toEqual(['variable', 'operator', 'number', 'operator', 'string', 'eof']);
+    expect(tokens[0].value).toBe('transport.data_volume_gb');
+    expect(tokens[2].value.toString()).toBe('1000');
+  });
+
+  it('reports the position of an unexpected character', () => {
+    expect(() => tokenize('$a # 2')).toThrow(/at position 3/);
+  });
+});
+
+describe('CompiledExpression', () => {
+  it('does exact decimal arithmetic', () => {
+    expect(evaluate('0.1 + 0.2')).toBe(0.3);
+    expect(evaluate('$price * $volume', { price: 0.0007, volume: 3 })).toBe(0.0021);
+    expect(evaluate('10 % 4')).toBe(2);
+  });
+
+  it('follows operator precedence and parentheses', () => {
+    expect(evaluate('2 + 3 * 4')).toBe(14);
+    expect(evaluate('(2 + 3) * 4')).toBe(20);
+    expect(evaluate('-2 * -3')).toBe(6);
+    expect(evaluate('1 + 2 > 2 && !(1 == 2)')).toBe(true);
+  });
+
+  it('evaluates ternaries and short-circuits logical operators', () => {
+    expect(evaluate('$tier > 2 ? 1.5 : 1', { tier: 3 })).toBe(1.5);
+    expect(evaluate('$tier > 2 ? 1.5 : 1', { tier: 2 })).toBe(1);
+    // The right-hand side is never evaluated, so the unknown variable doesn't matter
+    expect(evaluate('false && $missing')).toBe(false);
+    expect(evaluate('true || $missing')).toBe(true);
+  });
+
+  it('compares strings by value', () => {
+    expect(evaluate('$model_type == "deep_learning" ? 200 : 25', { model_type: 'deep_learning' })).toBe(200);
+    expect(evaluate('$model_type != "simple"', { model_type: 'simple' })).toBe(false);
+  });
+
+  it('calls the built-in functions', () => {
+    expect(evaluate('min(3, 1, 2) + max(3, 1, 2)')).toBe(4);
+    expect(evaluate('ceil(1.2) + floor(1.8) + abs(-2)')).toBe(5);
+    expect(evaluate('round(2.345, 2)')).toBe(2.35);
+    expect(evaluate('round(2.5)')).toBe(3);
+    expect(evaluate('clamp($x, 0, 10)', { x: 12 })).toBe(10);
+  });
+
+  it('lists the variables an expression reads', () => {
+    expect(new CompiledExpression('$a * ($b + $a) + $search.c').variables).toEqual(['a', 'b', 'search.c']);
+  });
+
+  it('rejects unknown variables, division by zero and type errors', () => {
+    expect(() => evaluate('$missing + 1')).toThrow(ExpressionError);
+    expect(() => evaluate('$missing + 1')).toThrow('Unknown variable $missing');
+    expect(() => evaluate('1 / $zero', { zero: 0 })).toThrow('Division by zero');
+    expect(() => evaluate('"a" * 2')).toThrow(/expects a number/);
+  });
+
+  it('rejects syntax errors, unknown functions and wrong argument counts', () => {
+    expect(() => new CompiledExpression('1 +')).toThrow(ExpressionError);
+    expect(() => new CompiledExpression('(1 + 2')).toThrow(ExpressionError);
+    expect(() => new CompiledExpression('sqrt(4)')).toThrow(/sqrt/);
+    expect(() => new CompiledExpression('clamp(1, 2)')).toThrow(ExpressionError);
+  });
+});
+
+describe('ExpressionCompiler', () => {
+  it('compiles each source once', () => {
+    const compiler = new ExpressionCompiler();
+    expect(compiler.compile('$a + 1')).toBe(compiler.compile('$a + 1'));
+    expect(compiler.evaluate('$a + 1', { a: 1 })).toBe(2);
+    compiler.clear();
+    expect(compiler.cache.size).toBe(0);
+  });
+});
@@ -0,0 +1,478 @@
+/**
+ * Formula Evaluator
+ * Evaluates formulas.yaml formulas (expressions, tiered, multiplier, conditional)
+ * against a context of variable values, optionally recording a trace.
+ * Costs are exact Decimals; trace values are plain numbers for display.
+ */
+
+import { ExpressionCompiler } from './expression-parser.js';
+import { Decimal } from './decimal.js';
+
+// Days in each billing period (month and year use the average calendar length)
+export const PERIOD_DAYS = {
+  day: 1,
+  month: 365 / 12,
+  year: 365
+};
+
+// The same periods as exact decimals, for calculations
+export const EXACT_PERIOD_DAYS = {
+  day: Decimal.ONE,
+  month: Decimal.from(365).dividedBy(12),
+  year: Decimal.from(365)
+};
+
+/**
+ * Order two condition operands: -1, 0 or 1, or NaN when they can't be compared.
+ * Numbers and Decimals (inputs normalized to a daily rate) compare by value,
+ * so two normalized inputs are equal when their amounts are; anything else
+ * compares as plain values.
+ */
+function compareOperands(a, b) {
+  const isNumeric = (value) => typeof value === 'number' || value instanceof Decimal;
+  if (isNumeric(a) && isNumeric(b)) {
+    return Decimal.from(a).compare(b);
+  }
+  if (a == b) return 0;
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return NaN;
+}
+
+export class FormulaEvaluator {
+  constructor(expressionCompiler = new ExpressionCompiler()) {
+    this.expressionCompiler = expressionCompiler;
+  }
+
+  /**
+   * Append a trace node to a parent trace (no-op when tracing is off)
+   */
+  addTraceNode(parent, node) {
+    if (!parent) return null;
+    const traceNode = { children: [], ...node };
+    for (const [key, value] of Object.entries(traceNode)) {
+      if (value instanceof Decimal) traceNode[key] = value.toNumber();
+    }
+    parent.children.push(traceNode);
+    return traceNode;
+  }
+
+  /**
+   * Evaluate formula with given context
+   */
+  evaluateFormula(formula, context, trace = null) {
+    if (typeof formula === 'number') {
+      this.addTraceNode(trace, { type: 'constant', label: String(formula), value: formula });
+      return Decimal.from(formula);
+    }
+
+    if (typeof formula === 'string') {
+      return this.evaluateExpression(formula, context, trace);
+    }
+
+    if (typeof formula === 'object' && formula !== null) {
+      return this.evaluateComplexFormula(formula, context, trace);
+    }
+
+    return Decimal.ZERO;
+  }
+
+  /**
+   * Evaluate a formula expression using the cached compiled form
+   */
+  evaluateExpression(expression, context, trace = null) {
+    const compiled = this.expressionCompiler.compile(expression);
+    const result = compiled.evaluateDecimal(context);
+    if (!(result instanceof Decimal)) {
+      throw new Error(`Expression "${expression}" did not produce a number (got ${JSON.stringify(result)})`);
+    }
+
+    if (trace) {
+      const values = {};
+      for (const name of compiled.variables) {
+        values[name] = context[name] instanceof Decimal ? context[name].toNumber() : context[name];
+      }
+      this.addTraceNode(trace, { type: 'expression', label: expression, expression, values, value: result });
+    }
+
+    return result;
+  }
+
+  /**
+   * Evaluate complex formula objects
+   */
+  evaluateComplexFormula(formula, context, trace = null) {
+    if (formula.type === 'tiered') {
+      return this.evaluateTieredFormula(formula, context, trace);
+    }
+
+    if (formula.type === 'multiplier') {
+      return this.evaluateMultiplierFormula(formula, context, trace);
+    }
+
+    if (formula.type === 'conditional') {
+      return this.evaluateConditionalFormula(formula, context, trace);
+    }
+
+    // Default: sum all numeric values in the formula object
+    const node = this.addTraceNode(trace, { type: 'sum', label: 'Sum of components', value: 0 });
+    let total = Decimal.ZERO;
+    for (const value of Object.values(formula)) {
+      total = total.plus(this.evaluateFormula(value, context, node));
+    }
+
+    if (node) node.value = total.toNumber();
+    return total;
+  }
+
+  /**
+   * Evaluate tiered pricing formulas
+   *
+   * Options (all optional):
+   *   mode            - graduated (default): each slice billed at its tier's rate
+   *                     all_units: the whole quantity billed at the tier it lands in
+   *   free_allowance  - quantity that is free before the tiers apply
+   *   tiers[].flat_fee - fixed fee charged when a tier is reached
+   *   minimum_charge / maximum_charge - floor and cap on the service cost
+   *   fee_period      - billing period of fixed amounts (flat fees, minimum and maximum)
+   */
+  evaluateTieredFormula(formula, context, trace = null) {
+    const volume = context[formula.volumeVar] || 0;
+    const tiers = formula.tiers || [];
+    const mode = formula.mode || 'graduated';
+    const node = this.addTraceNode(trace, {
+      type: 'tiered',
+      label: `Tiered pricing (${mode.replace('_', ' ')}) on ${formula.volumeVar} = ${volume}`,
+      variable: formula.volumeVar,
+      volume,
+      value: 0
+    });
+
+    // Fixed amounts are declared per fee_period; formulas are evaluated per day
+    const feePeriod = formula.fee_period || 'day';
+    if (!(feePeriod in PERIOD_DAYS)) {
+      throw new Error(`Unknown fee_period '${feePeriod}' in tiered formula on ${formula.volumeVar}`);
+    }
+    const resolve = (value) => (typeof value === 'string' ? this.evaluateExpression(value, context) : Decimal.from(value));
+    const fixedAmount = (value) => (value === undefined || value === null ? null : resolve(value).dividedBy(EXACT_PERIOD_DAYS[feePeriod]));
+
+    const quantity = Decimal.from(volume);
+    const freeAllowance = resolve(formula.free_allowance ?? 0);
+    const billable = Decimal.max(0, quantity.minus(freeAllowance));
+    if (freeAllowance.gt(0)) {
+      this.addTraceNode(node, {
+        type: 'tier',
+        label: `Free allowance: ${Decimal.min(quantity, freeAllowance)} × 0`,
+        quantity: Decimal.min(quantity, freeAllowance),
+        rate: 0,
+        value: 0
+      });
+    }
+
+    let cost;
+    switch (mode) {
+      case 'graduated':
+        cost = this.evaluateGraduatedTiers(tiers, billable, context, node, fixedAmount);
+        break;
+      case 'all_units':
+        cost = this.evaluateAllUnitsTiers(tiers, billable, context, node, fixedAmount);
+        break;
+      default:
+        throw new Error(`Unknown tiered pricing mode '${mode}' (expected graduated or all_units)`);
+    }
+
+    const minimum = fixedAmount(formula.minimum_charge);
+    if (minimum !== null && cost.lt(minimum)) {
+      this.addTraceNode(node, { type: 'charge', label: `Minimum charge of ${formula.minimum_charge} per ${feePeriod}`, value: minimum.minus(cost) });
+      cost = minimum;
+    }
+
+    const maximum = fixedAmount(formula.maximum_charge);
+    if (maximum !== null && cost.gt(maximum)) {
+      this.addTraceNode(node, { type: 'charge', label: `Maximum charge of ${formula.maximum_charge} per ${feePeriod}`, value: maximum.minus(cost) });
+      cost = maximum;
+    }
+
+    if (node) node.value = cost.toNumber();
+    return cost;
+  }
+
+  /**
+   * Graduated tiers: each tier's `limit` is the size of its slice (null = unlimited)
+   */
+  evaluateGraduatedTiers(tiers, quantity, context, node, fixedAmount) {
+    let cost = Decimal.ZERO;
+    let remainingVolume = quantity;
+
+    tiers.forEach((tier, index) => {
+      if (!remainingVolume.gt(0)) return;
+
+      const tierVolume = tier.limit ? Decimal.min(remainingVolume, tier.limit) : remainingVolume;
+      cost = cost.plus(this.addTierCost(tier, index, tierVolume, context, node, fixedAmount));
+      remainingVolume = remainingVolume.minus(tierVolume);
+    });
+
+    return cost;
+  }
+
+  /**
+   * All-units tiers: find the tier the quantity lands in (slices stack as in
+   * graduated mode) and bill the whole quantity at that tier's rate
+   */
+  evaluateAllUnitsTiers(tiers, quantity, context, node, fixedAmount) {
+    if (!quantity.gt(0) || tiers.length === 0) return Decimal.ZERO;
+
+    let index = 0;
+    let upperBound = Decimal.ZERO;
+    for (; index < tiers.length - 1; index++) {
+      if (!tiers[index].limit) break;
+      upperBound = upperBound.plus(tiers[index].limit);
+      if (quantity.lte(upperBound)) break;
+    }
+
+    return this.addTierCost(tiers[index], index, quantity, context, node, fixedAmount, ' (all units)');
+  }
+
+  /**
+   * Cost of one tier (quantity × rate plus any flat fee), recorded in the trace
+   */
+  addTierCost(tier, index, quantity, context, node, fixedAmount, suffix = '') {
+    // Evaluate the rate expression if it's a string, otherwise use as number
+    const rate = typeof tier.rate === 'string'
+      ? this.evaluateExpression(tier.rate, context)
+      : Decimal.from(tier.rate ?? 0);
+
+    const tierCost = quantity.times(rate);
+    this.addTraceNode(node, {
+      type: 'tier',
+      label: `Tier ${index + 1}${suffix}: ${quantity} × ${rate}`,
+      tier: index + 1,
+      quantity,
+      rate,
+      rateExpression: typeof tier.rate === 'string' ? tier.rate : undefined,
+      value: tierCost
+    });
+
+    const flatFee = fixedAmount(tier.flat_fee) || Decimal.ZERO;
+    if (!flatFee.isZero()) {
+      this.addTraceNode(node, {
+        type: 'tier',
+        label: `Tier ${index + 1} flat fee`,
+        tier: index + 1,
+        value: flatFee
+      });
+    }
+
+    return tierCost.plus(flatFee);
+  }
+
+  /**
+   * Evaluate multiplier-based formulas
+   */
+  evaluateMultiplierFormula(formula, context, trace = null) {
+    const node = this.addTraceNode(trace, { type: 'multiplier', label: 'Base cost × multipliers', value: 0 });
+    const baseValue = this.evaluateExpression(formula.base, context, node);
+    let multiplier = Decimal.ONE;
+
+    for (const mult of formula.multipliers || []) {
+      const factor = context[mult.variable] || 1;
+      const { value: applied, description } = this.evaluateMultiplierCurve(mult, factor);
+      multiplier = multiplier.times(applied);
+      this.addTraceNode(node, {
+        type: 'factor',
+        label: `${mult.variable} = ${factor} (${description})`,
+        variable: mult.variable,
+        level: factor,
+        curve: mult.curve || 'exponential',
+        factor: mult.factor,
+        value: applied
+      });
+    }
+
+    const cost = baseValue.times(multiplier);
+    if (node) node.value = cost.toNumber();
+    return cost;
+  }
+
+  /**
+   * Factor for one multiplier entry at a given level of its variable
+   *
+   * Curves:
+   *   exponential (default) - factor^(level - base_level) above base_level, 1 otherwise
+   *   linear                - 1 + (factor - 1) × (level - base_level)
+   *   table                 - explicit factor per level: values: { 1: 1.3, 2: 1.1, 3: 1.0 }
+   *   interpolated          - linear between breakpoints, clamped at the ends:
+   *                           points: [{ at: 1, factor: 1.3 }, { at: 5, factor: 0.9 }]
+   */
+  evaluateMultiplierCurve(mult, level) {
+    const baseLevel = mult.base_level ?? 1;
+    // The level of an input normalized to a daily rate arrives as a Decimal
+    if (level instanceof Decimal) level = level.toNumber();
+
+    switch (mult.curve || 'exponential') {
+      case 'exponential': {
+        const exponent = Math.max(level - baseLevel, 0);
+        // Fractional levels fall back to floating point; integer powers stay exact
+        const value = Number.isInteger(exponent)
+          ? Decimal.from(mult.factor).pow(exponent)
+          : Decimal.from(Math.pow(mult.factor, exponent));
+        return { value, description: `${mult.factor}^${exponent}` };
+      }
+
+      case 'linear': {
+        const step = Decimal.from(mult.factor).minus(1);
+        return { value: step.times(level - baseLevel).plus(1), description: `1 + ${step} × ${level - baseLevel}` };
+      }
+
+      case 'table': {
+        const value = (mult.values || {})[String(level)];
+        if (typeof value !== 'number') {
+          throw new Error(`No multiplier for ${mult.variable} = ${level} (table has ${Object.keys(mult.values || {}).join(', ')})`);
+        }
+        return { value: Decimal.from(value), description: 'table' };
+      }
+
+      case 'interpolated': {
+        const points = [...(mult.points || [])].sort((a, b) => a.at - b.at);
+        if (points.length === 0) {
+          throw new Error(`Interpolated multiplier for ${mult.variable} has no points`);
+        }
+        if (level <= points[0].at) return { value: Decimal.from(points[0].factor), description: `at or below ${points[0].at}` };
+        const last = points[points.length - 1];
+        if (level >= last.at) return { value: Decimal.from(last.factor), description: `at or above ${last.at}` };
+
+        const upper = points.findIndex(point => point.at >= level);
+        const from = points[upper - 1];
+        const to = points[upper];
+        const value = Decimal.from(to.factor).minus(from.factor)
+          .times(Decimal.from(level).minus(from.at))
+          .dividedBy(Decimal.from(to.at).minus(from.at))
+          .plus(from.factor);
+        return { value, description: `interpolated between ${from.at} and ${to.at}` };
+      }
+
+      default:
+        throw new Error(`Unknown multiplier curve '${mult.curve}' for ${mult.variable}`);
+    }
+  }
+
+  /**
+   * Evaluate conditional formulas
+   */
+  evaluateConditionalFormula(formula, context, trace = null) {
+    const conditions = formula.conditions || [];
+    for (let i = 0; i < conditions.length; i++) {
+      const condition = conditions[i];
+      if (this.evaluateCondition(condition.if, context)) {
+        const node = this.addTraceNode(trace, {
+          type: 'conditional',
+          label: `Matched condition ${i + 1}: ${this.describeCondition(condition.if)}`,
+          matched: i,
+          value: 0
+        });
+        const cost = this.evaluateFormula(condition.then, context, node);
+        if (node) node.value = cost.toNumber();
+        return cost;
+      }
+    }
+
+    const node = this.addTraceNode(trace, {
+      type: 'conditional',
+      label: 'No condition matched: else branch',
+      matched: 'else',
+      value: 0
+    });
+    const cost = this.evaluateFormula(formula.else || 0, context, node);
+    if (node) node.value = cost.toNumber();
+    return cost;
+  }
+
+  /**
+   * Describe a condition for display in a trace
+   */
+  describeCondition(condition) {
+    if (condition.all) {
+      return `(${condition.all.map(child => this.describeCondition(child)).join(' AND ')})`;
+    }
+    if (condition.any) {
+      return `(${condition.any.map(child => this.describeCondition(child)).join(' OR ')})`;
+    }
+    if (condition.not) {
+      return `NOT ${this.describeCondition(condition.not)}`;
+    }
+
+    const { variable, operator, value } = condition;
+    const describe = (operand) => (this.isVariableOperand(operand) ? operand.variable : JSON.stringify(operand));
+    if (operator === 'between') {
+      return `${variable} between ${describe(value[0])} and ${describe(value[1])}`;
+    }
+    if (operator === 'in') {
+      return `${variable} in [${value.map(describe).join(', ')}]`;
+    }
+    return `${variable} ${operator} ${describe(value)}`;
+  }
+
+  /**
+   * Evaluate a condition
+   *
+   * Conditions:
+   *   { variable, operator, value }      - >, >=, <, <=, ==, !=
+   *   { variable, operator: 'between', value: [min, max] } - inclusive range
+   *   { variable, operator: 'in', value: [a, b, ...] }     - list membership
+   *   { all: [...] }, { any: [...] }, { not: {...} }       - combinators
+   * Any value may be { variable: name } to compare against another variable.
+   * Every variable a condition reads must be set; a missing one throws.
+   */
+  evaluateCondition(condition, context) {
+    if (condition.all) {
+      return condition.all.every(child => this.evaluateCondition(child, context));
+    }
+    if (condition.any) {
+      return condition.any.some(child => this.evaluateCondition(child, context));
+    }
+    if (condition.not) {
+      return !this.evaluateCondition(condition.not, context);
+    }
+
+    const { variable, operator } = condition;
+    // A missing variable fails the condition loudly rather than comparing as 0
+    const lookup = (name) => {
+      if (context[name] === undefined || context[name] === null) {
+        throw new Error(`Unknown variable ${name} in condition on ${variable}`);
+      }
+      return context[name];
+    };
+    const varValue = lookup(variable);
+    const operand = (value) => (this.isVariableOperand(value) ? lookup(value.variable) : value);
+
+    switch (operator) {
+      case 'between': {
+        if (!Array.isArray(condition.value) || condition.value.length !== 2) {
+          throw new Error(`Condition on ${variable}: between needs [min, max], got ${JSON.stringify(condition.value)}`);
+        }
+        const [min, max] = condition.value.map(operand);
+        return compareOperands(varValue, min) >= 0 && compareOperands(varValue, max) <= 0;
+      }
+      case 'in':
+        if (!Array.isArray(condition.value)) {
+          throw new Error(`Condition on ${variable}: in needs a list, got ${JSON.stringify(condition.value)}`);
+        }
+        return condition.value.map(operand).some(allowed => compareOperands(varValue, allowed) === 0);
+      case '>': return compareOperands(varValue, operand(condition.value)) > 0;
+      case '>=': return compareOperands(varValue, operand(condition.value)) >= 0;
+      case '<': return compareOperands(varValue, operand(condition.value)) < 0;
+      case '<=': return compareOperands(varValue, operand(condition.value)) <= 0;
+      case '==': return compareOperands(varValue, operand(condition.value)) === 0;
+      case '!=': return compareOperands(varValue, operand(condition.value)) !== 0;
+      default:
+        throw new Error(`Unknown operator '${operator}' in condition on ${variable}`);
+    }
+  }
+
+  /**
+   * Whether a condition value refers to another variable ({ variable: name })
+   */
+  isVariableOperand(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value) && typeof value.variable === 'string';
+  }
+}
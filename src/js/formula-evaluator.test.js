@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { Decimal } from './decimal.js';
+import { EXACT_PERIOD_DAYS, FormulaEvaluator } from './formula-evaluator.js';
+
+const evaluator = new FormulaEvaluator();
+const curve = (mult, level) => evaluator.evaluateMultiplierCurve(mult, level).value.toNumber();
+const evaluate = (formula, context) => evaluator.evaluateFormula(formula, context).toNumber();
+
+describe('evaluateCondition', () => {
+  it('fails on a variable the context doesn\'t have instead of comparing it as 0', () => {
+    const formula = { type: 'conditional', conditions: [{ if: { variable: 'hours', operator: '<', value: 1 }, then: 1 }], else: 2 };
+    expect(() => evaluate(formula, {})).toThrow('Unknown variable hours in condition on hours');
+    expect(() => evaluator.evaluateCondition({ variable: 'hours', operator: '>', value: { variable: 'free_hours' } }, { hours: 3 }))
+      .toThrow('Unknown variable free_hours in condition on hours');
+  });
+
+  it('compares a variable that is set to 0', () => {
+    expect(evaluator.evaluateCondition({ variable: 'hours', operator: '==', value: 0 }, { hours: 0 })).toBe(true);
+  });
+
+  it('compares inputs normalized to a daily rate by value', () => {
+    // As the estimate stores inputs declared with period: 'month'
+    const perDay = (monthly) => Decimal.from(monthly).dividedBy(EXACT_PERIOD_DAYS.month);
+    const context = { ingress_gb: perDay(150), egress_gb: perDay(150), free_gb: perDay(300) };
+    const check = (operator, value) => evaluator.evaluateCondition({ variable: 'egress_gb', operator, value }, context);
+
+    expect(check('==', { variable: 'ingress_gb' })).toBe(true);
+    expect(check('!=', { variable: 'ingress_gb' })).toBe(false);
+    expect(check('>=', { variable: 'ingress_gb' })).toBe(true);
+    expect(check('<', { variable: 'free_gb' })).toBe(true);
+    expect(check('in', [{ variable: 'free_gb' }, { variable: 'ingress_gb' }])).toBe(true);
+    expect(check('between', [{ variable: 'ingress_gb' }, { variable: 'free_gb' }])).toBe(true);
+    expect(evaluator.evaluateCondition({ variable: 'gb', operator: '==', value: 5 }, { gb: Decimal.from(5) })).toBe(true);
+  });
+
+  it('takes the matching branch when two normalized inputs are equal', () => {
+    const formula = {
+      type: 'conditional',
+      conditions: [{ if: { variable: 'a', operator: '==', value: { variable: 'b' } }, then: 1 }],
+      else: 2
+    };
+    expect(evaluate(formula, { a: Decimal.from(5), b: Decimal.from(5) })).toBe(1);
+  });
+});
+
+describe('evaluateTieredFormula', () => {
+  const tiers = [{ limit: 100, rate: 1 }, { limit: 100, rate: '$discount_rate' }, { rate: 0.25 }];
+
+  it('bills each slice at its own rate in graduated mode', () => {
+    expect(evaluate({ type: 'tiered', volumeVar: 'gb', tiers }, { gb: 250, discount_rate: 0.5 })).toBe(162.5);
+  });
+
+  it('bills every unit at the tier reached in all-units mode', () => {
+    expect(evaluate({ type: 'tiered', mode: 'all_units', volumeVar: 'gb', tiers }, { gb: 150, discount_rate: 0.5 })).toBe(75);
+  });
+
+  it('applies the free allowance and a monthly minimum charge per day', () => {
+    const formula = { type: 'tiered', volumeVar: 'gb', tiers, free_allowance: 50, minimum_charge: 60, fee_period: 'month' };
+    expect(evaluate(formula, { gb: 100, discount_rate: 0.5 })).toBe(50);
+    expect(evaluate(formula, { gb: 51, discount_rate: 0.5 })).toBeCloseTo(60 * 12 / 365, 12);
+  });
+});
+
+describe('evaluateConditionalFormula', () => {
+  const modeling = {
+    type: 'conditional',
+    conditions: [
+      { if: { all: [{ variable: 'model_type', operator: '==', value: 'deep_learning' }, { variable: 'hours', operator: '>', value: 40 }] }, then: '$hours * 150' },
+      { if: { variable: 'model_type', operator: 'in', value: ['deep_learning', 'complex'] }, then: '$hours * 200' },
+      { if: { variable: 'hours', operator: 'between', value: [0, { variable: 'free_hours' }] }, then: 0 }
+    ],
+    else: '$hours * 25'
+  };
+
+  it('takes the first matching branch', () => {
+    expect(evaluate(modeling, { model_type: 'deep_learning', hours: 60 })).toBe(9000);
+    expect(evaluate(modeling, { model_type: 'deep_learning', hours: 10 })).toBe(2000);
+    expect(evaluate(modeling, { model_type: 'simple', hours: 2, free_hours: 5 })).toBe(0);
+    expect(evaluate(modeling, { model_type: 'simple', hours: 10, free_hours: 5 })).toBe(250);
+  });
+
+  it('throws on an unknown operator instead of taking the else branch', () => {
+    const formula = { type: 'conditional', conditions: [{ if: { variable: 'hours', operator: '=>', value: 1 }, then: 1 }], else: 0 };
+    expect(() => evaluate(formula, { hours: 2 })).toThrow("Unknown operator '=>' in condition on hours");
+  });
+
+  it('throws on malformed between and in values', () => {
+    expect(() => evaluator.evaluateCondition({ variable: 'hours', operator: 'between', value: [1] }, { hours: 1 })).toThrow(/between needs \[min, max\]/);
+    expect(() => evaluator.evaluateCondition({ variable: 'hours', operator: 'in', value: 1 }, { hours: 1 })).toThrow(/in needs a list/);
+  });
+});
+
+describe('evaluateMultiplierCurve', () => {
+  it('raises an exponential factor to the levels above the base level', () => {
+    expect(curve({ variable: 'priority_level', factor: 1.5 }, 1)).toBe(1);
+    expect(curve({ variable: 'priority_level', factor: 1.5 }, 3)).toBe(2.25);
+    expect(curve({ variable: 'priority_level', factor: 1.5, base_level: 2 }, 1)).toBe(1);
+  });
+
+  it('steps a linear factor per level', () => {
+    expect(curve({ variable: 'x', curve: 'linear', factor: 1.2 }, 3)).toBe(1.4);
+  });
+
+  it('looks up table levels and rejects levels the table lacks', () => {
+    const model = { variable: 'model_type', curve: 'table', values: { simple: 1, deep_learning: 2.5 } };
+    expect(curve(model, 'deep_learning')).toBe(2.5);
+    expect(() => curve(model, 'transformer')).toThrow('No multiplier for model_type = transformer (table has simple, deep_learning)');
+  });
+
+  it('interpolates between points and clamps at the ends', () => {
+    const quality = {
+      variable: 'data_quality_score',
+      curve: 'interpolated',
+      points: [{ at: 3, factor: 1.21 }, { at: 1, factor: 1 }, { at: 2, factor: 1.1 }]
+    };
+    expect(curve(quality, 2)).toBe(1.1);
+    expect(curve(quality, 2.5)).toBe(1.155);
+    expect(curve(quality, 0)).toBe(1);
+    expect(curve(quality, 7)).toBe(1.21);
+  });
+
+  it('rejects unknown curves', () => {
+    expect(() => curve({ variable: 'x', curve: 'cubic', factor: 2 }, 2)).toThrow("Unknown multiplier curve 'cubic' for x");
+  });
+});
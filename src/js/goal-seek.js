@@ -0,0 +1,114 @@
+/**
+ * Goal Seek
+ * Solves for the value of one input that meets a budget, holding everything else fixed
+ */
+
+export class GoalSeekSolver {
+  constructor(costEngine) {
+    this.costEngine = costEngine;
+  }
+
+  /**
+   * Find, for each system, the value of `variable` at which the total (or one
+   * service's) cost reaches `target`. Uses bisection on the full calculation,
+   * so tiered and conditional formulas are handled; where the cost jumps, the
+   * result is the last value that stays within the target.
+   */
+  solve({
+    target,
+    variable,
+    service = null,
+    systemIds = [],
+    min,
+    max,
+    tolerance = 1e-6,
+    maxIterations = 100
+  }) {
+    const engine = this.costEngine;
+    if (!engine.variables.has(variable) || typeof engine.variables.get(variable) !== 'number') {
+      throw new Error(`Cannot solve for ${variable}: not a numeric input`);
+    }
+    if (service && !engine.formulas[service]) {
+      throw new Error(`No formula found for service type: ${service}`);
+    }
+
+    const range = engine.variableDefinitions.get(variable)?.range || {};
+    const lower = min ?? range.min ?? 0;
+    const upper = max ?? range.max ?? Math.max(engine.variables.get(variable) * 10, 1);
+    const results = systemIds.map(systemId => ({
+      systemId,
+      ...this.bisect(systemId, target, variable, service, lower, upper, tolerance, maxIterations)
+    }));
+
+    return { target, variable, service, period: engine.reportingPeriod, systems: results };
+  }
+
+  /**
+   * Cost at a given value of the free variable (null if the service is unsupported)
+   */
+  costAt(systemId, variable, value, service) {
+    const result = this.costEngine.calculateWith({ systemId, inputs: { [variable]: value } });
+    return service ? result.services[service] : result.total;
+  }
+
+  /**
+   * Bisect between lower and upper for the boundary where cost crosses the target
+   */
+  bisect(systemId, target, variable, service, lower, upper, tolerance, maxIterations) {
+    let low = lower;
+    let high = upper;
+    let costLow = this.costAt(systemId, variable, low, service);
+    let costHigh = this.costAt(systemId, variable, high, service);
+
+    if (costLow === null || costHigh === null) {
+      return { status: 'unsupported', value: null, cost: null, iterations: 0 };
+    }
+
+    // Direction: does cost rise or fall as the variable grows?
+    const increasing = costHigh >= costLow;
+    const within = (cost) => cost <= target;
+
+    // Extend the search range upward while even its top stays within the target
+    if (increasing) {
+      for (let expansions = 0; within(costHigh) && expansions < 20; expansions++) {
+        low = high;
+        costLow = costHigh;
+        high = high * 2 || 1;
+        costHigh = this.costAt(systemId, variable, high, service);
+      }
+    }
+
+    const affordableEnd = increasing ? costLow : costHigh;
+    const expensiveEnd = increasing ? costHigh : costLow;
+
+    if (!within(affordableEnd)) {
+      // Even the cheapest value in range exceeds the target
+      return { status: 'unreachable', value: null, cost: affordableEnd, iterations: 0 };
+    }
+    if (within(expensiveEnd)) {
+      // Every value in range is within the target
+      const value = increasing ? high : low;
+      return { status: 'unbounded', value, cost: expensiveEnd, iterations: 0 };
+    }
+
+    // Invariant: `good` is within the target, `bad` exceeds it
+    let good = increasing ? low : high;
+    let bad = increasing ? high : low;
+    let goodCost = affordableEnd;
+    let iterations = 0;
+
+    while (iterations < maxIterations && Math.abs(bad - good) > tolerance * Math.max(1, Math.abs(good))) {
+      const mid = (good + bad) / 2;
+      const cost = this.costAt(systemId, variable, mid, service);
+      if (within(cost)) {
+        good = mid;
+        goodCost = cost;
+      } else {
+        bad = mid;
+      }
+      iterations++;
+    }
+
+    return { status: 'solved', value: good, cost: goodCost, iterations };
+  }
+}
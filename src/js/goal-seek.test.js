@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { CostCalculationEngine } from './cost-engine.js';
+import { GoalSeekSolver } from './goal-seek.js';
+
+const config = {
+  formulas: {
+    transport: '$data_volume_gb * $ingestion_cost_per_gb + $bandwidth_base_cost',
+    modeling: {
+      type: 'conditional',
+      conditions: [{ if: { variable: 'training_hours', operator: '>', value: 10 }, then: '$training_hours * 30' }],
+      else: '$training_hours * 20'
+    }
+  },
+  systems: {
+    cheap: { components: { ingestion_cost_per_gb: 0.01, bandwidth_base_cost: 5 } },
+    dear: { components: { ingestion_cost_per_gb: 0.04, bandwidth_base_cost: 5 } },
+    no_modeling: { services: { transport: {} }, components: { ingestion_cost_per_gb: 0.01, bandwidth_base_cost: 5 } }
+  }
+};
+
+const createSolver = () => {
+  const engine = new CostCalculationEngine(config);
+  engine.defineVariable('data_volume_gb', { type: 'number', range: { min: 0, max: 1000 } });
+  engine.setVariable('data_volume_gb', 100);
+  engine.setVariable('training_hours', 5);
+  return new GoalSeekSolver(engine);
+};
+
+describe('GoalSeekSolver', () => {
+  it('finds the input at which each system reaches the target', () => {
+    const { systems } = createSolver().solve({ target: 10, variable: 'data_volume_gb', service: 'transport', systemIds: ['cheap', 'dear'] });
+    // 5 + 500 × 0.01 and 5 + 125 × 0.04; costs are rounded to cents, so
+    // anything up to half a cent over still meets the target
+    expect(systems[0].status).toBe('solved');
+    expect(systems[0].value).toBeGreaterThanOrEqual(500);
+    expect(systems[0].value).toBeLessThan(500.5);
+    expect(systems[1].value).toBeGreaterThanOrEqual(125);
+    expect(systems[1].value).toBeLessThan(125.125);
+    expect(systems[1].cost).toBe(10);
+  });
+
+  it('searches past the control range when the target is still in reach', () => {
+    const { systems } = createSolver().solve({ target: 25, variable: 'data_volume_gb', service: 'transport', systemIds: ['cheap'] });
+    expect(systems[0].status).toBe('solved');
+    expect(systems[0].value).toBeGreaterThanOrEqual(2000);
+    expect(systems[0].value).toBeLessThan(2000.5);
+  });
+
+  it('stops below a jump in cost', () => {
+    // 10 hours cost 200; just past 10 the rate goes to 30/hour, already over 250
+    const { systems } = createSolver().solve({ target: 250, variable: 'training_hours', service: 'modeling', systemIds: ['cheap'] });
+    expect(systems[0].value).toBeCloseTo(10, 4);
+    expect(systems[0].cost).toBe(200);
+  });
+
+  it('reports targets below the cheapest value and unsupported services', () => {
+    const { systems } = createSolver().solve({
+      target: 1,
+      variable: 'data_volume_gb',
+      service: 'transport',
+      systemIds: ['cheap']
+    });
+    expect(systems[0]).toMatchObject({ status: 'unreachable', value: null, cost: 5 });
+
+    const modeling = createSolver().solve({ target: 100, variable: 'training_hours', service: 'modeling', systemIds: ['no_modeling'] });
+    expect(modeling.systems[0].status).toBe('unsupported');
+  });
+
+  it('only solves for numeric inputs', () => {
+    expect(() => createSolver().solve({ target: 10, variable: 'model_type', systemIds: ['cheap'] })).toThrow('Cannot solve for model_type: not a numeric input');
+  });
+});
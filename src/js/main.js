@@ -7,6 +7,15 @@ import { CostCalculationEngine } from './cost-engine.js';
 import { ConfigManager } from './config-manager.js';
 import { UIController } from './ui-controller.js';
 import { ConsoleLogger } from './logger.js';
+import { StorageManager } from './storage.js';
+import { CostProjection } from './projection.js';
+import { MonteCarloSimulator } from './simulation.js';
+import { SensitivityAnalyzer } from './sensitivity.js';
+import { GoalSeekSolver } from './goal-seek.js';
+import { HybridOptimizer } from './optimizer.js';
+import { ConfigImpactAnalyzer, documentScenario } from './config-impact.js';
+import { assembleConfig } from './config-manifest.js';
+import { sumAmounts } from './decimal.js';
 
 const API_GATEWAY_URL = 'https://tlo03uxhod.execute-api.us-east-1.amazonaws.com/prod/auth';
 
@@ -40,6 +49,7 @@ class CostEstimatorApp {
     this.uiController = null;
     this.logger = null;
     this.currentService = 'transport';
+    this.simulationWorker = null;
     this.isInitialized = false;
   }
 
@@ -82,6 +92,10 @@ class CostEstimatorApp {
       this.setupEventListeners();
       console.log('Event listeners configured');
 
+      // Restore the reporting period chosen in a previous session
+      this.setReportingPeriod(StorageManager.getItem('reporting-period') || 'day');
+      this.setDisplayCurrency(StorageManager.getItem('display-currency') || this.costEngine.currencyTable.baseCurrency);
+
       // Load default variables
       this.loadDefaultVariables();
       console.log('Default variables loaded');
@@ -111,6 +125,26 @@ class CostEstimatorApp {
       });
     });
 
+    // Display currency selector
+    document.getElementById('display-currency').addEventListener('change', (e) => {
+      this.setDisplayCurrency(e.target.value);
+      this.calculateCosts();
+    });
+
+    // Pricing date ("as of" picker)
+    document.getElementById('pricing-date').addEventListener('change', (e) => {
+      this.setPricingDate(e.target.value);
+      this.calculateCosts();
+    });
+
+    // Reporting period toggle (day/month/year)
+    document.querySelectorAll('.period-button').forEach(button => {
+      button.addEventListener('click', (e) => {
+        this.setReportingPeriod(e.target.dataset.period);
+        this.calculateCosts();
+      });
+    });
+
     // Calculate button
     document.getElementById('calculate-btn').addEventListener('click', () => {
       console.log('Calculate button clicked');
@@ -132,6 +166,97 @@ class CostEstimatorApp {
       this.toggleAdvancedSettings();
     });
 
+    // Cost projection panel toggle
+    document.getElementById('projection-toggle').addEventListener('click', () => {
+      this.togglePanel('projection-panel', 'projection-toggle', 'Cost Projection', 'Hide Cost Projection');
+    });
+
+    // Run projection button
+    document.getElementById('run-projection-btn').addEventListener('click', () => {
+      this.runProjection();
+    });
+
+    // Uncertainty simulation panel toggle
+    document.getElementById('simulation-toggle').addEventListener('click', () => {
+      this.togglePanel('simulation-panel', 'simulation-toggle', 'Uncertainty Simulation', 'Hide Uncertainty Simulation');
+    });
+
+    // Run simulation button
+    document.getElementById('run-simulation-btn').addEventListener('click', () => {
+      this.runSimulation();
+    });
+
+    // Sensitivity analysis panel toggle
+    document.getElementById('sensitivity-toggle').addEventListener('click', () => {
+      this.togglePanel('sensitivity-panel', 'sensitivity-toggle', 'Sensitivity Analysis', 'Hide Sensitivity Analysis');
+    });
+
+    // Run sensitivity analysis button
+    document.getElementById('run-sensitivity-btn').addEventListener('click', () => {
+      this.runSensitivityAnalysis();
+    });
+
+    // Goal seek panel toggle
+    document.getElementById('goal-seek-toggle').addEventListener('click', () => {
+      this.togglePanel('goal-seek-panel', 'goal-seek-toggle', 'Budget Goal Seek', 'Hide Budget Goal Seek');
+    });
+
+    // Solve button
+    document.getElementById('run-goal-seek-btn').addEventListener('click', () => {
+      this.runGoalSeek();
+    });
+
+    // Optimizer panel toggle
+    document.getElementById('optimizer-toggle').addEventListener('click', () => {
+      this.togglePanel('optimizer-panel', 'optimizer-toggle', 'Best-of-Breed Mix', 'Hide Best-of-Breed Mix');
+    });
+
+    // Find best mix button
+    document.getElementById('run-optimizer-btn').addEventListener('click', () => {
+      this.runOptimizer();
+    });
+
+    // Effective components panel toggle and system selector
+    document.getElementById('components-toggle').addEventListener('click', () => {
+      this.togglePanel('components-panel', 'components-toggle', 'Effective Components', 'Hide Effective Components');
+    });
+    document.getElementById('components-system').addEventListener('change', () => {
+      this.uiController.updateEffectiveComponents();
+    });
+
+    // Config impact panel toggle
+    document.getElementById('impact-toggle').addEventListener('click', () => {
+      this.togglePanel('impact-panel', 'impact-toggle', 'Config Impact', 'Hide Config Impact');
+    });
+
+    // Compare button
+    document.getElementById('run-impact-btn').addEventListener('click', () => {
+      this.runConfigImpact();
+    });
+
+    // Per-system overrides panel toggle
+    document.getElementById('overrides-toggle').addEventListener('click', () => {
+      this.togglePanel('overrides-panel', 'overrides-toggle', 'Per-System Overrides', 'Hide Per-System Overrides');
+    });
+
+    // Add an override row
+    document.getElementById('add-override-btn').addEventListener('click', () => {
+      this.uiController.addOverrideRow();
+    });
+
+    // Remove an override row
+    document.getElementById('override-controls').addEventListener('click', (e) => {
+      if (e.target.classList.contains('override-remove')) {
+        e.target.closest('.override-row').remove();
+        this.applySystemOverrides();
+      }
+    });
+
+    // Recalculate when an override changes
+    document.getElementById('override-controls').addEventListener('change', () => {
+      this.applySystemOverrides();
+    });
+
     // Header resources panel toggle
     document.getElementById('header-resources-toggle').addEventListener('click', () => {
       this.toggleHeaderResourcesPanel();
@@ -154,6 +279,10 @@ class CostEstimatorApp {
       if (e.target.classList.contains('multiplier-select')) {
         this.handleMultiplierChange(e);
       }
+      if (e.target.classList.contains('complexity-select')) {
+        this.costEngine.setComplexityProfile(e.target.dataset.service, e.target.value);
+        this.calculateCosts();
+      }
     });
 
     // Modal close
@@ -200,15 +329,71 @@ class CostEstimatorApp {
     this.uiController.updateServiceControls(serviceType);
   }
 
+  /**
+   * Set the billing period costs are reported in
+   */
+  setReportingPeriod(period) {
+    try {
+      this.costEngine.setReportingPeriod(period);
+    } catch (error) {
+      console.warn(error.message);
+      return;
+    }
+    this.uiController.updatePeriodToggle(period);
+    StorageManager.setItem('reporting-period', period);
+    console.log(`Reporting period: ${period}`);
+  }
+
+  /**
+   * Change the currency results are reported in and remember the choice
+   */
+  setDisplayCurrency(currency) {
+    try {
+      this.costEngine.setDisplayCurrency(currency);
+    } catch (error) {
+      console.warn(error.message);
+      return;
+    }
+    this.uiController.updateCurrencySelector(currency);
+    StorageManager.setItem('display-currency', currency);
+    console.log(`Display currency: ${currency}`);
+  }
+
+  /**
+   * Price components as of a date (YYYY-MM-DD; empty for today). Not remembered
+   * between sessions, so a new quote always starts from current prices.
+   */
+  setPricingDate(date) {
+    try {
+      this.costEngine.setPricingDate(date || null);
+    } catch (error) {
+      console.warn(error.message);
+      return;
+    }
+    // Drop the prices resolved for the previous date; the engine resolves them for the new one
+    if (this.costEngine.currentSystemId) {
+      this.costEngine.setSystemCosts(this.costEngine.currentSystemId);
+    }
+    this.uiController.updatePricingDate(this.costEngine.pricingDate);
+    this.uiController.updateEffectiveComponents();
+    console.log(`Pricing date: ${this.costEngine.getPricingDate()}`);
+  }
+
   /**
    * Handle variable input changes
    */
   handleVariableChange(event) {
     const variableName = event.target.dataset.variable;
-    const value = parseFloat(event.target.value) || 0;
     
-    // Update cost engine
-    this.costEngine.setVariable(variableName, value);
+    // Update cost engine (coerced to the variable's declared type)
+    try {
+      this.costEngine.setVariable(variableName, this.getInputValue(event.target));
+    } catch (error) {
+      console.error('Invalid variable value:', error);
+      this.showError(error.message);
+      return;
+    }
+    const value = this.costEngine.getVariable(variableName);
 
     // Update range display if it's a range input
     if (event.target.type === 'range') {
@@ -234,26 +419,9 @@ class CostEstimatorApp {
    * Apply global multipliers
    */
   applyGlobalMultiplier(type, value) {
-    const multipliers = this.configManager.getMultipliers();
-    
-    switch (type) {
-      case 'volume-tier':
-        const volumeMultiplier = multipliers.volume_multipliers[value]?.multiplier || 1;
-        this.costEngine.setVariable('volume_multiplier', volumeMultiplier);
-        break;
-      case 'contract-type':
-        const contractMultiplier = multipliers.contract_multipliers[value] || 1;
-        this.costEngine.setVariable('contract_multiplier', contractMultiplier);
-        break;
-      case 'support-level':
-        const supportMultiplier = multipliers.support_multipliers[value] || 1;
-        this.costEngine.setVariable('support_multiplier', supportMultiplier);
-        break;
-      case 'sla-level':
-        const slaMultiplier = multipliers.sla_multipliers[value] || 1;
-        this.costEngine.setVariable('sla_multiplier', slaMultiplier);
-        break;
-    }
+    // Select ids (volume-tier) name the multipliers.yaml settings (volume_tier)
+    const { variable, factor } = this.configManager.getGlobalMultiplier(type.replace(/-/g, '_'), value);
+    this.costEngine.setVariable(variable, factor);
   }
 
   /**
@@ -287,13 +455,13 @@ class CostEstimatorApp {
         const systemInfo = this.configManager.getSystemInfo(selectedSystems[0]);
         console.log(`System: ${systemInfo.name}`);
         
-        const systemCosts = this.configManager.getSystemCosts(selectedSystems[0]);
+        const systemCosts = this.configManager.getSystemCosts(selectedSystems[0], this.costEngine.getPricingDate());
         this.costEngine.setSystemCosts(selectedSystems[0], systemCosts);
         const results = this.costEngine.calculateTotalCost();
         
-        console.log(`Total cost: $${results.total.toFixed(2)}`);
+        console.log(`Total cost: ${this.costEngine.formatMoney(results.total)}`);
         console.log('Service breakdown:', results.breakdown.map(b => 
-          `${b.service}: $${b.cost.toFixed(2)} (${b.percentage.toFixed(1)}%)`
+          `${b.service}: ${this.costEngine.formatMoney(b.cost)} (${b.percentage.toFixed(1)}%)`
         ).join(', '));
         
         // Update UI with results
@@ -306,7 +474,7 @@ class CostEstimatorApp {
         
         systemResults.forEach((result, index) => {
           const systemInfo = this.configManager.getSystemInfo(result.systemId);
-          console.log(`System ${index + 1}: ${systemInfo.name} - Total: $${result.total.toFixed(2)}`);
+          console.log(`System ${index + 1}: ${systemInfo.name} - Total: ${this.costEngine.formatMoney(result.total)}`);
         });
         
         // Calculate combined results across all systems
@@ -329,15 +497,284 @@ class CostEstimatorApp {
     }
   }
 
+  /**
+   * Project monthly costs over time using the growth curves in the projection panel
+   */
+  runProjection() {
+    if (!this.isInitialized) return;
+
+    try {
+      this.syncVariablesFromUI();
+      const { months, growth } = this.uiController.getProjectionSettings();
+      const selectedSystems = this.uiController.getSelectedSystems();
+      if (selectedSystems.length === 0) {
+        this.showError('Please select at least one system');
+        return;
+      }
+
+      console.log(`--- Projecting costs over ${months} months (${Object.keys(growth).length} growing inputs) ---`);
+      const projection = new CostProjection(this.costEngine).project({
+        months,
+        growth,
+        systemIds: selectedSystems
+      });
+
+      console.log(`Projection: month 1 ${this.costEngine.formatMoney(projection.totals[0])}, month ${months} ${this.costEngine.formatMoney(projection.totals[months - 1])}, cumulative ${this.costEngine.formatMoney(projection.cumulativeTotal)}`);
+      this.uiController.updateProjectionChart(projection);
+    } catch (error) {
+      console.error('Error projecting costs:', error);
+      this.showError('Error projecting costs: ' + error.message);
+    }
+  }
+
+  /**
+   * Run a Monte Carlo simulation over the distributions in the simulation panel
+   */
+  async runSimulation() {
+    if (!this.isInitialized) return;
+
+    const button = document.getElementById('run-simulation-btn');
+    try {
+      this.syncVariablesFromUI();
+      const { iterations, distributions } = this.uiController.getSimulationSettings();
+      const systemIds = this.uiController.getSelectedSystems();
+      if (systemIds.length === 0) {
+        this.showError('Please select at least one system');
+        return;
+      }
+
+      button.disabled = true;
+      button.textContent = 'Running...';
+      console.log(`--- Running ${iterations} simulations for ${systemIds.length} system(s), ${Object.keys(distributions).length} uncertain inputs ---`);
+
+      const simulation = await this.simulate({ iterations, distributions, systemIds });
+
+      for (const [systemId, result] of Object.entries(simulation.systems)) {
+        console.log(`${systemId}: P10 ${this.costEngine.formatMoney(result.total.p10)}, P50 ${this.costEngine.formatMoney(result.total.p50)}, P90 ${this.costEngine.formatMoney(result.total.p90)}`);
+      }
+      this.uiController.updateSimulationResults(simulation);
+    } catch (error) {
+      console.error('Error running simulation:', error);
+      this.showError('Error running simulation: ' + error.message);
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Run Simulation';
+    }
+  }
+
+  /**
+   * Run the simulation in a Web Worker (falls back to the main thread without Worker support)
+   */
+  simulate(options) {
+    if (typeof Worker === 'undefined') {
+      return Promise.resolve(new MonteCarloSimulator(this.costEngine).run(options));
+    }
+
+    if (!this.simulationWorker) {
+      this.simulationWorker = new Worker(new URL('./simulation-worker.js', import.meta.url), { type: 'module' });
+    }
+
+    const engine = this.costEngine;
+    return new Promise((resolve, reject) => {
+      this.simulationWorker.onmessage = (event) => {
+        if (event.data.error) {
+          reject(new Error(event.data.error));
+        } else {
+          resolve(event.data.results);
+        }
+      };
+      this.simulationWorker.onerror = (event) => {
+        reject(new Error(event.message || 'Simulation worker failed'));
+      };
+      this.simulationWorker.postMessage({
+        config: {
+          baseCosts: engine.baseCosts,
+          formulas: engine.formulas,
+          derivedVariables: engine.derivedVariables,
+          multipliers: engine.multipliers,
+          currencies: this.configManager.config.currencies,
+          systems: engine.systems
+        },
+        state: engine.exportState(),
+        options
+      });
+    });
+  }
+
+  /**
+   * Rank inputs by their effect on the total for each selected system
+   */
+  runSensitivityAnalysis() {
+    if (!this.isInitialized) return;
+
+    try {
+      this.syncVariablesFromUI();
+      const settings = this.uiController.getSensitivitySettings();
+      const systemIds = this.uiController.getSelectedSystems();
+      if (systemIds.length === 0) {
+        this.showError('Please select at least one system');
+        return;
+      }
+
+      console.log(`--- Sensitivity analysis: ±${settings.delta}% across ${systemIds.length} system(s) ---`);
+      const analysis = new SensitivityAnalyzer(this.costEngine).analyze({ ...settings, systemIds });
+
+      for (const [systemId, result] of Object.entries(analysis.systems)) {
+        const top = result.inputs[0];
+        if (top) {
+          console.log(`${systemId}: biggest driver ${top.name} (swing ${this.costEngine.formatMoney(top.swing)})`);
+        }
+      }
+      this.uiController.updateSensitivityChart(analysis);
+    } catch (error) {
+      console.error('Error running sensitivity analysis:', error);
+      this.showError('Error running sensitivity analysis: ' + error.message);
+    }
+  }
+
+  /**
+   * Solve for the free variable that meets the target cost on each selected system
+   */
+  runGoalSeek() {
+    if (!this.isInitialized) return;
+
+    try {
+      this.syncVariablesFromUI();
+      const settings = this.uiController.getGoalSeekSettings();
+      const systemIds = this.uiController.getSelectedSystems();
+      if (systemIds.length === 0) {
+        this.showError('Please select at least one system');
+        return;
+      }
+
+      console.log(`--- Goal seek: ${settings.variable} for ${settings.service || 'total'} cost ${this.costEngine.formatMoney(settings.target)} ---`);
+      const solution = new GoalSeekSolver(this.costEngine).solve({ ...settings, systemIds });
+
+      solution.systems.forEach(result => {
+        console.log(`${result.systemId}: ${result.status}${result.value !== null ? ` ${settings.variable} = ${result.value.toFixed(2)}` : ''}`);
+      });
+      this.uiController.updateGoalSeekResults(solution);
+    } catch (error) {
+      console.error('Error solving goal seek:', error);
+      this.showError('Error solving goal seek: ' + error.message);
+    }
+  }
+
+  /**
+   * Find the cheapest service-to-system mix across the selected systems
+   */
+  runOptimizer() {
+    if (!this.isInitialized) return;
+
+    try {
+      this.syncVariablesFromUI();
+      const settings = this.uiController.getOptimizerSettings();
+      // Pinned systems are always candidates, even if not selected for comparison
+      const systemIds = [...new Set([...this.uiController.getSelectedSystems(), ...Object.values(settings.required)])];
+      if (systemIds.length === 0) {
+        this.showError('Please select at least one system');
+        return;
+      }
+
+      console.log(`--- Best-of-breed mix across ${systemIds.length} system(s) ---`);
+      const result = new HybridOptimizer(this.costEngine).optimize({ ...settings, systemIds });
+
+      console.log(`Best mix: ${result.vendors.join(' + ')} = ${this.costEngine.formatMoney(result.total)}`);
+      if (result.cheapestSingle) {
+        console.log(`Savings vs ${result.cheapestSingle.systemId}: ${this.costEngine.formatMoney(result.savings)}`);
+      }
+      this.uiController.updateOptimizerResults(result);
+    } catch (error) {
+      console.error('Error optimizing system mix:', error);
+      this.showError('Error optimizing system mix: ' + error.message);
+    }
+  }
+
+  /**
+   * Compare the loaded configuration with uploaded changes across scenarios
+   */
+  async runConfigImpact() {
+    if (!this.isInitialized) return;
+
+    try {
+      this.syncVariablesFromUI();
+      const { configFiles, scenarioFiles, includeCurrentInputs } = this.uiController.getConfigImpactSettings();
+      if (configFiles.length === 0) {
+        this.showError('Please choose the changed configuration files to compare');
+        return;
+      }
+
+      // Uploaded files replace the loaded files with the same name
+      const { sections, documents } = this.configManager.exportFiles();
+      for (const file of configFiles) {
+        const matches = Object.keys(documents).filter(path => path === file.name || path.split('/').pop() === file.name);
+        if (matches.length !== 1) {
+          throw new Error(matches.length === 0
+            ? `Unknown configuration file ${file.name} (expected one of ${Object.keys(documents).join(', ')})`
+            : `${file.name} could be any of ${matches.join(', ')}`);
+        }
+        documents[matches[0]] = jsyaml.load(await file.text()) || {};
+      }
+      const proposed = new ConfigManager();
+      proposed.setConfig(assembleConfig(sections, documents), { sections, documents });
+      proposed.validateConfig();
+
+      const scenarios = [];
+      if (includeCurrentInputs) {
+        const state = this.costEngine.exportState();
+        scenarios.push({
+          name: 'Current inputs',
+          systems: this.uiController.getSelectedSystems(),
+          createEngine: (configManager) => {
+            const engine = new CostCalculationEngine(configManager.config);
+            engine.restoreState(state);
+            return engine;
+          }
+        });
+      }
+      for (const file of scenarioFiles) {
+        scenarios.push(documentScenario(jsyaml.load(await file.text()) || {}, file.name));
+      }
+      if (scenarios.length === 0) {
+        this.showError('Please add a scenario file or include the current inputs');
+        return;
+      }
+
+      console.log(`--- Config impact across ${scenarios.length} scenario(s) ---`);
+      const report = new ConfigImpactAnalyzer(this.configManager, proposed).analyze(scenarios);
+
+      console.log(`Changed: ${report.config.files.join(', ') || 'nothing'}; ${report.summary.changed} system estimate(s) moved`);
+      this.uiController.updateConfigImpactResults(report);
+    } catch (error) {
+      console.error('Error comparing configurations:', error);
+      this.showError('Error comparing configurations: ' + error.message);
+    }
+  }
+
+  /**
+   * Push the override rows into the engine for every system and recalculate
+   */
+  applySystemOverrides() {
+    try {
+      const overrides = this.uiController.getSystemOverrides();
+      for (const systemId of Object.keys(this.configManager.getSystems())) {
+        this.costEngine.setSystemOverrides(systemId, overrides[systemId] || null);
+      }
+      console.log(`Per-system overrides: ${Object.keys(overrides).length ? JSON.stringify(overrides) : 'none'}`);
+      this.calculateCosts();
+    } catch (error) {
+      console.error('Error applying overrides:', error);
+      this.showError('Error applying overrides: ' + error.message);
+    }
+  }
+
   /**
    * Sync variables from UI inputs to cost engine
    */
   syncVariablesFromUI() {
     // Get current input values
     document.querySelectorAll('.variable-input').forEach(input => {
-      const variableName = input.dataset.variable;
-      const value = parseFloat(input.value) || 0;
-      this.costEngine.setVariable(variableName, value);
+      this.costEngine.setVariable(input.dataset.variable, this.getInputValue(input));
     });
 
     // Apply global multipliers
@@ -346,18 +783,40 @@ class CostEstimatorApp {
     });
   }
 
+  /**
+   * Read the raw value of a variable input (the engine coerces it)
+   */
+  getInputValue(input) {
+    return input.type === 'checkbox' ? input.checked : input.value;
+  }
+
   /**
    * Combine results from multiple systems into a single summary
    */
   combineSystemResults(systemResults) {
     const combinedServices = {};
+    const combinedTraces = {};
+    const combinedAdjustments = new Map();
     let combinedTotal = 0;
+    let combinedSubtotal = 0;
     const allSupportedServices = new Set();
     const allUnsupportedServices = new Set();
+    const support = {};
     
     // Aggregate costs across all systems
     systemResults.forEach(result => {
-      combinedTotal += result.total;
+      combinedTotal = sumAmounts([combinedTotal, result.total]);
+      combinedSubtotal = sumAmounts([combinedSubtotal, result.subtotal ?? result.total]);
+
+      // Sum adjustment lines by name
+      (result.adjustments || []).forEach(adjustment => {
+        const existing = combinedAdjustments.get(adjustment.name);
+        if (existing) {
+          existing.amount = sumAmounts([existing.amount, adjustment.amount]);
+        } else {
+          combinedAdjustments.set(adjustment.name, { ...adjustment, services: undefined });
+        }
+      });
       
       // Track supported/unsupported services
       result.supportedServices?.forEach(s => allSupportedServices.add(s));
@@ -366,9 +825,25 @@ class CostEstimatorApp {
       // Sum up costs for each service
       Object.entries(result.services || {}).forEach(([service, cost]) => {
         if (cost !== null && !isNaN(cost)) {
-          combinedServices[service] = (combinedServices[service] || 0) + cost;
+          combinedServices[service] = sumAmounts([combinedServices[service] || 0, cost]);
         }
       });
+
+      // Group each system's calculation trace under its service
+      const systemName = this.configManager.getSystemInfo(result.systemId)?.name || result.systemId;
+
+      // Merge support declarations, naming the system each note or reason comes from
+      Object.entries(result.support || {}).forEach(([service, serviceSupport]) => {
+        const merged = support[service] = support[service] || { supported: false, reasons: [], notes: [], limitations: [] };
+        merged.supported = merged.supported || serviceSupport.supported;
+        if (serviceSupport.reason) merged.reasons.push(`${systemName}: ${serviceSupport.reason}`);
+        if (serviceSupport.notes) merged.notes.push(`${systemName}: ${serviceSupport.notes}`);
+        serviceSupport.limitations.forEach(limitation => merged.limitations.push(`${systemName}: ${limitation}`));
+      });
+      Object.entries(result.traces || {}).forEach(([service, trace]) => {
+        combinedTraces[service] = combinedTraces[service] || [];
+        combinedTraces[service].push({ ...trace, type: 'system', label: systemName });
+      });
     });
     
     // Generate breakdown
@@ -377,7 +852,10 @@ class CostEstimatorApp {
       .map(([service, cost]) => ({
         service,
         cost,
-        percentage: (cost / combinedTotal) * 100
+        percentage: (cost / combinedSubtotal) * 100,
+        trace: { type: 'combined', label: service, value: cost, children: combinedTraces[service] || [] },
+        complexityProfile: this.costEngine.getComplexityProfile(service),
+        complexityFactor: this.costEngine.getComplexityFactor(service)
       }))
       .sort((a, b) => b.cost - a.cost);
     
@@ -388,10 +866,22 @@ class CostEstimatorApp {
     
     return {
       services: combinedServices,
+      subtotal: combinedSubtotal,
+      adjustments: Array.from(combinedAdjustments.values()),
       total: combinedTotal,
       breakdown,
       supportedServices: Array.from(allSupportedServices),
       unsupportedServices,
+      // Same shape as a single system's support; a partly supported service lists
+      // the systems that don't offer it among its limitations
+      support: Object.fromEntries(Object.entries(support).map(([service, merged]) => [service, {
+        supported: merged.supported,
+        reason: merged.supported ? null : merged.reasons.join('; '),
+        notes: merged.notes.join('; ') || null,
+        limitations: merged.supported ? [...merged.reasons, ...merged.limitations] : merged.limitations
+      }])),
+      period: systemResults[0]?.period,
+      currency: systemResults[0]?.currency,
       isMultiSystem: true,
       systemCount: systemResults.length
     };
@@ -408,22 +898,17 @@ class CostEstimatorApp {
       for (const [key, value] of Object.entries(defaults)) {
         this.costEngine.setVariable(key, value);
       }
+      this.costEngine.setComplexityProfile(service, null);
     });
 
-    // Load base costs as variables from first system (for backward compatibility)
+    // Start with the first system selected; component prices stay with each system
     const systems = this.configManager.getSystems();
     const firstSystemId = Object.keys(systems)[0];
     if (firstSystemId) {
-      const systemCosts = this.configManager.getSystemCosts(firstSystemId);
+      const systemCosts = this.configManager.getSystemCosts(firstSystemId, this.costEngine.getPricingDate());
       this.costEngine.setSystemCosts(firstSystemId, systemCosts);
     }
 
-    // Load base costs as variables
-    const baseCosts = this.configManager.getBaseCosts();
-    for (const [key, value] of Object.entries(baseCosts)) {
-      this.costEngine.setVariable(key, value);
-    }
-
     // Update UI with default values
     this.uiController.updateServiceControls(this.currentService);
   }
@@ -434,6 +919,9 @@ class CostEstimatorApp {
   resetToDefaults() {
     this.loadDefaultVariables();
     this.uiController.resetToDefaults();
+    for (const systemId of Object.keys(this.costEngine.systemOverrides)) {
+      this.costEngine.setSystemOverrides(systemId, null);
+    }
     this.calculateCosts();
   }
 
@@ -464,9 +952,12 @@ class CostEstimatorApp {
           const params = {};
           if (vars) {
             for (const varName of Object.keys(vars)) {
+              // Derived inputs are reported with the results
+              if (varName in this.costEngine.derivedVariables) continue;
               params[varName] = this.costEngine.getVariable(varName);
             }
           }
+          params.complexity_profile = this.costEngine.getComplexityProfile(serviceType);
           serviceParameters[serviceType] = params;
         } catch (error) {
           console.warn(`Could not get parameters for ${serviceType}:`, error);
@@ -500,11 +991,26 @@ class CostEstimatorApp {
           timestamp: new Date().toISOString(),
           dateFormatted: new Date().toLocaleString(),
           applicationVersion: '1.0.0',
-          exportType: 'cost-estimation-snapshot'
+          exportType: 'cost-estimation-snapshot',
+          // Component prices were resolved as of this date; set it in "Prices as of" to reproduce the quote
+          pricingDate: this.costEngine.getPricingDate()
         },
         selectedSystems: systemInfo,
         serviceParameters,
+        complexityProfiles: Object.fromEntries(
+          Object.keys(formulas).map(serviceType => [serviceType, {
+            profile: this.costEngine.getComplexityProfile(serviceType),
+            factor: this.costEngine.getComplexityFactor(serviceType)
+          }])
+        ),
         globalMultipliers: multipliers,
+        // Results are in the display currency; each result's `native` holds the system's own currency
+        currency: {
+          display: this.costEngine.displayCurrency,
+          base: this.costEngine.currencyTable.baseCurrency,
+          asOf: this.costEngine.currencyTable.asOf,
+          systems: Object.fromEntries(selectedSystems.map(systemId => [systemId, this.costEngine.getSystemCurrency(systemId)]))
+        },
         calculatedResults,
         configuration: config,
         currentState: state
@@ -543,6 +1049,17 @@ class CostEstimatorApp {
     button.textContent = isVisible ? 'Advanced Settings' : 'Hide Advanced Settings';
   }
 
+  /**
+   * Toggle a collapsible panel and its button text
+   */
+  togglePanel(panelId, buttonId, showText, hideText) {
+    const panel = document.getElementById(panelId);
+    const isVisible = panel.style.display !== 'none';
+    panel.style.display = isVisible ? 'none' : 'block';
+
+    document.getElementById(buttonId).textContent = isVisible ? showText : hideText;
+  }
+
   /**
    * Toggle header resources panel
    */
@@ -578,7 +1095,7 @@ class CostEstimatorApp {
    */
   formatValue(variableName, value) {
     if (variableName.includes('cost') || variableName.includes('price')) {
-      return `$${value.toFixed(2)}`;
+      return this.costEngine.formatMoney(value);
     }
     if (variableName.includes('gb') || variableName.includes('volume')) {
       return `${value.toLocaleString()} GB`;
@@ -0,0 +1,148 @@
+/**
+ * Best-of-Breed Optimizer
+ * Picks the cheapest supported system for each service, subject to vendor constraints
+ */
+
+import { sumAmounts } from './decimal.js';
+
+export class HybridOptimizer {
+  constructor(costEngine) {
+    this.costEngine = costEngine;
+  }
+
+  /**
+   * Find the cheapest service-to-system mix among `systemIds`.
+   *
+   * Constraints:
+   *   maxVendors     - at most this many distinct systems in the mix
+   *   required       - { service: systemId } pins a service to a system
+   *   switchOverhead - integration cost added for each vendor beyond the first
+   *                    (in the current reporting period)
+   *
+   * Every vendor subset is tried, so this is exact but meant for a handful of systems.
+   * Services that no candidate system supports are left out and listed as `unavailable`.
+   */
+  optimize({ systemIds = [], maxVendors = Infinity, required = {}, switchOverhead = 0, serviceParameters = {} } = {}) {
+    const engine = this.costEngine;
+    const systemResults = engine.calculateMultiSystemCosts(systemIds, serviceParameters);
+
+    const matrix = {};
+    for (const result of systemResults) {
+      matrix[result.systemId] = result.services;
+    }
+
+    const allServices = Object.keys(engine.formulas);
+    const services = allServices.filter(service => systemIds.some(id => this.isSupported(matrix[id][service])));
+    const unavailable = allServices.filter(service => !services.includes(service));
+
+    for (const [service, systemId] of Object.entries(required)) {
+      if (!matrix[systemId]) {
+        throw new Error(`Required system ${systemId} for ${service} is not among the candidate systems`);
+      }
+      if (!this.isSupported(matrix[systemId][service])) {
+        throw new Error(`System ${systemId} does not support ${service}`);
+      }
+    }
+
+    const requiredSystems = [...new Set(Object.values(required))];
+    if (requiredSystems.length > maxVendors) {
+      throw new Error(`Required systems (${requiredSystems.join(', ')}) exceed the limit of ${maxVendors} vendor(s)`);
+    }
+
+    let best = null;
+    for (const vendors of this.vendorSubsets(systemIds, requiredSystems, maxVendors)) {
+      const candidate = this.assign(vendors, services, matrix, required, switchOverhead);
+      if (candidate && (!best || candidate.total < best.total)) {
+        best = candidate;
+      }
+    }
+
+    if (!best) {
+      throw new Error(`No mix of at most ${maxVendors} vendor(s) covers ${services.join(', ')}`);
+    }
+
+    const cheapestSingle = this.cheapestSingleSystem(systemResults, services);
+    const savings = cheapestSingle ? sumAmounts([cheapestSingle.total, -best.total]) : null;
+
+    return {
+      period: engine.reportingPeriod,
+      ...best,
+      unavailable,
+      cheapestSingle,
+      savings,
+      savingsPercent: cheapestSingle && cheapestSingle.total > 0 ? (savings / cheapestSingle.total) * 100 : null
+    };
+  }
+
+  /**
+   * Price one vendor set: each service goes to its cheapest (or required) vendor.
+   * Returns null if the set leaves a service uncovered or doesn't use every vendor.
+   */
+  assign(vendors, services, matrix, required, switchOverhead) {
+    const mix = {};
+    const costs = {};
+
+    for (const service of services) {
+      const choices = required[service]
+        ? [required[service]]
+        : vendors.filter(systemId => this.isSupported(matrix[systemId][service]));
+      if (choices.length === 0) return null;
+
+      const systemId = choices.reduce((cheapest, id) => matrix[id][service] < matrix[cheapest][service] ? id : cheapest);
+      mix[service] = systemId;
+      costs[service] = matrix[systemId][service];
+    }
+
+    // A vendor that wins no service would only add overhead; the smaller subset covers that case
+    const used = new Set(Object.values(mix));
+    if (used.size !== vendors.length) return null;
+
+    const { subtotal, adjustments, total: adjustedTotal } = this.costEngine.settle(costs);
+    const overhead = switchOverhead * Math.max(0, vendors.length - 1);
+    const total = sumAmounts([adjustedTotal, overhead]);
+
+    return {
+      mix,
+      services: Object.fromEntries(services.map(service => [service, { systemId: mix[service], cost: costs[service] }])),
+      vendors: [...vendors],
+      subtotal,
+      adjustments,
+      overhead,
+      total
+    };
+  }
+
+  /**
+   * Cheapest system that supports every service in the mix on its own
+   */
+  cheapestSingleSystem(systemResults, services) {
+    let cheapest = null;
+    for (const result of systemResults) {
+      if (!services.every(service => this.isSupported(result.services[service]))) continue;
+      if (!cheapest || result.total < cheapest.total) {
+        cheapest = { systemId: result.systemId, total: result.total };
+      }
+    }
+    return cheapest;
+  }
+
+  /**
+   * All subsets of systemIds that contain the required systems and fit within maxVendors
+   */
+  *vendorSubsets(systemIds, requiredSystems, maxVendors) {
+    const optional = systemIds.filter(id => !requiredSystems.includes(id));
+    for (let mask = 0; mask < (1 << optional.length); mask++) {
+      const subset = [...requiredSystems, ...optional.filter((_, index) => mask & (1 << index))];
+      if (subset.length > 0 && subset.length <= maxVendors) {
+        yield subset;
+      }
+    }
+  }
+
+  /**
+   * Unsupported services come back from calculateTotalCost as null
+   */
+  isSupported(cost) {
+    return cost !== null && cost !== undefined && !isNaN(cost);
+  }
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { CostCalculationEngine } from './cost-engine.js';
+import { HybridOptimizer } from './optimizer.js';
+
+// Each system is cheapest at a different service
+const config = {
+  formulas: {
+    transport: '$transport_rate',
+    storage: '$storage_rate',
+    search: '$search_rate'
+  },
+  systems: {
+    a: { components: { transport_rate: 10, storage_rate: 50, search_rate: 30 } },
+    b: { components: { transport_rate: 20, storage_rate: 20, search_rate: 30 } },
+    c: { services: { search: {} }, components: { search_rate: 5 } }
+  }
+};
+
+const optimize = (options) => new HybridOptimizer(new CostCalculationEngine(config)).optimize({ systemIds: ['a', 'b', 'c'], ...options });
+
+describe('HybridOptimizer', () => {
+  it('picks the cheapest system for each service', () => {
+    const result = optimize();
+    expect(result.mix).toEqual({ transport: 'a', storage: 'b', search: 'c' });
+    expect(result.total).toBe(35);
+    // b alone costs 70
+    expect(result.cheapestSingle).toEqual({ systemId: 'b', total: 70 });
+    expect(result.savings).toBe(35);
+  });
+
+  it('limits the number of vendors', () => {
+    const result = optimize({ maxVendors: 1 });
+    expect(result.vendors).toEqual(['b']);
+    expect(result.total).toBe(70);
+  });
+
+  it('charges switching overhead for each vendor beyond the first', () => {
+    const result = optimize({ switchOverhead: 16 });
+    // Three vendors: 35 + 32; a and b: 60 + 16; b and c: 45 + 16
+    expect(result.mix).toEqual({ transport: 'b', storage: 'b', search: 'c' });
+    expect(result.total).toBe(61);
+  });
+
+  it('keeps required services on their system', () => {
+    const result = optimize({ required: { search: 'a' } });
+    expect(result.mix.search).toBe('a');
+    expect(result.total).toBe(60);
+  });
+
+  it('rejects requirements no candidate can meet', () => {
+    expect(() => optimize({ required: { storage: 'c' } })).toThrow('System c does not support storage');
+    expect(() => optimize({ required: { storage: 'd' } })).toThrow(/is not among the candidate systems/);
+    expect(() => optimize({ required: { transport: 'a', storage: 'b' }, maxVendors: 1 })).toThrow(/exceed the limit of 1 vendor/);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Price History
+ * Component prices that change over time. In base-costs.yaml a component is
+ * either a plain number or a list of dated prices:
+ *
+ *   egress_cost_per_gb:
+ *     - { value: 0.025, effective_to: 2026-03-31 }
+ *     - { value: 0.02, effective_from: 2026-04-01 }
+ *
+ * Both dates are inclusive and optional (open-ended). Prices are resolved as of
+ * a pricing date, so a quote can be repeated after prices change.
+ */
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Today's date (local time) as YYYY-MM-DD
+ */
+export function today() {
+  const now = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Normalize a date to YYYY-MM-DD. YAML reads unquoted dates as Date objects
+ * (at UTC midnight); strings must be real calendar dates.
+ */
+export function normalizeDate(date) {
+  if (date instanceof Date && !isNaN(date)) {
+    return date.toISOString().slice(0, 10);
+  }
+  const match = DATE_PATTERN.exec(String(date));
+  if (match) {
+    const [, year, month, day] = match.map(Number);
+    const parsed = new Date(Date.UTC(year, month - 1, day));
+    if (parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day) {
+      return match[0];
+    }
+  }
+  throw new Error(`Invalid date '${date}' (expected YYYY-MM-DD)`);
+}
+
+/**
+ * Whether a component carries a price history rather than a single price
+ */
+export function hasPriceHistory(value) {
+  return Array.isArray(value);
+}
+
+/**
+ * Resolve one component's price as of a date (YYYY-MM-DD)
+ */
+export function resolvePrice(name, value, date) {
+  if (!hasPriceHistory(value)) {
+    return value;
+  }
+
+  const entry = value.find(({ effective_from: from, effective_to: to }) =>
+    (from === undefined || normalizeDate(from) <= date) && (to === undefined || normalizeDate(to) >= date)
+  );
+  if (!entry) {
+    throw new Error(`No price for ${name} as of ${date}`);
+  }
+  return entry.value;
+}
+
+/**
+ * Resolve a system's components to plain prices as of a date (default: today)
+ */
+export function resolveComponents(components = {}, date = today()) {
+  const pricingDate = normalizeDate(date);
+  return Object.fromEntries(
+    Object.entries(components).map(([name, value]) => [name, resolvePrice(name, value, pricingDate)])
+  );
+}
+
+/**
+ * Check a price history: numeric values, valid dates, ranges that run forward
+ * and don't overlap. Returns a list of problems (empty when valid).
+ */
+export function validatePriceHistory(name, entries) {
+  const errors = [];
+  if (entries.length === 0) {
+    return [`${name} has an empty price history`];
+  }
+
+  const ranges = [];
+  entries.forEach((entry, index) => {
+    const label = `${name}[${index}]`;
+    if (typeof entry?.value !== 'number' || entry.value < 0) {
+      errors.push(`${label} needs a non-negative numeric value`);
+      return;
+    }
+    try {
+      const from = entry.effective_from === undefined ? '' : normalizeDate(entry.effective_from);
+      const to = entry.effective_to === undefined ? '9999-12-31' : normalizeDate(entry.effective_to);
+      if (from > to) {
+        errors.push(`${label} ends (${to}) before it starts (${from})`);
+      } else {
+        ranges.push({ label, from, to });
+      }
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+    }
+  });
+
+  ranges.sort((a, b) => a.from.localeCompare(b.from));
+  for (let i = 1; i < ranges.length; i++) {
+    if (ranges[i].from <= ranges[i - 1].to) {
+      errors.push(`${ranges[i - 1].label} and ${ranges[i].label} overlap`);
+    }
+  }
+
+  return errors;
+}
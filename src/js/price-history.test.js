@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeDate, resolveComponents, resolvePrice, validatePriceHistory } from './price-history.js';
+
+const history = [
+  { value: 0.025, effective_to: '2026-03-31' },
+  { value: 0.02, effective_from: '2026-04-01' }
+];
+
+describe('normalizeDate', () => {
+  it('accepts YYYY-MM-DD strings and the Date objects YAML produces', () => {
+    expect(normalizeDate('2026-04-01')).toBe('2026-04-01');
+    expect(normalizeDate(new Date(Date.UTC(2026, 3, 1)))).toBe('2026-04-01');
+  });
+
+  it('rejects other formats and dates that aren\'t on the calendar', () => {
+    expect(() => normalizeDate('2026-4-1')).toThrow(/expected YYYY-MM-DD/);
+    expect(() => normalizeDate('2026-02-30')).toThrow(/Invalid date/);
+  });
+});
+
+describe('resolvePrice', () => {
+  it('passes a plain price through', () => {
+    expect(resolvePrice('egress_cost_per_gb', 0.02, '2026-01-01')).toBe(0.02);
+  });
+
+  it('picks the entry in effect, with both dates inclusive', () => {
+    expect(resolvePrice('egress_cost_per_gb', history, '2025-06-30')).toBe(0.025);
+    expect(resolvePrice('egress_cost_per_gb', history, '2026-03-31')).toBe(0.025);
+    expect(resolvePrice('egress_cost_per_gb', history, '2026-04-01')).toBe(0.02);
+    expect(resolvePrice('egress_cost_per_gb', history, '2030-01-01')).toBe(0.02);
+  });
+
+  it('fails for a date no entry covers', () => {
+    const gap = [
+      { value: 1, effective_to: '2026-01-31' },
+      { value: 2, effective_from: '2026-03-01' }
+    ];
+    expect(() => resolvePrice('bandwidth_base_cost', gap, '2026-02-15')).toThrow('No price for bandwidth_base_cost as of 2026-02-15');
+  });
+});
+
+describe('resolveComponents', () => {
+  it('resolves every component as of the pricing date', () => {
+    const components = { egress_cost_per_gb: history, bandwidth_base_cost: 50 };
+    expect(resolveComponents(components, '2026-01-15')).toEqual({ egress_cost_per_gb: 0.025, bandwidth_base_cost: 50 });
+    expect(resolveComponents(components, new Date(Date.UTC(2026, 9, 19)))).toEqual({ egress_cost_per_gb: 0.02, bandwidth_base_cost: 50 });
+  });
+});
+
+describe('validatePriceHistory', () => {
+  it('accepts a history of non-overlapping ranges', () => {
+    expect(validatePriceHistory('egress_cost_per_gb', history)).toEqual([]);
+  });
+
+  it('reports overlaps, reversed ranges and bad values', () => {
+    expect(validatePriceHistory('p', [
+      { value: 1, effective_to: '2026-04-01' },
+      { value: 2, effective_from: '2026-04-01' }
+    ])).toEqual(['p[0] and p[1] overlap']);
+    expect(validatePriceHistory('p', [{ value: 1, effective_from: '2026-05-01', effective_to: '2026-04-01' }]))
+      .toEqual(['p[0] ends (2026-04-01) before it starts (2026-05-01)']);
+    expect(validatePriceHistory('p', [{ value: '1' }])).toEqual(['p[0] needs a non-negative numeric value']);
+    expect(validatePriceHistory('p', [])).toEqual(['p has an empty price history']);
+  });
+});
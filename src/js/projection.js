@@ -0,0 +1,106 @@
+/**
+ * Cost Projection
+ * Projects monthly costs over time by growing input variables along growth curves
+ */
+
+import { sumAmounts } from './decimal.js';
+
+/**
+ * Value of a variable in a given month (month 1 is the starting value)
+ *
+ * Curves:
+ *   { type: 'linear', rate: 50 }      - adds `rate` units every month
+ *   { type: 'compound', rate: 5 }     - grows by `rate` percent every month
+ *   { type: 'step', steps: [{ month: 6, value: 500 }, { month: 12, change: 200 }] }
+ *                                     - sets (`value`) or adds (`change`) from the given month on
+ */
+export function growValue(baseValue, curve, month) {
+  const elapsed = month - 1;
+
+  switch (curve.type) {
+    case 'linear':
+      return baseValue + (curve.rate || 0) * elapsed;
+
+    case 'compound':
+      return baseValue * Math.pow(1 + (curve.rate || 0) / 100, elapsed);
+
+    case 'step': {
+      const steps = [...(curve.steps || [])].sort((a, b) => a.month - b.month);
+      let value = baseValue;
+      for (const step of steps) {
+        if (step.month > month) break;
+        value = step.value !== undefined ? step.value : value + (step.change || 0);
+      }
+      return value;
+    }
+
+    default:
+      throw new Error(`Unknown growth curve type '${curve.type}'`);
+  }
+}
+
+export class CostProjection {
+  constructor(costEngine) {
+    this.costEngine = costEngine;
+  }
+
+  /**
+   * Recalculate the total cost for each month while applying growth curves.
+   * The engine's own selections are left untouched.
+   */
+  project({ months = 12, growth = {}, systemIds = null, serviceParameters = {} } = {}) {
+    const engine = this.costEngine;
+    const baseValues = {};
+
+    for (const name of Object.keys(growth)) {
+      if (!engine.variables.has(name)) {
+        throw new Error(`Cannot project growth for unknown variable ${name}`);
+      }
+      baseValues[name] = engine.variables.get(name);
+    }
+
+    const series = [];
+    const services = {};
+
+    for (let month = 1; month <= months; month++) {
+      const variables = {};
+      for (const [name, curve] of Object.entries(growth)) {
+        variables[name] = engine.coerceVariable(name, growValue(baseValues[name], curve, month));
+      }
+
+      const changes = { inputs: variables, serviceInputs: serviceParameters, period: 'month' };
+      const results = systemIds
+        ? systemIds.map(systemId => engine.calculateWith({ ...changes, systemId }))
+        : [engine.calculateWith(changes)];
+
+      const point = { month, total: 0, services: {}, systems: {}, variables };
+      for (const result of results) {
+        point.total = sumAmounts([point.total, result.total]);
+        if (systemIds) {
+          point.systems[result.systemId] = result.total;
+        }
+        for (const [service, cost] of Object.entries(result.services)) {
+          if (cost !== null && !isNaN(cost)) {
+            point.services[service] = sumAmounts([point.services[service] || 0, cost]);
+          }
+        }
+      }
+
+      for (const [service, cost] of Object.entries(point.services)) {
+        services[service] = services[service] || new Array(months).fill(0);
+        services[service][month - 1] = cost;
+      }
+
+      series.push(point);
+    }
+
+    return {
+      period: 'month',
+      months,
+      series,
+      services,
+      totals: series.map(point => point.total),
+      cumulativeTotal: sumAmounts(series.map(point => point.total))
+    };
+  }
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { CostCalculationEngine } from './cost-engine.js';
+import { CostProjection, growValue } from './projection.js';
+
+describe('growValue', () => {
+  it('starts every curve at the base value in month 1', () => {
+    expect(growValue(100, { type: 'linear', rate: 50 }, 1)).toBe(100);
+    expect(growValue(100, { type: 'compound', rate: 5 }, 1)).toBe(100);
+  });
+
+  it('grows linearly and by compound percentage', () => {
+    expect(growValue(100, { type: 'linear', rate: 50 }, 4)).toBe(250);
+    expect(growValue(100, { type: 'compound', rate: 10 }, 3)).toBeCloseTo(121, 10);
+  });
+
+  it('sets or changes the value from each step\'s month on, in month order', () => {
+    const curve = { type: 'step', steps: [{ month: 12, change: 200 }, { month: 6, value: 500 }] };
+    expect(growValue(100, curve, 5)).toBe(100);
+    expect(growValue(100, curve, 6)).toBe(500);
+    expect(growValue(100, curve, 12)).toBe(700);
+  });
+
+  it('rejects unknown curves', () => {
+    expect(() => growValue(100, { type: 'logistic' }, 2)).toThrow("Unknown growth curve type 'logistic'");
+  });
+});
+
+describe('CostProjection', () => {
+  const createEngine = () => {
+    const engine = new CostCalculationEngine({
+      formulas: { transport: '$data_volume_gb * $ingestion_cost_per_gb' },
+      systems: {
+        a: { components: { ingestion_cost_per_gb: 0.01 } },
+        b: { components: { ingestion_cost_per_gb: 0.02 } }
+      }
+    });
+    engine.defineVariable('data_volume_gb', { type: 'number', period: 'month' });
+    engine.setVariable('data_volume_gb', 1000);
+    engine.setSystemCosts('a');
+    return engine;
+  };
+
+  it('prices each month with the grown inputs', () => {
+    const engine = createEngine();
+    const projection = new CostProjection(engine).project({ months: 3, growth: { data_volume_gb: { type: 'linear', rate: 100 } } });
+
+    expect(projection.totals).toEqual([10, 11, 12]);
+    expect(projection.services.transport).toEqual([10, 11, 12]);
+    expect(projection.series[2].variables).toEqual({ data_volume_gb: 1200 });
+    expect(projection.cumulativeTotal).toBe(33);
+    // The engine keeps its own value
+    expect(engine.variables.get('data_volume_gb')).toBe(1000);
+  });
+
+  it('adds up the selected systems and reports each one', () => {
+    const projection = new CostProjection(createEngine()).project({ months: 2, systemIds: ['a', 'b'] });
+    expect(projection.series[0].systems).toEqual({ a: 10, b: 20 });
+    expect(projection.totals).toEqual([30, 30]);
+  });
+
+  it('only grows inputs the engine has', () => {
+    expect(() => new CostProjection(createEngine()).project({ growth: { record_count: { type: 'linear', rate: 1 } } }))
+      .toThrow('Cannot project growth for unknown variable record_count');
+  });
+});
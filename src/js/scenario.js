@@ -0,0 +1,70 @@
+/**
+ * Scenarios
+ * Builds a cost engine from a scenario document (the YAML files in scenarios/),
+ * set up the way the app is at startup with the scenario's inputs applied
+ */
+
+import { CostCalculationEngine } from './cost-engine.js';
+import { SERVICE_VARIABLES, defineServiceVariables } from './service-variables.js';
+
+/**
+ * Create an engine for a loaded ConfigManager and apply a scenario.
+ * `options` ({ period, currency, pricingDate }) take precedence over the scenario's own.
+ *
+ * Scenario keys (all optional):
+ *   name, systems, period, currency, pricing_date
+ *   variables:           { input: value } shared by every service
+ *   services:            { service: { input: value } } for one service only
+ *   complexity_profiles: { service: profile }
+ *   multipliers:         { volume_tier | contract_type | support_level | sla_level: selection }
+ *   overrides:           { systemId: { service: { input: { factor } | { value } } } }
+ */
+export function createScenarioEngine(configManager, scenario, options = {}) {
+  const engine = new CostCalculationEngine(configManager.config);
+  defineServiceVariables(engine);
+
+  const services = Object.keys(engine.formulas);
+  for (const service of services) {
+    for (const [name, value] of Object.entries(configManager.getDefaultVariables(service))) {
+      engine.setVariable(name, value);
+    }
+  }
+
+  const inputs = new Set(Object.values(SERVICE_VARIABLES).flatMap(variables => Object.keys(variables)));
+  for (const [name, value] of Object.entries(scenario.variables || {})) {
+    if (!inputs.has(name)) {
+      throw new Error(`Unknown variable '${name}' in scenario`);
+    }
+    if (name in engine.derivedVariables) {
+      throw new Error(`${name} is derived from other inputs; set those instead`);
+    }
+    engine.setVariable(name, value);
+  }
+
+  for (const service of Object.keys(scenario.services || {})) {
+    if (!services.includes(service)) {
+      throw new Error(`Unknown service '${service}' in scenario`);
+    }
+  }
+
+  for (const [service, profile] of Object.entries(scenario.complexity_profiles || {})) {
+    engine.setComplexityProfile(service, profile);
+  }
+
+  for (const [setting, selection] of Object.entries(scenario.multipliers || {})) {
+    const { variable, factor } = configManager.getGlobalMultiplier(setting, selection);
+    engine.setVariable(variable, factor);
+  }
+
+  for (const [systemId, overrides] of Object.entries(scenario.overrides || {})) {
+    engine.setSystemOverrides(systemId, overrides);
+  }
+
+  engine.setReportingPeriod(options.period || scenario.period || 'day');
+  if (options.currency || scenario.currency) {
+    engine.setDisplayCurrency(options.currency || scenario.currency);
+  }
+  engine.setPricingDate(options.pricingDate || scenario.pricing_date || null);
+
+  return engine;
+}
@@ -0,0 +1,72 @@
+/**
+ * Sensitivity Analysis
+ * Perturbs each input by ±% and measures the change in total and per-service cost
+ */
+
+export class SensitivityAnalyzer {
+  constructor(costEngine) {
+    this.costEngine = costEngine;
+  }
+
+  /**
+   * Analyze the given numeric input variables (and optionally each system cost
+   * component) for every system. Inputs are ranked by their swing in total cost.
+   */
+  analyze({ variables = [], delta = 10, includeComponents = false, systemIds = [] } = {}) {
+    const engine = this.costEngine;
+    const fraction = delta / 100;
+    const systems = {};
+
+    for (const systemId of systemIds) {
+      const components = engine.getSystemCosts(systemId);
+      const base = engine.calculateWith({ systemId });
+
+      const inputs = variables
+        .filter(name => typeof engine.variables.get(name) === 'number')
+        .map(name => ({ name, kind: 'variable', baseValue: engine.variables.get(name) }));
+
+      if (includeComponents) {
+        for (const [name, value] of Object.entries(components)) {
+          // Mirror the calculation context: engine variables take precedence over components
+          const effective = engine.variables.has(name) ? engine.variables.get(name) : value;
+          if (typeof effective === 'number') {
+            inputs.push({ name, kind: 'component', baseValue: effective });
+          }
+        }
+      }
+
+      const results = inputs.map(input => {
+        const lowValue = input.baseValue * (1 - fraction);
+        const highValue = input.baseValue * (1 + fraction);
+        const low = engine.calculateWith({ systemId, inputs: { [input.name]: lowValue } });
+        const high = engine.calculateWith({ systemId, inputs: { [input.name]: highValue } });
+
+        const services = {};
+        for (const service of Object.keys(base.services)) {
+          if (base.services[service] === null) continue;
+          services[service] = {
+            low: low.services[service] - base.services[service],
+            high: high.services[service] - base.services[service]
+          };
+        }
+
+        return {
+          ...input,
+          lowValue,
+          highValue,
+          lowTotal: low.total,
+          highTotal: high.total,
+          lowDelta: low.total - base.total,
+          highDelta: high.total - base.total,
+          swing: Math.abs(high.total - low.total),
+          services
+        };
+      });
+
+      results.sort((a, b) => b.swing - a.swing);
+      systems[systemId] = { baseTotal: base.total, inputs: results };
+    }
+
+    return { delta, period: engine.reportingPeriod, systems };
+  }
+}
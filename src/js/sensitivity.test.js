@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { CostCalculationEngine } from './cost-engine.js';
+import { SensitivityAnalyzer } from './sensitivity.js';
+
+describe('SensitivityAnalyzer', () => {
+  const createEngine = () => {
+    const engine = new CostCalculationEngine({
+      formulas: {
+        transport: '$data_volume_gb * $ingestion_cost_per_gb',
+        storage: '$data_volume_gb * $retention_days * $storage_cost_per_gb_day'
+      },
+      systems: {
+        a: { components: { ingestion_cost_per_gb: 0.1, storage_cost_per_gb_day: 0.01 } }
+      }
+    });
+    engine.setVariable('data_volume_gb', 1000);
+    engine.setVariable('retention_days', 30);
+    engine.setVariable('model_type', 'simple');
+    return engine;
+  };
+
+  it('moves each input by ±delta and ranks inputs by swing', () => {
+    const analysis = new SensitivityAnalyzer(createEngine()).analyze({
+      variables: ['retention_days', 'data_volume_gb', 'model_type'],
+      delta: 10,
+      systemIds: ['a']
+    });
+
+    const { baseTotal, inputs } = analysis.systems.a;
+    // 1000 × 0.1 + 1000 × 30 × 0.01
+    expect(baseTotal).toBe(400);
+    // Non-numeric inputs are skipped
+    expect(inputs.map(input => input.name)).toEqual(['data_volume_gb', 'retention_days']);
+
+    const [volume, retention] = inputs;
+    expect(volume).toMatchObject({ kind: 'variable', baseValue: 1000, lowValue: 900, lowTotal: 360, highTotal: 440, lowDelta: -40, highDelta: 40, swing: 80 });
+    expect(volume.services.transport).toEqual({ low: -10, high: 10 });
+    expect(retention.swing).toBe(60);
+    expect(retention.services.transport).toEqual({ low: 0, high: 0 });
+  });
+
+  it('includes system cost components when asked', () => {
+    const analysis = new SensitivityAnalyzer(createEngine()).analyze({ delta: 50, includeComponents: true, systemIds: ['a'] });
+    const inputs = analysis.systems.a.inputs;
+
+    expect(inputs.map(input => [input.name, input.kind, input.swing])).toEqual([
+      ['storage_cost_per_gb_day', 'component', 300],
+      ['ingestion_cost_per_gb', 'component', 100]
+    ]);
+    expect(analysis.delta).toBe(50);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Service Variables
+ * Inputs of each service: control type, range, default, label and billing period.
+ * The UI builds its controls from these and the engine types its variables from them.
+ */
+
+import { definitionFromControl } from './variables.js';
+
+export const SERVICE_VARIABLES = {
+  transport: {
+    data_volume_gb: { 
+      type: 'range', 
+      period: 'day',
+      min: 1, 
+      max: 20000, 
+      step: 1, 
+      default: 100,
+      label: 'Data Volume (GB/day)',
+      description: 'Amount of data to transport per day'
+    },
+    egress_volume_gb: { 
+      type: 'range', 
+      period: 'day',
+      min: 0, 
+      max: 20000, 
+      step: 1, 
+      default: 50,
+      label: 'Egress Volume (GB/day)',
+      description: 'Data transferred out per day'
+    },
+    priority_level: { 
+      type: 'select', 
+      options: [
+        { value: 1, label: 'Standard' },
+        { value: 2, label: 'Priority' },
+        { value: 3, label: 'Urgent' }
+      ],
+      default: 1,
+      label: 'Priority Level',
+      description: 'Service priority level'
+    },
+    encryption_level: { 
+      type: 'select', 
+      options: [
+        { value: 1, label: 'Basic' },
+        { value: 2, label: 'Advanced' },
+        { value: 3, label: 'Enterprise' }
+      ],
+      default: 1,
+      label: 'Encryption Level',
+      description: 'Data encryption requirements'
+    }
+  },
+  storage: {
+    storage_volume_gb: { 
+      type: 'range', 
+      min: 10, 
+      max: 20000, 
+      step: 10, 
+      label: 'Storage Volume (GB)',
+      description: 'Total storage capacity needed (daily average)'
+    },
+    retention_days: {
+      type: 'range',
+      min: 1,
+      max: 3650,
+      step: 1,
+      default: 10,
+      label: 'Retention (days)',
+      description: 'How long ingested data is kept'
+    }
+  },
+  extraction: {
+    processing_hours: { 
+      type: 'range', 
+      period: 'day',
+      min: 1, 
+      max: 200, 
+      step: 1, 
+      default: 10,
+      label: 'Processing Hours (per day)',
+      description: 'Hours of processing time per day'
+    },
+    extraction_complexity: { 
+      type: 'select', 
+      options: [
+        { value: 1, label: 'Basic' },
+        { value: 2, label: 'Advanced' },
+        { value: 3, label: 'ML-based' }
+      ],
+      default: 1,
+      label: 'Extraction Complexity',
+      description: 'Complexity of data extraction'
+    }
+  },
+  enrichment: {
+    record_count: { 
+      type: 'range', 
+      period: 'day',
+      min: 1000, 
+      max: 10000000, 
+      step: 1000, 
+      default: 10000,
+      label: 'Record Count (per day)',
+      description: 'Number of records to process per day'
+    },
+    data_quality_score: { 
+      type: 'range', 
+      min: 1, 
+      max: 5, 
+      step: 1, 
+      default: 3,
+      label: 'Data Quality Score',
+      description: 'Current data quality (1=poor, 5=excellent)'
+    },
+    schema_complexity: { 
+      type: 'select', 
+      options: [
+        { value: 1, label: 'Simple' },
+        { value: 2, label: 'Moderate' },
+        { value: 3, label: 'Complex' }
+      ],
+      default: 2,
+      label: 'Schema Complexity',
+      description: 'Data schema complexity level'
+    }
+  },
+  modeling: {
+    model_type: { 
+      type: 'select', 
+      options: [
+        { value: 'simple', label: 'Simple Model' },
+        { value: 'complex', label: 'Complex Model' },
+        { value: 'deep_learning', label: 'Deep Learning' }
+      ],
+      default: 'simple',
+      label: 'Model Type',
+      description: 'Type of machine learning model'
+    },
+    training_hours: { 
+      type: 'range', 
+      period: 'day',
+      min: 1, 
+      max: 100, 
+      step: 1, 
+      default: 5,
+      label: 'Training Hours (per day)',
+      description: 'Model training time per day'
+    },
+    inference_requests: { 
+      type: 'range', 
+      period: 'day',
+      min: 100, 
+      max: 1000000, 
+      step: 100, 
+      default: 1000,
+      label: 'Inference Requests (per day)',
+      description: 'Daily prediction requests'
+    }
+  },
+  search: {
+    search_queries: { 
+      type: 'range', 
+      period: 'day',
+      min: 1000, 
+      max: 10000000, 
+      step: 1000, 
+      default: 10000,
+      label: 'Search Queries (per day)',
+      description: 'Daily search queries'
+    },
+    search_index_gb: { 
+      type: 'range', 
+      min: 10, 
+      max: 20000, 
+      step: 10, 
+      label: 'Search Index Size (GB)',
+      description: 'Size of search index'
+    },
+    search_index_ratio: {
+      type: 'range',
+      min: 0.01,
+      max: 1,
+      step: 0.01,
+      default: 0.1,
+      label: 'Index Size Ratio',
+      description: 'Search index size as a fraction of stored data'
+    },
+    search_complexity: { 
+      type: 'select', 
+      options: [
+        { value: 1, label: 'Basic Search' },
+        { value: 2, label: 'Semantic Search' },
+        { value: 3, label: 'Vector Search' }
+      ],
+      default: 1,
+      label: 'Search Complexity',
+      description: 'Type of search functionality'
+    },
+    real_time_requirements: { 
+      type: 'select', 
+      options: [
+        { value: 1, label: 'Batch' },
+        { value: 2, label: 'Near Real-time' },
+        { value: 3, label: 'Real-time' }
+      ],
+      default: 1,
+      label: 'Real-time Requirements',
+      description: 'Response time requirements'
+    }
+  },
+  exploration: {
+    analytics_type: { 
+      type: 'select', 
+      options: [
+        { value: 'basic', label: 'Basic Analytics' },
+        { value: 'advanced', label: 'Advanced Analytics' },
+        { value: 'real_time', label: 'Real-time Analytics' }
+      ],
+      default: 'basic',
+      label: 'Analytics Type',
+      description: 'Type of analytics required'
+    },
+    analysis_hours: { 
+      type: 'range', 
+      period: 'day',
+      min: 5, 
+      max: 200, 
+      step: 5, 
+      default: 20,
+      label: 'Analysis Hours (per day)',
+      description: 'Daily analysis hours'
+    }
+  }
+};
+
+/**
+ * Declare the type of every service input to a cost engine
+ */
+export function defineServiceVariables(costEngine) {
+  for (const serviceType of Object.keys(costEngine.formulas)) {
+    for (const [varName, config] of Object.entries(SERVICE_VARIABLES[serviceType] || {})) {
+      costEngine.defineVariable(varName, definitionFromControl(config));
+    }
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Simulation Worker
+ * Runs Monte Carlo simulations off the main thread so the UI stays responsive
+ */
+
+import { CostCalculationEngine } from './cost-engine.js';
+import { MonteCarloSimulator } from './simulation.js';
+
+self.addEventListener('message', (event) => {
+  const { config, state, options } = event.data;
+
+  try {
+    const engine = new CostCalculationEngine(config);
+    engine.restoreState(state);
+
+    const results = new MonteCarloSimulator(engine).run(options);
+    self.postMessage({ results });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+});
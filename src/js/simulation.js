@@ -0,0 +1,147 @@
+/**
+ * Monte Carlo Simulation
+ * Samples uncertain inputs from distributions and reports percentile cost ranges
+ */
+
+/**
+ * Small seeded PRNG (mulberry32) so simulations can be reproduced
+ */
+export function createRandom(seed = Date.now()) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw one sample from a distribution
+ *
+ * Distributions:
+ *   { type: 'range', min, max }              - uniform between min and max
+ *   { type: 'triangular', min, mode, max }   - most likely value at mode
+ *   { type: 'normal', mean, stddev }         - Gaussian (Box-Muller)
+ */
+export function sampleDistribution(distribution, random) {
+  switch (distribution.type) {
+    case 'range':
+      return distribution.min + random() * (distribution.max - distribution.min);
+
+    case 'triangular': {
+      const { min, mode, max } = distribution;
+      const u = random();
+      const split = (mode - min) / (max - min);
+      return u < split
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+
+    case 'normal': {
+      const u1 = random() || Number.MIN_VALUE;
+      const u2 = random();
+      const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      return distribution.mean + z * distribution.stddev;
+    }
+
+    default:
+      throw new Error(`Unknown distribution type '${distribution.type}'`);
+  }
+}
+
+/**
+ * Percentile of an ascending sorted array (linear interpolation)
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const index = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Summarize a list of samples
+ */
+export function summarize(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  return {
+    min: sorted[0] ?? 0,
+    p10: percentile(sorted, 10),
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    max: sorted[sorted.length - 1] ?? 0,
+    mean: sorted.reduce((sum, value) => sum + value, 0) / (sorted.length || 1)
+  };
+}
+
+export class MonteCarloSimulator {
+  constructor(costEngine) {
+    this.costEngine = costEngine;
+  }
+
+  /**
+   * Run N simulations of each system's estimate.
+   * Every system sees the same sampled inputs in a given iteration.
+   */
+  run({ iterations = 1000, distributions = {}, systemIds = [], seed } = {}) {
+    const engine = this.costEngine;
+    const random = createRandom(seed);
+
+    for (const [name, distribution] of Object.entries(distributions)) {
+      if (!engine.variables.has(name)) {
+        throw new Error(`Cannot simulate unknown variable ${name}`);
+      }
+      if (distribution.min < 0) {
+        throw new Error(`Distribution for ${name} starts below 0 (min ${distribution.min}); inputs can't be negative`);
+      }
+    }
+
+    const samples = {};
+    for (const systemId of systemIds) {
+      samples[systemId] = { totals: [], services: {} };
+    }
+
+    for (let i = 0; i < iterations; i++) {
+      const inputs = {};
+      for (const [name, distribution] of Object.entries(distributions)) {
+        inputs[name] = this.clampToDomain(sampleDistribution(distribution, random));
+      }
+
+      for (const systemId of systemIds) {
+        const result = engine.calculateWith({ systemId, inputs });
+        const systemSamples = samples[systemId];
+        systemSamples.totals.push(result.total);
+        for (const [service, cost] of Object.entries(result.services)) {
+          if (cost === null || isNaN(cost)) continue;
+          systemSamples.services[service] = systemSamples.services[service] || [];
+          systemSamples.services[service].push(cost);
+        }
+      }
+    }
+
+    const systems = {};
+    for (const [systemId, systemSamples] of Object.entries(samples)) {
+      systems[systemId] = {
+        total: summarize(systemSamples.totals),
+        services: Object.fromEntries(
+          Object.entries(systemSamples.services).map(([service, values]) => [service, summarize(values)])
+        ),
+        samples: systemSamples.totals
+      };
+    }
+
+    return { iterations, period: engine.reportingPeriod, systems };
+  }
+
+  /**
+   * Keep a sample where the engine accepts it: only a normal distribution's
+   * tail can go negative, and inputs can't. The control's range is not a
+   * bound, so samples past the slider's ends are kept.
+   */
+  clampToDomain(value) {
+    return Math.max(value, 0);
+  }
+}
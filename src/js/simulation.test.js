@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { CostCalculationEngine } from './cost-engine.js';
+import { MonteCarloSimulator, createRandom, percentile, sampleDistribution, summarize } from './simulation.js';
+
+describe('createRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const sequence = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(sequence);
+    expect(sequence.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+});
+
+describe('sampleDistribution', () => {
+  it('maps the random draw onto the distribution', () => {
+    const half = () => 0.5;
+    expect(sampleDistribution({ type: 'range', min: 10, max: 20 }, half)).toBe(15);
+    expect(sampleDistribution({ type: 'triangular', min: 0, mode: 5, max: 10 }, half)).toBe(5);
+    expect(sampleDistribution({ type: 'triangular', min: 0, mode: 10, max: 10 }, () => 0)).toBe(0);
+  });
+
+  it('rejects unknown distributions', () => {
+    expect(() => sampleDistribution({ type: 'beta' }, Math.random)).toThrow("Unknown distribution type 'beta'");
+  });
+});
+
+describe('percentile and summarize', () => {
+  it('interpolates between sorted samples', () => {
+    expect(percentile([10, 20, 30, 40, 50], 50)).toBe(30);
+    expect(percentile([10, 20], 90)).toBe(19);
+    expect(percentile([], 50)).toBe(0);
+  });
+
+  it('summarizes unsorted samples', () => {
+    const summary = summarize([30, 10, 20]);
+    expect(summary).toMatchObject({ min: 10, p50: 20, max: 30, mean: 20 });
+    expect(summary.p10).toBe(12);
+    expect(summary.p90).toBe(28);
+  });
+});
+
+describe('MonteCarloSimulator', () => {
+  const createEngine = () => {
+    const engine = new CostCalculationEngine({
+      formulas: { transport: '$data_volume_gb * $ingestion_cost_per_gb' },
+      systems: {
+        a: { components: { ingestion_cost_per_gb: 0.01 } },
+        b: { components: { ingestion_cost_per_gb: 0.02 } }
+      }
+    });
+    engine.defineVariable('data_volume_gb', { type: 'number', range: { min: 0, max: 1000 } });
+    engine.setVariable('data_volume_gb', 500);
+    return engine;
+  };
+
+  it('prices every system with the same samples', () => {
+    const simulation = new MonteCarloSimulator(createEngine()).run({
+      iterations: 50,
+      seed: 7,
+      systemIds: ['a', 'b'],
+      distributions: { data_volume_gb: { type: 'range', min: 100, max: 900 } }
+    });
+
+    const { a, b } = simulation.systems;
+    expect(a.samples).toHaveLength(50);
+    expect(b.samples.map((total, i) => total / a.samples[i])).toSatisfy(ratios => ratios.every(ratio => Math.abs(ratio - 2) < 0.01));
+    expect(a.total.min).toBeGreaterThanOrEqual(1);
+    expect(a.total.max).toBeLessThanOrEqual(9);
+    expect(a.services.transport.p50).toBe(a.total.p50);
+  });
+
+  it('keeps samples past the slider range', () => {
+    const simulation = new MonteCarloSimulator(createEngine()).run({
+      iterations: 20,
+      seed: 1,
+      systemIds: ['a'],
+      distributions: { data_volume_gb: { type: 'range', min: 2000, max: 3000 } }
+    });
+    // 2,000-3,000 GB at 0.01, well above the slider's 1,000 GB
+    expect(simulation.systems.a.total.min).toBeGreaterThanOrEqual(20);
+  });
+
+  it('prices a normal distribution\'s negative tail at 0', () => {
+    const simulation = new MonteCarloSimulator(createEngine()).run({
+      iterations: 200,
+      seed: 3,
+      systemIds: ['a'],
+      distributions: { data_volume_gb: { type: 'normal', mean: 0, stddev: 100 } }
+    });
+    expect(simulation.systems.a.total.min).toBe(0);
+  });
+
+  it('rejects unknown variables and distributions that start below 0', () => {
+    const simulator = new MonteCarloSimulator(createEngine());
+    expect(() => simulator.run({ systemIds: ['a'], distributions: { record_count: { type: 'range', min: 0, max: 1 } } }))
+      .toThrow('Cannot simulate unknown variable record_count');
+    expect(() => simulator.run({ systemIds: ['a'], distributions: { data_volume_gb: { type: 'range', min: -10, max: 10 } } }))
+      .toThrow("Distribution for data_volume_gb starts below 0 (min -10); inputs can't be negative");
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * System Inheritance
+ * Resolves systems declared relative to another in base-costs.yaml:
+ *
+ *   system_c:
+ *     extends: system_a
+ *     markup_percent:
+ *       all: -30          # every inherited component
+ *       storage: -20      # components used by the storage formula (instead of `all`)
+ *     components:
+ *       bandwidth_base_cost: 35   # set here: used as is
+ *
+ * Inherited components are the parent's effective prices with the markup
+ * applied (each entry of a price history is marked up). `currency` and
+ * `services` are inherited unless the system sets its own.
+ */
+
+import { Decimal } from './decimal.js';
+
+/**
+ * Error raised when systems extend each other in a loop
+ */
+export class InheritanceCycleError extends Error {
+  constructor(cycle) {
+    super(`Systems extend each other in a cycle: ${cycle.join(' → ')}`);
+    this.name = 'InheritanceCycleError';
+    this.cycle = cycle;
+  }
+}
+
+/**
+ * Every $name used anywhere in a formula
+ */
+export function formulaReferences(formula) {
+  const names = new Set();
+  const traverse = (value) => {
+    if (typeof value === 'string') {
+      for (const match of value.matchAll(/\$([a-zA-Z_][a-zA-Z0-9_]*)/g)) {
+        names.add(match[1]);
+      }
+    } else if (typeof value === 'object' && value !== null) {
+      Object.values(value).forEach(traverse);
+    }
+  };
+  traverse(formula);
+  return [...names];
+}
+
+/**
+ * Multiply a price (or each price in a history) by a factor
+ */
+function markUp(value, factor) {
+  if (Array.isArray(value)) {
+    return value.map(entry => ({ ...entry, value: markUp(entry.value, factor) }));
+  }
+  return Decimal.from(value).times(factor).toNumber();
+}
+
+/**
+ * The markup (percent) for one component: its service's, else `all`
+ */
+function getMarkup(systemId, markups, services) {
+  const percents = [...new Set(services.filter(service => service in markups).map(service => markups[service]))];
+  if (percents.length > 1) {
+    throw new Error(`${systemId}: ${services.join(', ')} share a component but have different markups`);
+  }
+  if (percents.length === 1) {
+    return { scope: services.find(service => service in markups), percent: percents[0] };
+  }
+  return 'all' in markups ? { scope: 'all', percent: markups.all } : null;
+}
+
+/**
+ * Resolve `extends` for every system. Returns { systems, sources }: systems
+ * with their effective components, and for each component where its value
+ * came from: { systemId (where it is set), markups: [{ systemId, scope, percent }] }
+ * in the order they were applied.
+ */
+export function resolveSystems(systems = {}, formulas = {}) {
+  const usedBy = {};
+  for (const [service, formula] of Object.entries(formulas)) {
+    for (const name of formulaReferences(formula)) {
+      (usedBy[name] = usedBy[name] || []).push(service);
+    }
+  }
+
+  const resolved = {};
+  const sources = {};
+  const path = [];
+
+  const resolve = (systemId) => {
+    if (resolved[systemId]) return resolved[systemId];
+    const start = path.indexOf(systemId);
+    if (start !== -1) {
+      throw new InheritanceCycleError([...path.slice(start), systemId]);
+    }
+
+    const { extends: parentId, markup_percent: markups = {}, ...system } = systems[systemId];
+    const components = {};
+    sources[systemId] = {};
+
+    if (parentId !== undefined) {
+      if (!systems[parentId]) {
+        throw new Error(`${systemId} extends unknown system ${parentId}`);
+      }
+      for (const [scope, percent] of Object.entries(markups)) {
+        if (scope !== 'all' && !formulas[scope]) {
+          throw new Error(`${systemId}: markup_percent.${scope} is not a service (expected all or a service name)`);
+        }
+        if (typeof percent !== 'number' || percent <= -100) {
+          throw new Error(`${systemId}: markup_percent.${scope} must be a number above -100`);
+        }
+      }
+
+      path.push(systemId);
+      const parent = resolve(parentId);
+      path.pop();
+
+      if (system.currency && parent.currency && system.currency !== parent.currency) {
+        throw new Error(`${systemId} is priced in ${system.currency} but extends ${parentId}, priced in ${parent.currency}`);
+      }
+      system.currency = system.currency || parent.currency;
+      system.services = system.services || parent.services;
+
+      for (const [name, value] of Object.entries(parent.components)) {
+        const markup = getMarkup(systemId, markups, usedBy[name] || []);
+        const inherited = sources[parentId][name];
+        components[name] = markup ? markUp(value, Decimal.from(markup.percent).dividedBy(100).plus(1)) : value;
+        sources[systemId][name] = {
+          systemId: inherited.systemId,
+          markups: markup ? [...inherited.markups, { systemId, ...markup }] : inherited.markups
+        };
+      }
+    } else if (Object.keys(markups).length > 0) {
+      throw new Error(`${systemId} sets markup_percent but does not extend another system`);
+    }
+
+    for (const [name, value] of Object.entries(system.components || {})) {
+      components[name] = value;
+      sources[systemId][name] = { systemId, markups: [] };
+    }
+
+    if (system.currency === undefined) delete system.currency;
+    if (system.services === undefined) delete system.services;
+    resolved[systemId] = { ...system, components };
+    return resolved[systemId];
+  };
+
+  for (const systemId of Object.keys(systems)) {
+    resolve(systemId);
+  }
+  return {
+    systems: Object.fromEntries(Object.keys(systems).map(systemId => [systemId, resolved[systemId]])),
+    sources
+  };
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { InheritanceCycleError, formulaReferences, resolveSystems } from './system-inheritance.js';
+
+const formulas = {
+  transport: '$data_volume_gb * $ingestion_cost_per_gb + $bandwidth_base_cost',
+  storage: { type: 'tiered', volumeVar: 'storage_volume_gb', tiers: [{ limit: 1000, rate: '$hot_storage_per_gb_month' }] }
+};
+
+const parent = {
+  name: 'Parent',
+  currency: 'USD',
+  components: { ingestion_cost_per_gb: 0.01, bandwidth_base_cost: 50, hot_storage_per_gb_month: 0.025 }
+};
+
+describe('formulaReferences', () => {
+  it('finds $names anywhere in a formula', () => {
+    expect(formulaReferences(formulas.storage)).toEqual(['hot_storage_per_gb_month']);
+    expect(formulaReferences(formulas.transport)).toEqual(['data_volume_gb', 'ingestion_cost_per_gb', 'bandwidth_base_cost']);
+  });
+});
+
+describe('resolveSystems', () => {
+  it('marks up inherited components, per service before `all`', () => {
+    const { systems, sources } = resolveSystems({
+      parent,
+      child: { extends: 'parent', markup_percent: { all: -30, storage: -20 } }
+    }, formulas);
+
+    expect(systems.child.components).toEqual({
+      ingestion_cost_per_gb: 0.007,
+      bandwidth_base_cost: 35,
+      hot_storage_per_gb_month: 0.02
+    });
+    expect(systems.child.currency).toBe('USD');
+    expect(sources.child.hot_storage_per_gb_month).toEqual({
+      systemId: 'parent',
+      markups: [{ systemId: 'child', scope: 'storage', percent: -20 }]
+    });
+  });
+
+  it('uses a component the child sets as is', () => {
+    const { systems, sources } = resolveSystems({
+      parent,
+      child: { extends: 'parent', markup_percent: { all: 10 }, components: { bandwidth_base_cost: 40 } }
+    }, formulas);
+
+    expect(systems.child.components.bandwidth_base_cost).toBe(40);
+    expect(sources.child.bandwidth_base_cost).toEqual({ systemId: 'child', markups: [] });
+  });
+
+  it('marks up each entry of a price history, unless the child sets its own price', () => {
+    const { systems } = resolveSystems({
+      parent: {
+        components: {
+          ingestion_cost_per_gb: [
+            { value: 0.02, effective_to: '2026-03-31' },
+            { value: 0.01, effective_from: '2026-04-01' }
+          ]
+        }
+      },
+      child: { extends: 'parent', markup_percent: { all: 50 } },
+      pinned: { extends: 'parent', markup_percent: { all: 50 }, components: { ingestion_cost_per_gb: 0.03 } }
+    }, formulas);
+
+    // The child follows the parent's change on 2026-04-01, including for quotes dated before it was added
+    expect(systems.child.components.ingestion_cost_per_gb).toEqual([
+      { value: 0.03, effective_to: '2026-03-31' },
+      { value: 0.015, effective_from: '2026-04-01' }
+    ]);
+    expect(systems.pinned.components.ingestion_cost_per_gb).toBe(0.03);
+  });
+
+  it('applies markups down a chain and records each one', () => {
+    const { systems, sources } = resolveSystems({
+      grandchild: { extends: 'child', markup_percent: { all: 10 } },
+      child: { extends: 'parent', markup_percent: { all: 100 } },
+      parent
+    }, formulas);
+
+    expect(systems.grandchild.components.bandwidth_base_cost).toBe(110);
+    expect(sources.grandchild.bandwidth_base_cost.markups.map(markup => markup.systemId)).toEqual(['child', 'grandchild']);
+    expect(Object.keys(systems)).toEqual(['grandchild', 'child', 'parent']);
+  });
+
+  it('rejects cycles, unknown parents and mismatched currencies', () => {
+    expect(() => resolveSystems({
+      a: { extends: 'b', components: {} },
+      b: { extends: 'a', components: {} }
+    }, formulas)).toThrow(InheritanceCycleError);
+    expect(() => resolveSystems({ child: { extends: 'missing' } }, formulas)).toThrow('child extends unknown system missing');
+    expect(() => resolveSystems({ parent, child: { extends: 'parent', currency: 'EUR' } }, formulas))
+      .toThrow('child is priced in EUR but extends parent, priced in USD');
+  });
+
+  it('rejects markups that are not a service or would go to zero', () => {
+    expect(() => resolveSystems({ parent, child: { extends: 'parent', markup_percent: { search: 5 } } }, formulas))
+      .toThrow(/markup_percent.search is not a service/);
+    expect(() => resolveSystems({ parent, child: { extends: 'parent', markup_percent: { all: -100 } } }, formulas))
+      .toThrow(/must be a number above -100/);
+    expect(() => resolveSystems({ parent: { ...parent, markup_percent: { all: 5 } } }, formulas))
+      .toThrow('parent sets markup_percent but does not extend another system');
+  });
+});
@@ -3,12 +3,18 @@
  * Manages the user interface components and interactions
  */
 
+import { SERVICE_VARIABLES, defineServiceVariables } from './service-variables.js';
+import { coerceValue } from './variables.js';
+
 export class UIController {
   constructor(costEngine, configManager) {
     this.costEngine = costEngine;
     this.configManager = configManager;
     this.chart = null;
     this.comparisonChart = null;
+    this.projectionChart = null;
+    this.simulationChart = null;
+    this.sensitivityChart = null;
     this.currentService = 'transport';
     this.selectedSystems = [];
   }
@@ -17,12 +23,29 @@ export class UIController {
    * Initialize UI components
    */
   async init() {
+    this.registerVariableDefinitions();
     this.setupSystemSelection();
+    this.setupCurrencySelector();
     this.setupChart();
     this.setupComparisonChart();
+    this.setupProjectionChart();
+    this.setupProjectionControls();
+    this.setupSimulationChart();
+    this.setupSimulationControls();
+    this.setupSensitivityChart();
+    this.setupGoalSeekControls();
+    this.setupOptimizerControls();
+    this.setupEffectiveComponents();
     this.updateConfigTimestamp();
   }
 
+  /**
+   * Declare the type of every service input to the cost engine
+   */
+  registerVariableDefinitions() {
+    defineServiceVariables(this.costEngine);
+  }
+
   /**
    * Setup system selection checkboxes
    */
@@ -99,220 +122,68 @@ export class UIController {
 
     for (const [varName, config] of Object.entries(variables)) {
       const defaultValue = defaults[varName] || config.default || 0;
-      const controlGroup = this.createVariableControl(varName, config, defaultValue);
+      const controlGroup = varName in this.costEngine.derivedVariables
+        ? this.createDerivedControl(varName, config)
+        : this.createVariableControl(varName, config, defaultValue);
       controlsContainer.appendChild(controlGroup);
     }
+    this.updateDerivedValues();
+
+    const profileControl = this.createComplexityControl(serviceType);
+    if (profileControl) {
+      controlsContainer.appendChild(profileControl);
+    }
+  }
+
+  /**
+   * Create the complexity profile selector for a service from multipliers.yaml
+   */
+  createComplexityControl(serviceType) {
+    const profiles = this.configManager.getComplexityProfiles(serviceType);
+    if (Object.keys(profiles).length === 0) return null;
+
+    const group = document.createElement('div');
+    group.className = 'variable-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = `complexity-${serviceType}`;
+    label.textContent = 'Complexity Profile';
+    label.title = 'Service complexity level (complexity_multipliers in multipliers.yaml)';
+
+    const select = document.createElement('select');
+    select.id = `complexity-${serviceType}`;
+    select.className = 'complexity-select';
+    select.dataset.service = serviceType;
+
+    const selected = this.costEngine.getComplexityProfile(serviceType);
+    for (const [profile, factor] of Object.entries(profiles)) {
+      const option = document.createElement('option');
+      option.value = profile;
+      option.textContent = `${this.formatProfileName(profile)} (×${factor})`;
+      option.selected = profile === selected;
+      select.appendChild(option);
+    }
+
+    group.appendChild(label);
+    group.appendChild(select);
+    return group;
+  }
+
+  /**
+   * Turn a profile key like geo_replicated into "Geo Replicated"
+   */
+  formatProfileName(profile) {
+    return profile
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
   }
 
   /**
    * Get variable definitions for a service
    */
   getServiceVariables(serviceType) {
-    const serviceVariables = {
-      transport: {
-        data_volume_gb: { 
-          type: 'range', 
-          min: 1, 
-          max: 20000, 
-          step: 1, 
-          default: 100,
-          label: 'Data Volume (GB/day)',
-          description: 'Amount of data to transport per day'
-        },
-        egress_volume_gb: { 
-          type: 'range', 
-          min: 0, 
-          max: 20000, 
-          step: 1, 
-          default: 50,
-          label: 'Egress Volume (GB/day)',
-          description: 'Data transferred out per day'
-        },
-        priority_level: { 
-          type: 'select', 
-          options: [
-            { value: 1, label: 'Standard' },
-            { value: 2, label: 'Priority' },
-            { value: 3, label: 'Urgent' }
-          ],
-          default: 1,
-          label: 'Priority Level',
-          description: 'Service priority level'
-        },
-        encryption_level: { 
-          type: 'select', 
-          options: [
-            { value: 1, label: 'Basic' },
-            { value: 2, label: 'Advanced' },
-            { value: 3, label: 'Enterprise' }
-          ],
-          default: 1,
-          label: 'Encryption Level',
-          description: 'Data encryption requirements'
-        }
-      },
-      storage: {
-        storage_volume_gb: { 
-          type: 'range', 
-          min: 10, 
-          max: 20000, 
-          step: 10, 
-          default: 1000,
-          label: 'Storage Volume (GB)',
-          description: 'Total storage capacity needed (daily average)'
-        }
-      },
-      extraction: {
-        processing_hours: { 
-          type: 'range', 
-          min: 1, 
-          max: 200, 
-          step: 1, 
-          default: 10,
-          label: 'Processing Hours (per day)',
-          description: 'Hours of processing time per day'
-        },
-        extraction_complexity: { 
-          type: 'select', 
-          options: [
-            { value: 1, label: 'Basic' },
-            { value: 2, label: 'Advanced' },
-            { value: 3, label: 'ML-based' }
-          ],
-          default: 1,
-          label: 'Extraction Complexity',
-          description: 'Complexity of data extraction'
-        }
-      },
-      enrichment: {
-        record_count: { 
-          type: 'range', 
-          min: 1000, 
-          max: 10000000, 
-          step: 1000, 
-          default: 10000,
-          label: 'Record Count (per day)',
-          description: 'Number of records to process per day'
-        },
-        data_quality_score: { 
-          type: 'range', 
-          min: 1, 
-          max: 5, 
-          step: 1, 
-          default: 3,
-          label: 'Data Quality Score',
-          description: 'Current data quality (1=poor, 5=excellent)'
-        },
-        schema_complexity: { 
-          type: 'select', 
-          options: [
-            { value: 1, label: 'Simple' },
-            { value: 2, label: 'Moderate' },
-            { value: 3, label: 'Complex' }
-          ],
-          default: 2,
-          label: 'Schema Complexity',
-          description: 'Data schema complexity level'
-        }
-      },
-      modeling: {
-        model_type: { 
-          type: 'select', 
-          options: [
-            { value: 'simple', label: 'Simple Model' },
-            { value: 'complex', label: 'Complex Model' },
-            { value: 'deep_learning', label: 'Deep Learning' }
-          ],
-          default: 'simple',
-          label: 'Model Type',
-          description: 'Type of machine learning model'
-        },
-        training_hours: { 
-          type: 'range', 
-          min: 1, 
-          max: 100, 
-          step: 1, 
-          default: 5,
-          label: 'Training Hours (per day)',
-          description: 'Model training time per day'
-        },
-        inference_requests: { 
-          type: 'range', 
-          min: 100, 
-          max: 1000000, 
-          step: 100, 
-          default: 1000,
-          label: 'Inference Requests (per day)',
-          description: 'Daily prediction requests'
-        }
-      },
-      search: {
-        search_queries: { 
-          type: 'range', 
-          min: 1000, 
-          max: 10000000, 
-          step: 1000, 
-          default: 10000,
-          label: 'Search Queries (per day)',
-          description: 'Daily search queries'
-        },
-        search_index_gb: { 
-          type: 'range', 
-          min: 10, 
-          max: 20000, 
-          step: 10, 
-          default: 100,
-          label: 'Search Index Size (GB)',
-          description: 'Size of search index'
-        },
-        search_complexity: { 
-          type: 'select', 
-          options: [
-            { value: 1, label: 'Basic Search' },
-            { value: 2, label: 'Semantic Search' },
-            { value: 3, label: 'Vector Search' }
-          ],
-          default: 1,
-          label: 'Search Complexity',
-          description: 'Type of search functionality'
-        },
-        real_time_requirements: { 
-          type: 'select', 
-          options: [
-            { value: 1, label: 'Batch' },
-            { value: 2, label: 'Near Real-time' },
-            { value: 3, label: 'Real-time' }
-          ],
-          default: 1,
-          label: 'Real-time Requirements',
-          description: 'Response time requirements'
-        }
-      },
-      exploration: {
-        analytics_type: { 
-          type: 'select', 
-          options: [
-            { value: 'basic', label: 'Basic Analytics' },
-            { value: 'advanced', label: 'Advanced Analytics' },
-            { value: 'real_time', label: 'Real-time Analytics' }
-          ],
-          default: 'basic',
-          label: 'Analytics Type',
-          description: 'Type of analytics required'
-        },
-        analysis_hours: { 
-          type: 'range', 
-          min: 5, 
-          max: 200, 
-          step: 5, 
-          default: 20,
-          label: 'Analysis Hours (per day)',
-          description: 'Daily analysis hours'
-        }
-      }
-    };
-
-    return serviceVariables[serviceType] || {};
+    return SERVICE_VARIABLES[serviceType] || {};
   }
 
   /**
@@ -375,6 +246,16 @@ export class UIController {
         input.appendChild(optionElement);
       });
 
+      group.appendChild(label);
+      group.appendChild(input);
+    } else if (config.type === 'checkbox') {
+      input = document.createElement('input');
+      input.type = 'checkbox';
+      input.id = `var-${varName}`;
+      input.className = 'variable-input';
+      input.dataset.variable = varName;
+      input.checked = Boolean(defaultValue);
+
       group.appendChild(label);
       group.appendChild(input);
     } else {
@@ -395,14 +276,88 @@ export class UIController {
     return group;
   }
 
+  /**
+   * Notes and limitations a system declares for a service (base-costs.yaml `services`)
+   */
+  createSupportNote(support) {
+    const note = document.createElement('div');
+    note.className = 'support-note';
+    if (support.notes) {
+      const notes = document.createElement('div');
+      notes.textContent = `ℹ️ ${support.notes}`;
+      note.appendChild(notes);
+    }
+    support.limitations.forEach(limitation => {
+      const item = document.createElement('div');
+      item.className = 'support-limitation';
+      item.textContent = `⚠️ ${limitation}`;
+      note.appendChild(item);
+    });
+    return note;
+  }
+
+  /**
+   * Read-only display for an input computed by derived_variables in formulas.yaml
+   */
+  createDerivedControl(varName, config) {
+    const derived = this.costEngine.derivedVariables[varName];
+    const group = document.createElement('div');
+    group.className = 'variable-group derived-group';
+
+    const label = document.createElement('label');
+    label.textContent = derived.label || config.label || varName;
+    label.title = derived.description || config.description || '';
+
+    const value = document.createElement('div');
+    value.className = 'derived-value';
+    value.dataset.derived = varName;
+
+    const source = document.createElement('div');
+    source.className = 'derived-source';
+    source.textContent = `= ${derived.expression}`;
+
+    group.appendChild(label);
+    group.appendChild(value);
+    group.appendChild(source);
+    return group;
+  }
+
+  /**
+   * Refresh the values shown in read-only derived inputs
+   */
+  updateDerivedValues() {
+    const elements = document.querySelectorAll('.derived-value');
+    if (elements.length === 0) return;
+
+    let values;
+    try {
+      values = this.costEngine.resolveDerivedVariables();
+    } catch (error) {
+      elements.forEach(element => {
+        element.textContent = '—';
+        element.title = error.message;
+      });
+      return;
+    }
+
+    elements.forEach(element => {
+      const name = element.dataset.derived;
+      element.textContent = this.formatValue(name, Number(values[name].toFixed(4)));
+      element.title = '';
+    });
+  }
+
   /**
    * Update results display
    */
   updateResults(results) {
+    this.updateDerivedValues();
+
     // Update total cost with system count indicator if multi-system
+    const periodLabel = this.getPeriodLabel(results.period);
     const totalLabel = results.isMultiSystem 
-      ? `Combined Daily Total (${results.systemCount} systems):`
-      : 'Total Daily Cost:';
+      ? `Combined ${periodLabel} Total (${results.systemCount} systems):`
+      : `Total ${periodLabel} Cost:`;
     
     // Update the label if needed
     const costLabelElement = document.querySelector('.cost-label');
@@ -411,7 +366,7 @@ export class UIController {
     }
     
     document.getElementById('total-cost-value').textContent = 
-      '$' + results.total.toFixed(2);
+      this.costEngine.formatMoney(results.total);
 
     // Update service costs
     const serviceCostsContainer = document.getElementById('service-costs');
@@ -438,32 +393,196 @@ export class UIController {
         <div class="service-info">
           <span class="service-name">${item.service}</span>
           <span class="service-percentage">${item.percentage.toFixed(1)}%</span>
+          ${item.complexityProfile ? `<span class="service-profile">${this.formatProfileName(item.complexityProfile)} ×${item.complexityFactor}</span>` : ''}
         </div>
-        <span class="service-cost">$${item.cost.toFixed(2)}</span>
+        <span class="service-cost">${this.costEngine.formatMoney(item.cost)}</span>
       `;
 
       serviceCostsContainer.appendChild(serviceItem);
+
+      const support = results.support?.[item.service];
+      if (support && (support.notes || support.limitations.length > 0)) {
+        serviceCostsContainer.appendChild(this.createSupportNote(support));
+      }
+
+      if (item.trace) {
+        serviceCostsContainer.appendChild(this.createTraceDrilldown(item.trace));
+      }
     });
     
-    // Show unsupported services if any
-    if (results.unsupportedServices && results.unsupportedServices.length > 0) {
+    // Show global adjustments (volume, contract, support, SLA) as their own lines
+    if (results.adjustments && results.adjustments.length > 0) {
+      const subtotalItem = document.createElement('div');
+      subtotalItem.className = 'service-cost-item subtotal-item';
+      subtotalItem.innerHTML = `
+        <div class="service-info">
+          <span class="service-name">Subtotal</span>
+        </div>
+        <span class="service-cost">${this.costEngine.formatMoney(results.subtotal)}</span>
+      `;
+      serviceCostsContainer.appendChild(subtotalItem);
+
+      results.adjustments.forEach(adjustment => {
+        const adjustmentItem = document.createElement('div');
+        adjustmentItem.className = 'service-cost-item adjustment-item';
+        const sign = adjustment.amount < 0 ? '-' : '+';
+        adjustmentItem.innerHTML = `
+          <div class="service-info">
+            <span class="service-name">${adjustment.label}</span>
+            <span class="service-percentage">×${adjustment.factor} (${adjustment.scope.replace('_', ' ')})</span>
+          </div>
+          <span class="service-cost">${sign}${this.costEngine.formatMoney(Math.abs(adjustment.amount))}</span>
+        `;
+        serviceCostsContainer.appendChild(adjustmentItem);
+      });
+    }
+    
+    // Show unsupported services with the reason each system gives
+    (results.unsupportedServices || []).forEach(service => {
+      const reason = results.support?.[service]?.reason;
       const unsupportedItem = document.createElement('div');
       unsupportedItem.className = 'service-cost-item unsupported-services';
       unsupportedItem.innerHTML = `
         <div class="service-info">
-          <span class="service-name" style="color: #64748b; font-style: italic;">
-            Not supported: ${results.unsupportedServices.join(', ')}
-          </span>
+          <span class="service-name" style="color: #64748b; font-style: italic;">${service}</span>
+          <span class="support-reason">Not supported${reason ? ` - ${reason}` : ''}</span>
         </div>
         <span class="service-cost" style="color: #64748b;">N/A</span>
       `;
       serviceCostsContainer.appendChild(unsupportedItem);
-    }
+    });
 
     // Update chart
     this.updateChart(results.breakdown);
   }
 
+  /**
+   * Get the display adjective for a reporting period
+   */
+  getPeriodLabel(period = 'day') {
+    const labels = { day: 'Daily', month: 'Monthly', year: 'Annual' };
+    return labels[period] || 'Daily';
+  }
+
+  /**
+   * Highlight the active reporting period button
+   */
+  updatePeriodToggle(period) {
+    document.querySelectorAll('.period-button').forEach(button => {
+      button.classList.toggle('active', button.dataset.period === period);
+    });
+  }
+
+  /**
+   * Fill the display currency selector from the currency table
+   */
+  setupCurrencySelector() {
+    const table = this.costEngine.currencyTable;
+    const select = document.getElementById('display-currency');
+    select.innerHTML = '';
+    for (const code of table.getCodes()) {
+      const currency = table.getCurrency(code);
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = `${code} (${currency.symbol || code})`;
+      option.title = currency.name || code;
+      select.appendChild(option);
+    }
+    document.getElementById('currency-as-of').textContent = table.asOf ? `rates as of ${table.asOf}` : '';
+  }
+
+  /**
+   * Show the pricing date (empty when prices are taken as of today)
+   */
+  updatePricingDate(date) {
+    document.getElementById('pricing-date').value = date || '';
+  }
+
+  /**
+   * Select the display currency and update currency symbols in input labels
+   */
+  updateCurrencySelector(currency) {
+    document.getElementById('display-currency').value = currency;
+    const symbol = this.costEngine.currencyTable.getCurrency(currency).symbol || currency;
+    document.querySelectorAll('.currency-symbol').forEach(element => {
+      element.textContent = symbol;
+    });
+  }
+
+  /**
+   * Create the expandable "show your work" drilldown for a service
+   */
+  createTraceDrilldown(trace) {
+    const drilldown = document.createElement('details');
+    drilldown.className = 'cost-trace';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Show calculation';
+    drilldown.appendChild(summary);
+
+    trace.children.forEach(child => {
+      drilldown.appendChild(this.createTraceNode(child));
+    });
+
+    return drilldown;
+  }
+
+  /**
+   * Render a single trace node and its children
+   */
+  createTraceNode(node) {
+    const hasChildren = node.children && node.children.length > 0;
+    const element = document.createElement(hasChildren ? 'details' : 'div');
+    element.className = `trace-node trace-${node.type}`;
+    if (hasChildren) {
+      element.open = true;
+    }
+
+    const header = document.createElement(hasChildren ? 'summary' : 'div');
+    header.className = 'trace-header';
+
+    const label = document.createElement('span');
+    label.className = 'trace-label';
+    label.textContent = node.label;
+
+    const value = document.createElement('span');
+    value.className = 'trace-value';
+    value.textContent = this.formatTraceValue(node);
+
+    header.appendChild(label);
+    header.appendChild(value);
+    element.appendChild(header);
+
+    // Show resolved variable values for expressions
+    if (node.values && Object.keys(node.values).length > 0) {
+      const values = document.createElement('div');
+      values.className = 'trace-values';
+      values.textContent = Object.entries(node.values)
+        .map(([name, val]) => `$${name} = ${val}`)
+        .join(', ');
+      element.appendChild(values);
+    }
+
+    (node.children || []).forEach(child => {
+      element.appendChild(this.createTraceNode(child));
+    });
+
+    return element;
+  }
+
+  /**
+   * Format the value of a trace node for display
+   */
+  formatTraceValue(node) {
+    if (node.type === 'factor') {
+      return `×${Number(node.value.toFixed(4))}`;
+    }
+    if (node.type === 'override' || node.type === 'derived') {
+      return typeof node.value === 'number' ? String(Number(node.value.toFixed(4))) : String(node.value);
+    }
+    return this.costEngine.formatMoney(node.value);
+  }
+
   /**
    * Setup chart
    */
@@ -497,11 +616,11 @@ export class UIController {
           },
           tooltip: {
             callbacks: {
-              label: function(context) {
+              label: (context) => {
                 const label = context.label || '';
                 const value = context.parsed || 0;
                 const percentage = ((value / context.dataset.data.reduce((a, b) => a + b, 0)) * 100).toFixed(1);
-                return `${label}: $${value.toFixed(2)} (${percentage}%)`;
+                return `${label}: ${this.costEngine.formatMoney(value)} (${percentage}%)`;
               }
             }
           }
@@ -535,10 +654,13 @@ export class UIController {
           },
           tooltip: {
             callbacks: {
-              label: function(context) {
+              label: (context) => {
                 const label = context.dataset.label || '';
                 const value = context.parsed.y || 0;
-                return `${label}: $${value.toFixed(2)}`;
+                return `${label}: ${this.costEngine.formatMoney(value)}`;
+              },
+              afterLabel: (context) => {
+                return context.dataset.overrideNotes?.[context.dataIndex] || '';
               }
             }
           }
@@ -547,8 +669,8 @@ export class UIController {
           y: {
             beginAtZero: true,
             ticks: {
-              callback: function(value) {
-                return '$' + value.toFixed(0);
+              callback: (value) => {
+                return this.costEngine.formatMoney(value, { decimals: 0 });
               }
             }
           }
@@ -588,6 +710,7 @@ export class UIController {
 
     // Create datasets for each system
     const colors = ['#2563eb', '#059669', '#d97706', '#dc2626', '#7c3aed', '#0891b2'];
+    const overrideLines = [];
     const datasets = systemResults.map((result, index) => {
       const systemInfo = this.configManager.getSystemInfo(result.systemId);
       const data = Array.from(allServices).map(service => {
@@ -596,21 +719,852 @@ export class UIController {
         return item ? item.cost : 0;
       });
 
+      // Outline bars whose inputs were overridden for this system
+      const overrideNotes = Array.from(allServices).map(service =>
+        Object.entries(result.overrides?.[service] || {})
+          .map(([name, override]) => `✎ ${this.describeOverride(name, override)}`)
+          .join('\n')
+      );
+      Array.from(allServices).forEach((service, serviceIndex) => {
+        if (overrideNotes[serviceIndex]) {
+          overrideLines.push(`${systemInfo.name} / ${service}: ${overrideNotes[serviceIndex].replace(/\n/g, ', ')}`);
+        }
+      });
+
       return {
-        label: systemInfo.name,
+        label: Object.keys(result.overrides || {}).length > 0 ? `${systemInfo.name} ✎` : systemInfo.name,
         data: data,
         backgroundColor: colors[index % colors.length],
-        borderWidth: 1
+        borderColor: overrideNotes.map(note => note ? '#111827' : colors[index % colors.length]),
+        borderWidth: overrideNotes.map(note => note ? 3 : 1),
+        overrideNotes
       };
     });
 
     this.comparisonChart.data.labels = serviceLabels;
     this.comparisonChart.data.datasets = datasets;
     this.comparisonChart.update();
+
+    document.getElementById('comparison-overrides-note').textContent = overrideLines.length > 0
+      ? `Overridden inputs: ${overrideLines.join('; ')}`
+      : '';
     
     console.log(`Comparison chart updated with ${serviceLabels.length} services across ${systemResults.length} systems`);
   }
 
+  /**
+   * Build a growth curve row for every numeric service input
+   */
+  setupProjectionControls() {
+    const container = document.getElementById('growth-controls');
+    container.innerHTML = '';
+
+    for (const [varName, config] of this.getNumericInputs()) {
+      const row = document.createElement('div');
+      row.className = 'growth-row';
+      row.dataset.variable = varName;
+      row.innerHTML = `
+        <label>${config.label || varName}</label>
+        <select class="growth-type">
+          <option value="none">No growth</option>
+          <option value="linear">Linear (+units/month)</option>
+          <option value="compound">Compound (%/month)</option>
+          <option value="step">Step changes</option>
+        </select>
+        <input type="text" class="growth-rate" placeholder="e.g. 5 or 6:500">
+      `;
+      container.appendChild(row);
+    }
+  }
+
+  /**
+   * Get [name, control] pairs for every numeric service input
+   */
+  getNumericInputs() {
+    const inputs = [];
+    for (const serviceType of Object.keys(this.costEngine.formulas)) {
+      for (const [varName, config] of Object.entries(this.getServiceVariables(serviceType))) {
+        // Derived inputs follow their sources, so they can't be varied on their own
+        if (varName in this.costEngine.derivedVariables) continue;
+        if (config.type !== 'select' && config.type !== 'checkbox') {
+          inputs.push([varName, config]);
+        }
+      }
+    }
+    return inputs;
+  }
+
+  /**
+   * Read projection length and growth curves from the projection panel
+   */
+  getProjectionSettings() {
+    const months = parseInt(document.getElementById('projection-months').value, 10) || 12;
+    const growth = {};
+
+    document.querySelectorAll('.growth-row').forEach(row => {
+      const type = row.querySelector('.growth-type').value;
+      const rate = row.querySelector('.growth-rate').value.trim();
+      if (type === 'none' || rate === '') return;
+
+      if (type === 'step') {
+        growth[row.dataset.variable] = { type, steps: this.parseGrowthSteps(rate) };
+      } else {
+        const value = parseFloat(rate);
+        if (!isFinite(value)) {
+          throw new Error(`Growth rate for ${row.dataset.variable} must be a number, got "${rate}"`);
+        }
+        growth[row.dataset.variable] = { type, rate: value };
+      }
+    });
+
+    return { months, growth };
+  }
+
+  /**
+   * Parse step changes like "6:500, 12:+200" (set to 500 at month 6, add 200 at month 12)
+   */
+  parseGrowthSteps(text) {
+    return text.split(',').map(part => {
+      const match = /^\s*(\d+)\s*:\s*([+-]?)\s*(\d*\.?\d+)\s*$/.exec(part);
+      if (!match) {
+        throw new Error(`Invalid step "${part.trim()}" (expected month:value or month:+change)`);
+      }
+      const month = parseInt(match[1], 10);
+      const amount = parseFloat(match[3]);
+      if (match[2] === '+') return { month, change: amount };
+      if (match[2] === '-') return { month, change: -amount };
+      return { month, value: amount };
+    });
+  }
+
+  /**
+   * Setup projection (stacked area) chart
+   */
+  setupProjectionChart() {
+    const ctx = document.getElementById('projection-chart').getContext('2d');
+
+    this.projectionChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: []
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+          mode: 'index',
+          intersect: false
+        },
+        plugins: {
+          legend: {
+            position: 'top',
+            labels: {
+              padding: 15,
+              usePointStyle: true
+            }
+          },
+          tooltip: {
+            callbacks: {
+              label: (context) => {
+                const label = context.dataset.label || '';
+                const value = context.parsed.y || 0;
+                return `${label}: ${this.costEngine.formatMoney(value)}`;
+              }
+            }
+          }
+        },
+        scales: {
+          y: {
+            stacked: true,
+            beginAtZero: true,
+            ticks: {
+              callback: (value) => {
+                return this.costEngine.formatMoney(value, { decimals: 0 });
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Update projection chart with per-service spend over time
+   */
+  updateProjectionChart(projection) {
+    if (!this.projectionChart) return;
+
+    document.getElementById('projection-chart-container').style.display = 'block';
+    document.getElementById('projection-summary').textContent =
+      `${projection.months} months, ${this.costEngine.formatMoney(projection.cumulativeTotal)} cumulative`;
+
+    const colors = ['#2563eb', '#059669', '#d97706', '#dc2626', '#7c3aed', '#0891b2', '#ca8a04', '#be185d'];
+    const datasets = Object.entries(projection.services).map(([service, costs], index) => ({
+      label: service.charAt(0).toUpperCase() + service.slice(1),
+      data: costs,
+      borderColor: colors[index % colors.length],
+      backgroundColor: colors[index % colors.length] + '66',
+      fill: true,
+      pointRadius: 0,
+      tension: 0.2
+    }));
+
+    this.projectionChart.data.labels = projection.series.map(point => `Month ${point.month}`);
+    this.projectionChart.data.datasets = datasets;
+    this.projectionChart.update();
+
+    console.log(`Projection chart updated: ${projection.months} months, ${datasets.length} services`);
+  }
+
+  /**
+   * Build a distribution row for every numeric service input
+   */
+  setupSimulationControls() {
+    const container = document.getElementById('distribution-controls');
+    container.innerHTML = '';
+
+    for (const [varName, config] of this.getNumericInputs()) {
+      const row = document.createElement('div');
+      row.className = 'growth-row distribution-row';
+      row.dataset.variable = varName;
+      row.innerHTML = `
+        <label>${config.label || varName}</label>
+        <select class="distribution-type">
+          <option value="fixed">Fixed value</option>
+          <option value="range">Range (min, max)</option>
+          <option value="triangular">Triangular (min, likely, max)</option>
+          <option value="normal">Normal (mean, std dev)</option>
+        </select>
+        <input type="text" class="distribution-params" placeholder="e.g. 50, 100, 400">
+      `;
+      container.appendChild(row);
+    }
+  }
+
+  /**
+   * Read iteration count and input distributions from the simulation panel
+   */
+  getSimulationSettings() {
+    const iterations = parseInt(document.getElementById('simulation-iterations').value, 10) || 1000;
+    const distributions = {};
+    const parameterNames = {
+      range: ['min', 'max'],
+      triangular: ['min', 'mode', 'max'],
+      normal: ['mean', 'stddev']
+    };
+
+    document.querySelectorAll('.distribution-row').forEach(row => {
+      const type = row.querySelector('.distribution-type').value;
+      if (type === 'fixed') return;
+
+      const names = parameterNames[type];
+      const values = row.querySelector('.distribution-params').value.split(',').map(v => parseFloat(v));
+      if (values.length !== names.length || values.some(v => !isFinite(v))) {
+        throw new Error(`${row.dataset.variable}: ${type} distribution needs ${names.join(', ')}`);
+      }
+
+      const distribution = { type };
+      names.forEach((name, index) => { distribution[name] = values[index]; });
+      if ((type === 'range' || type === 'triangular') && distribution.min > distribution.max) {
+        throw new Error(`${row.dataset.variable}: min must not exceed max`);
+      }
+      if (type === 'triangular' && (distribution.mode < distribution.min || distribution.mode > distribution.max)) {
+        throw new Error(`${row.dataset.variable}: most likely value must lie between min and max`);
+      }
+      distributions[row.dataset.variable] = distribution;
+    });
+
+    return { iterations, distributions };
+  }
+
+  /**
+   * Setup simulation histogram chart
+   */
+  setupSimulationChart() {
+    const ctx = document.getElementById('simulation-chart').getContext('2d');
+
+    this.simulationChart = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: [],
+        datasets: []
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            position: 'top',
+            labels: {
+              padding: 15,
+              usePointStyle: true
+            }
+          },
+          tooltip: {
+            callbacks: {
+              label: (context) => {
+                return `${context.dataset.label}: ${context.parsed.y} simulations`;
+              }
+            }
+          }
+        },
+        scales: {
+          x: {
+            title: { display: true, text: 'Total cost' }
+          },
+          y: {
+            beginAtZero: true,
+            title: { display: true, text: 'Simulations' }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Show percentile ranges and a histogram of simulated totals per system
+   */
+  updateSimulationResults(simulation) {
+    if (!this.simulationChart) return;
+
+    document.getElementById('simulation-chart-container').style.display = 'block';
+    document.getElementById('simulation-summary').textContent =
+      `${simulation.iterations.toLocaleString()} simulations, ${this.getPeriodLabel(simulation.period).toLowerCase()} totals`;
+
+    // P10/P50/P90 per system
+    const percentiles = document.getElementById('simulation-percentiles');
+    percentiles.innerHTML = '';
+    for (const [systemId, result] of Object.entries(simulation.systems)) {
+      const name = this.configManager.getSystemInfo(systemId)?.name || systemId;
+      const row = document.createElement('div');
+      row.className = 'percentile-row';
+      row.innerHTML = `
+        <span>${name}</span>
+        <span>P10 ${this.costEngine.formatMoney(result.total.p10)} · P50 ${this.costEngine.formatMoney(result.total.p50)} · P90 ${this.costEngine.formatMoney(result.total.p90)}</span>
+      `;
+      row.title = Object.entries(result.services)
+        .map(([service, range]) => `${service}: ${this.costEngine.formatMoney(range.p10)} - ${this.costEngine.formatMoney(range.p90)}`)
+        .join('\n');
+      percentiles.appendChild(row);
+    }
+
+    // Histogram with shared bins so systems can be compared
+    const allSamples = Object.values(simulation.systems).flatMap(result => result.samples);
+    const min = Math.min(...allSamples);
+    const max = Math.max(...allSamples);
+    const binCount = 30;
+    const binWidth = (max - min) / binCount || 1;
+
+    const colors = ['#2563eb', '#059669', '#d97706', '#dc2626', '#7c3aed', '#0891b2'];
+    const datasets = Object.entries(simulation.systems).map(([systemId, result], index) => {
+      const counts = new Array(binCount).fill(0);
+      for (const sample of result.samples) {
+        counts[Math.min(Math.floor((sample - min) / binWidth), binCount - 1)]++;
+      }
+      return {
+        label: this.configManager.getSystemInfo(systemId)?.name || systemId,
+        data: counts,
+        backgroundColor: colors[index % colors.length] + 'aa',
+        borderWidth: 0
+      };
+    });
+
+    this.simulationChart.data.labels = Array.from({ length: binCount }, (_, i) => this.costEngine.formatMoney(min + binWidth * (i + 0.5), { decimals: 0 }));
+    this.simulationChart.data.datasets = datasets;
+    this.simulationChart.update();
+  }
+
+  /**
+   * Read perturbation settings from the sensitivity panel
+   */
+  getSensitivitySettings() {
+    return {
+      delta: parseFloat(document.getElementById('sensitivity-delta').value) || 10,
+      includeComponents: document.getElementById('sensitivity-components').checked,
+      variables: this.getNumericInputs().map(([varName]) => varName)
+    };
+  }
+
+  /**
+   * Setup sensitivity (tornado) chart
+   */
+  setupSensitivityChart() {
+    const ctx = document.getElementById('sensitivity-chart').getContext('2d');
+
+    this.sensitivityChart = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: [],
+        datasets: []
+      },
+      options: {
+        indexAxis: 'y',
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            position: 'top',
+            labels: {
+              padding: 15,
+              usePointStyle: true
+            }
+          },
+          tooltip: {
+            callbacks: {
+              label: (context) => {
+                const [low, high] = context.raw;
+                const sign = (value) => (value < 0 ? '' : '+') + this.costEngine.formatMoney(value);
+                return `${context.dataset.label}: ${sign(low)} / ${sign(high)}`;
+              }
+            }
+          }
+        },
+        scales: {
+          x: {
+            title: { display: true, text: 'Change in total cost' },
+            ticks: {
+              callback: (value) => {
+                return this.costEngine.formatMoney(value, { decimals: 0 });
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Update tornado chart with the inputs that move the total the most
+   */
+  updateSensitivityChart(analysis, maxInputs = 10) {
+    if (!this.sensitivityChart) return;
+
+    document.getElementById('sensitivity-chart-container').style.display = 'block';
+    document.getElementById('sensitivity-summary').textContent =
+      `±${analysis.delta}% per input, top ${maxInputs} by ${this.getPeriodLabel(analysis.period).toLowerCase()} cost swing`;
+
+    // Rank inputs by their largest swing in any selected system
+    const swings = new Map();
+    for (const result of Object.values(analysis.systems)) {
+      for (const input of result.inputs) {
+        const key = `${input.kind}:${input.name}`;
+        swings.set(key, Math.max(swings.get(key) || 0, input.swing));
+      }
+    }
+    const ranked = Array.from(swings.entries())
+      .filter(([, swing]) => swing > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, maxInputs)
+      .map(([key]) => key);
+
+    const colors = ['#2563eb', '#059669', '#d97706', '#dc2626', '#7c3aed', '#0891b2'];
+    const datasets = Object.entries(analysis.systems).map(([systemId, result], index) => ({
+      label: this.configManager.getSystemInfo(systemId)?.name || systemId,
+      data: ranked.map(key => {
+        const input = result.inputs.find(i => `${i.kind}:${i.name}` === key);
+        return input ? [input.lowDelta, input.highDelta] : [0, 0];
+      }),
+      backgroundColor: colors[index % colors.length],
+      borderWidth: 0
+    }));
+
+    this.sensitivityChart.data.labels = ranked.map(key => {
+      const [kind, name] = key.split(':');
+      return kind === 'component' ? `${name} (price)` : name;
+    });
+    this.sensitivityChart.data.datasets = datasets;
+    this.sensitivityChart.update();
+  }
+
+  /**
+   * Fill the goal seek scope (total or service) and free variable selectors
+   */
+  setupGoalSeekControls() {
+    const scope = document.getElementById('goal-seek-scope');
+    for (const serviceType of Object.keys(this.costEngine.formulas)) {
+      const option = document.createElement('option');
+      option.value = serviceType;
+      option.textContent = `${serviceType.charAt(0).toUpperCase() + serviceType.slice(1)} cost`;
+      scope.appendChild(option);
+    }
+
+    const variable = document.getElementById('goal-seek-variable');
+    variable.innerHTML = '';
+    for (const [varName, config] of this.getNumericInputs()) {
+      const option = document.createElement('option');
+      option.value = varName;
+      option.textContent = config.label || varName;
+      variable.appendChild(option);
+    }
+  }
+
+  /**
+   * Read target, scope and free variable from the goal seek panel
+   */
+  getGoalSeekSettings() {
+    const target = parseFloat(document.getElementById('goal-seek-target').value);
+    if (!isFinite(target) || target < 0) {
+      throw new Error('Target cost must be a non-negative number');
+    }
+    return {
+      target,
+      service: document.getElementById('goal-seek-scope').value || null,
+      variable: document.getElementById('goal-seek-variable').value
+    };
+  }
+
+  /**
+   * Show the solved value of the free variable per system
+   */
+  updateGoalSeekResults(solution) {
+    const container = document.getElementById('goal-seek-results');
+    container.innerHTML = '';
+
+    const scopeLabel = solution.service ? `${solution.service} cost` : 'total cost';
+    const periodLabel = this.getPeriodLabel(solution.period).toLowerCase();
+
+    for (const result of solution.systems) {
+      const name = this.configManager.getSystemInfo(result.systemId)?.name || result.systemId;
+      let text;
+      switch (result.status) {
+        case 'solved':
+          text = `${this.formatValue(solution.variable, Number(result.value.toFixed(2)))} keeps ${periodLabel} ${scopeLabel} at ${this.costEngine.formatMoney(result.cost)}`;
+          break;
+        case 'unbounded':
+          text = `Any value up to ${this.formatValue(solution.variable, Number(result.value.toFixed(2)))} stays within ${this.costEngine.formatMoney(solution.target)}`;
+          break;
+        case 'unreachable':
+          text = `Not reachable: the lowest value already costs ${this.costEngine.formatMoney(result.cost)}`;
+          break;
+        default:
+          text = 'Service not supported by this system';
+      }
+
+      const item = document.createElement('div');
+      item.className = `service-cost-item goal-seek-${result.status}`;
+      item.innerHTML = `
+        <div class="service-info">
+          <span class="system-name">${name}</span>
+        </div>
+        <span class="goal-seek-value"></span>
+      `;
+      item.querySelector('.goal-seek-value').textContent = text;
+      container.appendChild(item);
+    }
+  }
+
+  /**
+   * Build one "pin to system" selector per service for the optimizer panel
+   */
+  setupOptimizerControls() {
+    const container = document.getElementById('optimizer-required-controls');
+    container.innerHTML = '';
+    const systems = Object.entries(this.configManager.getSystems());
+
+    for (const serviceType of Object.keys(this.costEngine.formulas)) {
+      const row = document.createElement('div');
+      row.className = 'growth-row optimizer-row';
+      row.dataset.service = serviceType;
+      row.innerHTML = `
+        <label>${serviceType.charAt(0).toUpperCase() + serviceType.slice(1)}</label>
+        <select class="optimizer-required">
+          <option value="">Cheapest</option>
+          ${systems.map(([systemId, system]) => `<option value="${systemId}">${system.name || systemId}</option>`).join('')}
+        </select>
+      `;
+      container.appendChild(row);
+    }
+  }
+
+  /**
+   * Read vendor limit, integration overhead and pinned services from the optimizer panel
+   */
+  getOptimizerSettings() {
+    const maxVendors = parseInt(document.getElementById('optimizer-max-vendors').value, 10);
+    // Coerced like any other input: a blank or mistyped overhead is an error, not a free switch
+    const switchOverhead = coerceValue('integration_overhead', { type: 'number' }, document.getElementById('optimizer-overhead').value);
+    if (switchOverhead < 0) {
+      throw new Error('Integration overhead cannot be negative');
+    }
+
+    const required = {};
+    document.querySelectorAll('.optimizer-row').forEach(row => {
+      const systemId = row.querySelector('.optimizer-required').value;
+      if (systemId) {
+        required[row.dataset.service] = systemId;
+      }
+    });
+
+    return {
+      maxVendors: isFinite(maxVendors) ? maxVendors : Infinity,
+      switchOverhead,
+      required
+    };
+  }
+
+  /**
+   * Show the optimal mix, its total and the savings against the cheapest single system
+   */
+  updateOptimizerResults(result) {
+    const container = document.getElementById('optimizer-results');
+    container.innerHTML = '';
+    const periodLabel = this.getPeriodLabel(result.period);
+    const systemName = (systemId) => this.configManager.getSystemInfo(systemId)?.name || systemId;
+
+    const addItem = (className, name, value) => {
+      const item = document.createElement('div');
+      item.className = `service-cost-item ${className}`;
+      item.innerHTML = `
+        <div class="service-info">
+          <span class="service-name"></span>
+        </div>
+        <span class="service-cost"></span>
+      `;
+      item.querySelector('.service-name').textContent = name;
+      item.querySelector('.service-cost').textContent = value;
+      container.appendChild(item);
+    };
+
+    for (const [serviceType, choice] of Object.entries(result.services)) {
+      addItem('', `${serviceType} → ${systemName(choice.systemId)}`, this.costEngine.formatMoney(choice.cost));
+    }
+    for (const adjustment of result.adjustments) {
+      if (adjustment.amount === 0) continue;
+      addItem('adjustment-item', `${adjustment.label} (×${adjustment.factor})`, `${adjustment.amount >= 0 ? '+' : '-'}${this.costEngine.formatMoney(Math.abs(adjustment.amount))}`);
+    }
+    if (result.overhead > 0) {
+      addItem('adjustment-item', `Integration overhead (${result.vendors.length - 1} extra vendor${result.vendors.length > 2 ? 's' : ''})`, `+${this.costEngine.formatMoney(result.overhead)}`);
+    }
+    addItem('subtotal-item', `Best mix (${periodLabel})`, this.costEngine.formatMoney(result.total));
+
+    if (result.cheapestSingle) {
+      const savings = result.savings >= 0
+        ? `saves ${this.costEngine.formatMoney(result.savings)} (${result.savingsPercent.toFixed(1)}%)`
+        : `costs ${this.costEngine.formatMoney(Math.abs(result.savings))} more`;
+      addItem('adjustment-item', `vs. ${systemName(result.cheapestSingle.systemId)} alone (${this.costEngine.formatMoney(result.cheapestSingle.total)})`, savings);
+    }
+    if (result.unavailable.length > 0) {
+      addItem('adjustment-item', 'Not offered by any selected system', result.unavailable.join(', '));
+    }
+  }
+
+  /**
+   * Fill the system selector of the effective components panel
+   */
+  setupEffectiveComponents() {
+    const select = document.getElementById('components-system');
+    select.innerHTML = '';
+    for (const [systemId, system] of Object.entries(this.configManager.getSystems())) {
+      const option = document.createElement('option');
+      option.value = systemId;
+      option.textContent = system.name || systemId;
+      select.appendChild(option);
+    }
+    this.updateEffectiveComponents();
+  }
+
+  /**
+   * List the selected system's component prices as of the pricing date and
+   * where each came from, e.g. "from system_a, -30% in system_c"
+   */
+  updateEffectiveComponents() {
+    const systemId = document.getElementById('components-system').value;
+    const container = document.getElementById('components-results');
+    container.innerHTML = '';
+    if (!systemId) return;
+
+    for (const component of this.configManager.getEffectiveComponents(systemId, this.costEngine.getPricingDate())) {
+      const markups = component.markups.map(({ systemId: markedUpIn, scope, percent }) =>
+        `${percent >= 0 ? '+' : ''}${percent}%${scope === 'all' ? '' : ` (${scope})`} in ${markedUpIn}`
+      );
+      const source = component.definedIn === systemId
+        ? 'set here'
+        : [`from ${component.definedIn}`, ...markups].join(', ');
+
+      const item = document.createElement('div');
+      item.className = `service-cost-item ${component.definedIn === systemId ? '' : 'adjustment-item'}`;
+      item.innerHTML = `
+        <div class="service-info">
+          <span class="service-name"></span>
+          <span class="service-percentage"></span>
+        </div>
+        <span class="service-cost"></span>
+      `;
+      item.querySelector('.service-name').textContent = component.name;
+      item.querySelector('.service-percentage').textContent = component.dated ? `${source} · dated price` : source;
+      item.querySelector('.service-cost').textContent = component.value === null ? 'no price on this date' : String(component.value);
+      container.appendChild(item);
+    }
+  }
+
+  /**
+   * Read the uploaded configuration and scenario files from the config impact panel
+   */
+  getConfigImpactSettings() {
+    return {
+      configFiles: [...document.getElementById('impact-config-files').files],
+      scenarioFiles: [...document.getElementById('impact-scenario-files').files],
+      includeCurrentInputs: document.getElementById('impact-current-inputs').checked
+    };
+  }
+
+  /**
+   * Show what changed between the configurations, then per scenario the
+   * services and totals that moved for each system
+   */
+  updateConfigImpactResults(report) {
+    const container = document.getElementById('impact-results');
+    container.innerHTML = '';
+    const currencyTable = this.costEngine.currencyTable;
+
+    const addItem = (className, name, value) => {
+      const item = document.createElement('div');
+      item.className = `service-cost-item ${className}`;
+      item.innerHTML = `
+        <div class="service-info">
+          <span class="service-name"></span>
+        </div>
+        <span class="service-cost"></span>
+      `;
+      item.querySelector('.service-name').textContent = name;
+      item.querySelector('.service-cost').textContent = value;
+      container.appendChild(item);
+    };
+    const describeValue = (value) => {
+      if (value === null || value === undefined) return '-';
+      if (Array.isArray(value)) return `${value.length} dated prices`;
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    };
+    const describeChange = ({ change, before, after }) => {
+      if (change === 'added') return `added: ${describeValue(after)}`;
+      if (change === 'removed') return `removed (was ${describeValue(before)})`;
+      return `${describeValue(before)} → ${describeValue(after)}`;
+    };
+
+    const { config } = report;
+    addItem('subtotal-item', 'Changed files', config.files.join(', ') || 'none');
+    for (const systemId of config.systems.added) addItem('adjustment-item', systemId, 'system added');
+    for (const systemId of config.systems.removed) addItem('adjustment-item', systemId, 'system removed');
+    for (const entry of config.components) addItem('adjustment-item', `${entry.systemId}.${entry.name}`, describeChange(entry));
+    for (const entry of config.componentPeriods) addItem('adjustment-item', `${entry.name} billing period`, describeChange(entry));
+    for (const { name, change, fields } of config.formulas) {
+      addItem('adjustment-item', `${name} formula`, change === 'changed' ? `changed: ${fields.join(', ')}` : change);
+    }
+    for (const entry of config.derivedVariables) addItem('adjustment-item', `${entry.name} (derived)`, describeChange(entry));
+
+    for (const scenario of report.scenarios) {
+      const money = amount => (amount === null ? 'n/a' : currencyTable.format(amount, scenario.currency));
+      const change = ({ before, after, delta, percent }) => {
+        if (delta === null) return `${money(before)} → ${money(after)}`;
+        const sign = delta < 0 ? '-' : '+';
+        return `${money(before)} → ${money(after)} (${sign}${money(Math.abs(delta))}${percent === null ? '' : `, ${sign}${Math.abs(percent).toFixed(1)}%`})`;
+      };
+
+      addItem('subtotal-item', scenario.name, `per ${scenario.period}, prices as of ${scenario.pricingDate}`);
+      for (const system of scenario.systems) {
+        if (system.status === 'unchanged') {
+          addItem('', system.name, `unchanged (${money(system.total.after)})`);
+          continue;
+        }
+        if (system.status === 'error') {
+          addItem('', system.name, Object.entries(system.errors).filter(([, error]) => error).map(([side, error]) => `${side}: ${error}`).join('; '));
+          continue;
+        }
+        addItem('', `${system.name} (${system.status})`, change(system.total));
+        for (const service of system.services.filter(({ before, after }) => before !== after)) {
+          addItem('adjustment-item', `  ${service.service}`, change(service));
+        }
+      }
+    }
+  }
+
+  /**
+   * Describe an applied override, e.g. "processing_hours 10 × 0.6 = 6"
+   */
+  describeOverride(name, override) {
+    const format = value => typeof value === 'number' ? String(Number(value.toFixed(4))) : String(value);
+    return override.factor !== undefined
+      ? `${name} ${format(override.original)} × ${override.factor} = ${format(override.value)}`
+      : `${name} ${format(override.original)} → ${format(override.value)}`;
+  }
+
+  /**
+   * Add an empty override row (system, service, input, mode, amount)
+   */
+  addOverrideRow() {
+    const container = document.getElementById('override-controls');
+    const systems = Object.entries(this.configManager.getSystems());
+    const services = Object.keys(this.costEngine.formulas);
+
+    const row = document.createElement('div');
+    row.className = 'growth-row override-row';
+    row.innerHTML = `
+      <select class="override-system">
+        ${systems.map(([systemId, system]) => `<option value="${systemId}">${system.name || systemId}</option>`).join('')}
+      </select>
+      <select class="override-service">
+        ${services.map(service => `<option value="${service}">${service.charAt(0).toUpperCase() + service.slice(1)}</option>`).join('')}
+      </select>
+      <select class="override-variable"></select>
+      <select class="override-mode">
+        <option value="factor">× factor</option>
+        <option value="value">= value</option>
+      </select>
+      <input type="text" class="override-amount" placeholder="e.g. 0.6">
+      <button type="button" class="override-remove" title="Remove override">✕</button>
+    `;
+
+    const fillVariables = () => {
+      const variableSelect = row.querySelector('.override-variable');
+      const variables = this.getServiceVariables(row.querySelector('.override-service').value) || {};
+      variableSelect.innerHTML = Object.entries(variables)
+        .filter(([varName]) => !(varName in this.costEngine.derivedVariables))
+        .map(([varName, config]) => `<option value="${varName}">${config.label || varName}</option>`)
+        .join('');
+    };
+    row.querySelector('.override-service').addEventListener('change', fillVariables);
+    fillVariables();
+
+    container.appendChild(row);
+    return row;
+  }
+
+  /**
+   * Collect overrides from the override rows, grouped by system and service.
+   * Rows without an amount are ignored.
+   */
+  getSystemOverrides() {
+    const overrides = {};
+
+    document.querySelectorAll('.override-row').forEach(row => {
+      const systemId = row.querySelector('.override-system').value;
+      const serviceType = row.querySelector('.override-service').value;
+      const varName = row.querySelector('.override-variable').value;
+      const mode = row.querySelector('.override-mode').value;
+      const amount = row.querySelector('.override-amount').value.trim();
+      if (!varName || amount === '') return;
+
+      let override;
+      if (mode === 'factor') {
+        const factor = parseFloat(amount);
+        if (!isFinite(factor)) {
+          throw new Error(`Override factor for ${varName} must be a number`);
+        }
+        override = { factor };
+      } else {
+        // Numeric text becomes a number; the engine coerces enums and booleans
+        override = { value: isNaN(Number(amount)) ? amount : Number(amount) };
+      }
+
+      overrides[systemId] = overrides[systemId] || {};
+      overrides[systemId][serviceType] = overrides[systemId][serviceType] || {};
+      overrides[systemId][serviceType][varName] = override;
+    });
+
+    return overrides;
+  }
+
   /**
    * Reset UI to defaults
    */
@@ -621,7 +1575,11 @@ export class UIController {
       const varName = input.dataset.variable;
       const defaultValue = defaults[varName] || 0;
       
-      input.value = defaultValue;
+      if (input.type === 'checkbox') {
+        input.checked = Boolean(defaultValue);
+      } else {
+        input.value = defaultValue;
+      }
       
       // Update range display if applicable
       if (input.type === 'range') {
@@ -632,6 +1590,9 @@ export class UIController {
       }
     });
 
+    // Clear per-system overrides
+    document.getElementById('override-controls').innerHTML = '';
+
     // Reset global multipliers
     document.getElementById('volume-tier').value = 'small';
     document.getElementById('contract-type').value = 'pay_as_you_go';
@@ -652,7 +1613,7 @@ export class UIController {
    */
   formatValue(variableName, value) {
     if (variableName.includes('cost') || variableName.includes('price')) {
-      return `$${value.toFixed(2)}`;
+      return this.costEngine.formatMoney(value);
     }
     if (variableName.includes('gb') || variableName.includes('volume')) {
       return `${value.toLocaleString()} GB`;
@@ -0,0 +1,73 @@
+/**
+ * Variable Types
+ * Typed variable definitions (number, enum, boolean) and boundary coercion
+ */
+
+/**
+ * Error raised when a variable value does not match its declared type
+ */
+export class VariableError extends Error {
+  constructor(message, variable, value) {
+    super(message);
+    this.name = 'VariableError';
+    this.variable = variable;
+    this.value = value;
+  }
+}
+
+/**
+ * Coerce a raw value (e.g. a DOM input string) to the declared variable type
+ */
+export function coerceValue(name, definition, value) {
+  switch (definition.type) {
+    case 'number': {
+      // The whole string must be a number: "12abc" and "" are rejected, not read as 12 and 0
+      let number = NaN;
+      if (typeof value === 'number') {
+        number = value;
+      } else if (typeof value === 'string' && value.trim() !== '') {
+        number = Number(value);
+      }
+      if (!Number.isFinite(number)) {
+        throw new VariableError(`Variable ${name} must be a number, got ${JSON.stringify(value)}`, name, value);
+      }
+      return number;
+    }
+
+    case 'enum': {
+      // Match on string form so "2" from a <select> resolves to the declared 2
+      const match = (definition.values || []).find(allowed => String(allowed) === String(value));
+      if (match === undefined) {
+        throw new VariableError(
+          `Variable ${name} must be one of ${definition.values.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`,
+          name,
+          value
+        );
+      }
+      return match;
+    }
+
+    case 'boolean':
+      if (value === true || value === 'true' || value === 1 || value === '1' || value === 'on') return true;
+      if (value === false || value === 'false' || value === 0 || value === '0' || value === '') return false;
+      throw new VariableError(`Variable ${name} must be a boolean, got ${JSON.stringify(value)}`, name, value);
+
+    default:
+      throw new VariableError(`Variable ${name} has unknown type '${definition.type}'`, name, value);
+  }
+}
+
+/**
+ * Derive a variable definition from a UI control definition. A number keeps
+ * the control's `range` ({ min, max }) as a hint for where goal seek starts
+ * searching; it is not a limit on the values a variable accepts.
+ */
+export function definitionFromControl(control) {
+  if (control.type === 'select') {
+    return { type: 'enum', values: control.options.map(option => option.value) };
+  }
+  if (control.type === 'checkbox') {
+    return { type: 'boolean' };
+  }
+  return { type: 'number', range: { min: control.min, max: control.max }, period: control.period };
+}
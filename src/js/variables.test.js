@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { VariableError, coerceValue, definitionFromControl } from './variables.js';
+
+const number = { type: 'number' };
+
+describe('coerceValue', () => {
+  it('reads numbers and whole numeric strings', () => {
+    expect(coerceValue('data_volume_gb', number, 250)).toBe(250);
+    expect(coerceValue('data_volume_gb', number, '250')).toBe(250);
+    expect(coerceValue('data_volume_gb', number, ' 2.5 ')).toBe(2.5);
+    expect(coerceValue('data_volume_gb', number, '1e3')).toBe(1000);
+  });
+
+  it('rejects partly numeric, empty and non-finite values', () => {
+    for (const value of ['12abc', '', '  ', 'Infinity', NaN, null, true]) {
+      expect(() => coerceValue('data_volume_gb', number, value), JSON.stringify(value)).toThrow(VariableError);
+    }
+  });
+
+  it('matches enum values by their string form', () => {
+    const levels = { type: 'enum', values: [1, 2, 3] };
+    expect(coerceValue('priority_level', levels, '2')).toBe(2);
+    expect(() => coerceValue('priority_level', levels, '4')).toThrow('Variable priority_level must be one of 1, 2, 3, got "4"');
+  });
+
+  it('reads checkbox values as booleans', () => {
+    expect(coerceValue('replicated', { type: 'boolean' }, 'on')).toBe(true);
+    expect(coerceValue('replicated', { type: 'boolean' }, '')).toBe(false);
+    expect(() => coerceValue('replicated', { type: 'boolean' }, 'yes')).toThrow(VariableError);
+  });
+});
+
+describe('definitionFromControl', () => {
+  it('keeps a slider\'s min and max as a range, not a bound', () => {
+    const definition = definitionFromControl({ type: 'range', min: 10, max: 100, period: 'day' });
+    expect(definition).toEqual({ type: 'number', range: { min: 10, max: 100 }, period: 'day' });
+    expect(coerceValue('data_volume_gb', definition, 5000)).toBe(5000);
+  });
+
+  it('turns selects into enums and checkboxes into booleans', () => {
+    expect(definitionFromControl({ type: 'select', options: [{ value: 'simple' }, { value: 'complex' }] }))
+      .toEqual({ type: 'enum', values: ['simple', 'complex'] });
+    expect(definitionFromControl({ type: 'checkbox' })).toEqual({ type: 'boolean' });
+  });
+});
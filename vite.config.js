@@ -1,4 +1,27 @@
+import { fileURLToPath } from 'url';
 import { defineConfig } from 'vite';
+import { FILE_LIST } from './src/js/config-manifest.js';
+import { listConfigFiles } from './scripts/config-files.js';
+
+const configDir = fileURLToPath(new URL('./public/config', import.meta.url));
+
+// Publish config/files.json: the browser can't list a directory, so the app
+// expands the globs in config/index.yaml against this listing
+function configFileList() {
+  const listing = () => JSON.stringify(listConfigFiles(configDir), null, 2);
+  return {
+    name: 'config-file-list',
+    configureServer(server) {
+      server.middlewares.use(`${server.config.base}config/${FILE_LIST}`, (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(listing());
+      });
+    },
+    generateBundle() {
+      this.emitFile({ type: 'asset', fileName: `config/${FILE_LIST}`, source: listing() });
+    }
+  };
+}
 
 export default defineConfig({
   root: 'src',
@@ -17,6 +40,7 @@ export default defineConfig({
     open: true
   },
   publicDir: '../public',
+  plugins: [configFileList()],
   // Copy config files to dist during build
   assetsInclude: ['**/*.yaml', '**/*.yml']
-});
\ No newline at end of file
+});